@@ -10,6 +10,13 @@ const db = mysql.createPool({
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0,
+  // DATETIME columns hold UTC; event and user time zones are stored separately
+  timezone: "Z",
+});
+
+// Keep NOW() and TIMESTAMP columns in UTC too, whatever the server's zone is
+db.on("connection", (connection) => {
+  connection.query("SET time_zone = '+00:00'");
 });
 
 module.exports = db;
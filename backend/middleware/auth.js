@@ -1,8 +1,9 @@
 const jwt = require("jsonwebtoken");
 const db = require("../db.js");
+const { getTokenRejection } = require("../utils/sessions.js");
 require("dotenv").config();
 
-// JWT Authentication Middleware with Token Blacklist Check
+// JWT Authentication Middleware with account status, session and Token Blacklist Check
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers["authorization"];
@@ -12,34 +13,40 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: "Access token required" });
     }
 
-    // Check if token is blacklisted
-    const blacklistCheck = await new Promise((resolve, reject) => {
-      db.query(
-        "SELECT id FROM token_blacklist WHERE token = ?",
-        [token],
-        (err, results) => {
-          if (err) reject(err);
-          else resolve(results);
-        }
-      );
-    });
-
-    if (blacklistCheck.length > 0) {
-      return res.status(403).json({ error: "Token has been revoked" });
+    // Verify JWT token
+    let user;
+    try {
+      user = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
+    } catch (err) {
+      return res.status(403).json({ error: "Invalid or expired token" });
     }
 
-    // Verify JWT token
-    jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key",
-      (err, user) => {
-        if (err) {
-          return res.status(403).json({ error: "Invalid or expired token" });
-        }
-        req.user = user;
-        next();
+    // Reject suspended/banned accounts and revoked device sessions
+    const rejection = await getTokenRejection(user);
+    if (rejection) {
+      return res.status(403).json({ error: rejection });
+    }
+
+    if (!user.sid) {
+      // Legacy token issued before sessions: check if token is blacklisted
+      const blacklistCheck = await new Promise((resolve, reject) => {
+        db.query(
+          "SELECT id FROM token_blacklist WHERE token = ?",
+          [token],
+          (err, results) => {
+            if (err) reject(err);
+            else resolve(results);
+          }
+        );
+      });
+
+      if (blacklistCheck.length > 0) {
+        return res.status(403).json({ error: "Token has been revoked" });
       }
-    );
+    }
+
+    req.user = user;
+    next();
   } catch (error) {
     console.error("Authentication error:", error);
     return res.status(500).json({ error: "Internal server error" });
@@ -0,0 +1,35 @@
+const db = require("../db.js");
+
+// Middleware to block users who have not verified their email address
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const results = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT email_verified_at FROM users WHERE id = ?",
+        [req.user.id],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    if (results.length === 0 || !results[0].email_verified_at) {
+      return res.status(403).json({
+        error:
+          "Please verify your email address first. Use POST /auth/resend-verification to get a new link",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Email verification check error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,35 @@
+const {
+  isKnownPermission,
+  getEffectivePermissions,
+} = require("../utils/permissions.js");
+
+// Middleware to check that the user holds a named capability (e.g. 'alerts:publish').
+// The resolved permission set is left on req.permissions for handlers to reuse.
+const requirePermission = (permission) => {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+
+      req.permissions = await getEffectivePermissions(req.user);
+
+      if (!req.permissions.has(permission)) {
+        return res.status(403).json({
+          error: `Access denied. Required permission: ${permission}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+};
+
+module.exports = requirePermission;
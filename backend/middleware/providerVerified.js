@@ -0,0 +1,42 @@
+const db = require("../db.js");
+
+const PROVIDER_ROLES = ["doctor", "ngo", "hospital"];
+
+// Middleware to limit doctors, NGOs and hospitals until an admin verifies them.
+// Other roles (patients, donors, admins) pass through unchanged.
+const requireVerifiedProvider = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    if (!PROVIDER_ROLES.includes(req.user.role)) {
+      return next();
+    }
+
+    const results = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT verification_status FROM users WHERE id = ?",
+        [req.user.id],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    if (results.length === 0 || results[0].verification_status !== "verified") {
+      return res.status(403).json({
+        error:
+          "Your provider account must be verified by an admin first. Submit a request via POST /provider-verifications",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Provider verification check error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = requireVerifiedProvider;
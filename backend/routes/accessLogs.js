@@ -0,0 +1,220 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const {
+  ACCESS_ACTIONS,
+  ACCESS_RESOURCE_TYPES,
+} = require("../utils/accessAudit.js");
+const { isActiveGuardian } = require("../utils/guardians.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Returns { pageNum, limitNum } or { error } for the usual page/limit query params
+const parsePaging = ({ page = 1, limit = 50 }) => {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  if (Number.isNaN(pageNum) || pageNum < 1) {
+    return { error: "Invalid page number" };
+  }
+  if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 200) {
+    return { error: "Invalid limit. Must be between 1 and 200" };
+  }
+  return { pageNum, limitNum };
+};
+
+// Adds resource_type/action/from/to filters shared by both views
+const addCommonFilters = (query, conditions, params) => {
+  const { resource_type, action, from, to } = query;
+
+  if (resource_type) {
+    if (!ACCESS_RESOURCE_TYPES.includes(resource_type)) {
+      return `Invalid resource_type. Allowed: ${ACCESS_RESOURCE_TYPES.join(", ")}`;
+    }
+    conditions.push("l.resource_type = ?");
+    params.push(resource_type);
+  }
+
+  if (action) {
+    if (!ACCESS_ACTIONS.includes(action)) {
+      return `Invalid action. Allowed: ${ACCESS_ACTIONS.join(", ")}`;
+    }
+    conditions.push("l.action = ?");
+    params.push(action);
+  }
+
+  if (from) {
+    if (Number.isNaN(new Date(from).getTime())) return "Invalid from date";
+    conditions.push("l.created_at >= ?");
+    params.push(new Date(from));
+  }
+
+  if (to) {
+    if (Number.isNaN(new Date(to).getTime())) return "Invalid to date";
+    conditions.push("l.created_at <= ?");
+    params.push(new Date(to));
+  }
+
+  return null;
+};
+
+const sendPatientAccessLog = async (req, res, patientId) => {
+  const paging = parsePaging(req.query);
+  if (paging.error) {
+    return res.status(400).json({ error: paging.error });
+  }
+  const { pageNum, limitNum } = paging;
+
+  const conditions = ["l.patient_id = ?"];
+  const params = [patientId];
+
+  // Own views of the record are left out unless asked for
+  if (!["true", "1"].includes(String(req.query.include_self))) {
+    conditions.push("l.actor_id != ?");
+    params.push(patientId);
+  }
+
+  const filterError = addCommonFilters(req.query, conditions, params);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const whereClause = `WHERE ${conditions.join(" AND ")}`;
+
+  const countResult = await runQuery(
+    `SELECT COUNT(*) AS total FROM record_access_logs l ${whereClause}`,
+    params
+  );
+  const total = countResult[0]?.total || 0;
+
+  const entries = await runQuery(
+    `SELECT l.id, l.actor_id, actor.username AS actor_username, l.actor_role,
+      l.resource_type, l.resource_id, l.action, l.created_at
+    FROM record_access_logs l
+    JOIN users actor ON l.actor_id = actor.id
+    ${whereClause}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT ?
+    OFFSET ?`,
+    [...params, limitNum, (pageNum - 1) * limitNum]
+  );
+
+  res.json({
+    message: "Record access history retrieved successfully",
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      total_pages: Math.ceil(total / limitNum),
+    },
+    entries,
+  });
+};
+
+// GET /access-logs/me - Who accessed my record
+router.get("/me", authenticateToken, async (req, res) => {
+  try {
+    await sendPatientAccessLog(req, res, req.user.id);
+  } catch (error) {
+    console.error("Error fetching own access log:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /access-logs/dependents/:patientId - Who accessed a dependent's record (active guardians)
+router.get("/dependents/:patientId", authenticateToken, async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.patientId, 10);
+
+    if (!(await isActiveGuardian(req.user.id, patientId))) {
+      return res.status(403).json({
+        error: "Only an active guardian can view a dependent's access history",
+      });
+    }
+
+    await sendPatientAccessLog(req, res, patientId);
+  } catch (error) {
+    console.error("Error fetching dependent access log:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /access-logs - Query the full audit log (auditors/admins)
+router.get("/", authenticateToken, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+    const { pageNum, limitNum } = paging;
+    const { actor_id, patient_id, resource_id } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (actor_id) {
+      conditions.push("l.actor_id = ?");
+      params.push(actor_id);
+    }
+
+    if (patient_id) {
+      conditions.push("l.patient_id = ?");
+      params.push(patient_id);
+    }
+
+    if (resource_id) {
+      conditions.push("l.resource_id = ?");
+      params.push(resource_id);
+    }
+
+    const filterError = addCommonFilters(req.query, conditions, params);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await runQuery(
+      `SELECT COUNT(*) AS total FROM record_access_logs l ${whereClause}`,
+      params
+    );
+    const total = countResult[0]?.total || 0;
+
+    const entries = await runQuery(
+      `SELECT l.*, actor.username AS actor_username, patient.username AS patient_username
+      FROM record_access_logs l
+      JOIN users actor ON l.actor_id = actor.id
+      JOIN users patient ON l.patient_id = patient.id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ?
+      OFFSET ?`,
+      [...params, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    res.json({
+      message: "Access log retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        total_pages: Math.ceil(total / limitNum),
+      },
+      entries,
+    });
+  } catch (error) {
+    console.error("Error querying access log:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { revokeUserSessions } = require("../utils/sessions.js");
+const { sendPasswordResetEmail } = require("../utils/passwordReset.js");
+const { sendEmail } = require("../utils/mailer.js");
+const { eraseUser } = require("../utils/erasure.js");
+
+const ALLOWED_ROLES = ["patient", "doctor", "donor", "ngo", "admin", "hospital"];
+const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const ADMIN_USER_COLUMNS = `
+  u.id, u.username, u.email, u.contact_phone, u.role, u.specialty, u.language_pref,
+  u.verification_status, u.email_verified_at, u.account_status, u.suspended_until,
+  u.status_reason, u.erased_at, u.locked_until, u.totp_enabled_at, u.created_at, u.updated_at`;
+
+const fetchAdminUser = async (id) => {
+  const results = await runQuery(
+    `SELECT ${ADMIN_USER_COLUMNS},
+      (SELECT COUNT(*) FROM user_sessions s
+        WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()) AS active_sessions
+    FROM users u
+    WHERE u.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+// Every admin action here targets another account, never the acting admin.
+// A delegated users:manage grant does not reach admin accounts.
+const loadTargetUser = async (req, res) => {
+  const user = await fetchAdminUser(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (user.id === req.user.id) {
+    res.status(400).json({ error: "You cannot perform this action on your own account" });
+    return null;
+  }
+  if (user.erased_at) {
+    res.status(409).json({ error: "This account has been erased" });
+    return null;
+  }
+  if (user.role === "admin" && req.user.role !== "admin") {
+    res.status(403).json({ error: "Only admins can manage admin accounts" });
+    return null;
+  }
+  return user;
+};
+
+// GET /admin/users - List users with filters & pagination
+router.get("/", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      role,
+      account_status,
+      verification_status,
+      q,
+      sort_by = "created_at",
+      sort_order = "desc",
+    } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (Number.isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Invalid page number" });
+    }
+    if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res
+        .status(400)
+        .json({ error: "Invalid limit. Must be between 1 and 100" });
+    }
+
+    const allowedSortFields = ["created_at", "updated_at", "username", "email", "role"];
+    if (!allowedSortFields.includes(sort_by)) {
+      return res.status(400).json({
+        error: `Invalid sort field. Allowed: ${allowedSortFields.join(", ")}`,
+      });
+    }
+    const normalizedSortOrder = String(sort_order).toLowerCase();
+    if (!["asc", "desc"].includes(normalizedSortOrder)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid sort order. Allowed values: asc, desc" });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (role) {
+      if (!ALLOWED_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Invalid role. Allowed: ${ALLOWED_ROLES.join(", ")}`,
+        });
+      }
+      conditions.push("u.role = ?");
+      params.push(role);
+    }
+
+    if (account_status) {
+      if (!ACCOUNT_STATUSES.includes(account_status)) {
+        return res.status(400).json({
+          error: `Invalid account_status. Allowed: ${ACCOUNT_STATUSES.join(", ")}`,
+        });
+      }
+      conditions.push("u.account_status = ?");
+      params.push(account_status);
+    }
+
+    if (verification_status) {
+      const allowedVerification = ["none", "requested", "verified", "rejected"];
+      if (!allowedVerification.includes(verification_status)) {
+        return res.status(400).json({
+          error: `Invalid verification_status. Allowed: ${allowedVerification.join(", ")}`,
+        });
+      }
+      conditions.push("u.verification_status = ?");
+      params.push(verification_status);
+    }
+
+    if (q) {
+      conditions.push("(u.username LIKE ? OR u.email LIKE ? OR u.contact_phone LIKE ?)");
+      const like = `%${q}%`;
+      params.push(like, like, like);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await runQuery(
+      `SELECT COUNT(*) AS total FROM users u ${whereClause}`,
+      params
+    );
+    const total = countResult[0]?.total || 0;
+
+    const users = await runQuery(
+      `SELECT ${ADMIN_USER_COLUMNS}
+       FROM users u
+       ${whereClause}
+       ORDER BY u.${sort_by} ${normalizedSortOrder}
+       LIMIT ?
+       OFFSET ?`,
+      [...params, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    res.json({
+      message: "Users retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        total_pages: Math.ceil(total / limitNum),
+      },
+      users,
+    });
+  } catch (error) {
+    console.error("Admin list users error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /admin/users/:id - Single user with account state
+router.get("/:id", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await fetchAdminUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      message: "User retrieved successfully",
+      user,
+    });
+  } catch (error) {
+    console.error("Admin get user error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /admin/users/:id/status - Suspend, ban or reactivate an account
+router.put("/:id/status", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { account_status, reason, suspended_until } = req.body;
+
+    if (!ACCOUNT_STATUSES.includes(account_status)) {
+      return res.status(400).json({
+        error: `account_status must be one of: ${ACCOUNT_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (account_status !== "active" && (!reason || !String(reason).trim())) {
+      return res
+        .status(400)
+        .json({ error: "reason is required when suspending or banning" });
+    }
+
+    let suspendedUntil = null;
+    if (suspended_until !== undefined && suspended_until !== null) {
+      if (account_status !== "suspended") {
+        return res.status(400).json({
+          error: "suspended_until only applies to suspended accounts",
+        });
+      }
+      const date = new Date(suspended_until);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        return res
+          .status(400)
+          .json({ error: "suspended_until must be a future date" });
+      }
+      suspendedUntil = date;
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    await runQuery(
+      `UPDATE users
+       SET account_status = ?, suspended_until = ?, status_reason = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [account_status, suspendedUntil, account_status === "active" ? null : reason, user.id]
+    );
+
+    // Suspended or banned users lose every logged-in device immediately
+    if (account_status !== "active") {
+      await revokeUserSessions(user.id);
+    }
+
+    sendEmail({
+      to: user.email,
+      subject: `[HealthPal] Your account is now ${account_status}`,
+      text:
+        account_status === "active"
+          ? "Your HealthPal account has been reactivated. You can log in again."
+          : `Your HealthPal account has been ${account_status}${
+              suspendedUntil ? ` until ${suspendedUntil.toISOString()}` : ""
+            }. Reason: ${reason}`,
+    }).catch((err) =>
+      console.error("[adminUsers] email notify error:", err?.message || err)
+    );
+
+    res.json({
+      message: `User account set to ${account_status}`,
+      user: await fetchAdminUser(user.id),
+    });
+  } catch (error) {
+    console.error("Admin update status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /admin/users/:id/role - Change a user's role (forces re-login)
+router.put("/:id/role", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ALLOWED_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${ALLOWED_ROLES.join(", ")}`,
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === role) {
+      return res.status(400).json({ error: `User already has role ${role}` });
+    }
+
+    // A delegated users:manage grant must not be a path to full admin
+    if (role === "admin" && req.user.role !== "admin") {
+      return res.status(403).json({
+        error: "Only admins can grant or remove the admin role",
+      });
+    }
+
+    await runQuery("UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?", [
+      role,
+      user.id,
+    ]);
+
+    // Access tokens carry the role, so make every device log in again
+    await revokeUserSessions(user.id);
+
+    res.json({
+      message: `User role changed from ${user.role} to ${role}`,
+      user: await fetchAdminUser(user.id),
+    });
+  } catch (error) {
+    console.error("Admin change role error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /admin/users/:id/reset-password - Email the user a password reset link
+router.post("/:id/reset-password", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const result = await sendPasswordResetEmail(user);
+
+    if (result?.skipped) {
+      return res.status(429).json({
+        error: "Password reset email could not be sent to this user right now",
+        reason: result.reason,
+      });
+    }
+
+    res.json({
+      message: "Password reset link sent to the user's email",
+    });
+  } catch (error) {
+    console.error("Admin reset password error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /admin/users/:id/logout - Revoke every session of the user
+router.post("/:id/logout", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const result = await revokeUserSessions(user.id);
+
+    res.json({
+      message: "User logged out of all devices",
+      revoked: result.affectedRows,
+    });
+  } catch (error) {
+    console.error("Admin force logout error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /admin/users/:id/erasure-report - Report of an erased account
+router.get("/:id/erasure-report", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const results = await runQuery(
+      `SELECT ae.id, ae.user_id, ae.pseudonym, ae.report, ae.created_at,
+        requester.username AS requested_by_username
+      FROM account_erasures ae
+      LEFT JOIN users requester ON ae.requested_by = requester.id
+      WHERE ae.user_id = ?
+      ORDER BY ae.created_at DESC
+      LIMIT 1`,
+      [req.params.id]
+    );
+
+    if (results.length === 0) {
+      return res.status(404).json({ error: "No erasure report for this user" });
+    }
+
+    res.json({
+      message: "Erasure report retrieved successfully",
+      erasure: results[0],
+    });
+  } catch (error) {
+    console.error("Admin get erasure report error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /admin/users/:id - Erase an account on the user's behalf
+router.delete("/:id", authenticateToken, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const report = await eraseUser(user.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      message: "User account erased successfully",
+      erasure_report: report,
+    });
+  } catch (error) {
+    console.error("Admin erase user error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,78 @@ const router = express.Router();
 const db = require("../db.js");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const authenticateToken = require("../middleware/auth.js");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  hashToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  getAccountBlockReason,
+} = require("../utils/sessions.js");
+const {
+  TWO_FACTOR_ROLES,
+  verifySecondFactor,
+  isTwoFactorRequiredForRole,
+} = require("../utils/twoFactor.js");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../utils/loginThrottle.js");
+const { sendEmail, escapeHtml } = require("../utils/mailer.js");
+const { sendPasswordResetEmail } = require("../utils/passwordReset.js");
+const {
+  OTP_TTL_MINUTES,
+  normalizePhone,
+  checkOtpSendAllowed,
+  issueOtp,
+  verifyOtp,
+} = require("../utils/phoneOtp.js");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("../utils/timezones.js");
+
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// Issue a fresh email verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  await new Promise((resolve, reject) => {
+    db.query(
+      "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+      [user.id],
+      (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      }
+    );
+  });
+
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  await new Promise((resolve, reject) => {
+    db.query(
+      `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at, created_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+      [user.id, hashToken(verificationToken), EMAIL_VERIFICATION_TTL_HOURS],
+      (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      }
+    );
+  });
+
+  const verifyUrl = `${global.base_url}/auth/verify-email?token=${verificationToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: "[HealthPal] Verify your email address",
+    priority: "security",
+    text: `Welcome to HealthPal, ${user.username}! Confirm your email address by opening this link: ${verifyUrl} . It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    html: `<p>Welcome to HealthPal, <strong>${escapeHtml(user.username)}</strong>!</p><p><a href="${verifyUrl}">Verify your email address</a></p><p>This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`,
+  });
+};
 
 // POST /auth/register - Register a new user
 router.post("/register", async (req, res) => {
@@ -19,6 +90,7 @@ router.post("/register", async (req, res) => {
       official_document_url,
       registration_number,
       website_url,
+      timezone,
     } = req.body;
 
     // Validate required fields
@@ -42,6 +114,12 @@ router.post("/register", async (req, res) => {
       });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        error: "timezone must be an IANA time zone such as Asia/Gaza",
+      });
+    }
+
     // Set default role to 'patient' if not provided
     const userRole = role || "patient";
 
@@ -101,8 +179,8 @@ router.post("/register", async (req, res) => {
       INSERT INTO users (
         username, email, contact_phone, password_hash, role, 
         language_pref, specialty, official_document_url, 
-        registration_number, website_url, verification_status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'none')
+        registration_number, website_url, timezone, verification_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'none')
     `;
 
     const insertValues = [
@@ -116,6 +194,7 @@ router.post("/register", async (req, res) => {
       official_document_url || null,
       registration_number || null,
       website_url || null,
+      timezone || DEFAULT_TIMEZONE,
     ];
 
     const insertResult = await new Promise((resolve, reject) => {
@@ -130,7 +209,7 @@ router.post("/register", async (req, res) => {
     // Fetch the created user (without password_hash)
     const userResult = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT id, username, email, contact_phone, role, specialty, language_pref, official_document_url, registration_number, website_url, verification_status, created_at, updated_at FROM users WHERE id = ?",
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, timezone, official_document_url, registration_number, website_url, verification_status, email_verified_at, created_at, updated_at FROM users WHERE id = ?",
         [userId],
         (err, results) => {
           if (err) reject(err);
@@ -141,17 +220,19 @@ router.post("/register", async (req, res) => {
 
     const user = userResult[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "1d" }
+    // Fire-and-forget verification email
+    sendVerificationEmail(user).catch((err) =>
+      console.error("[auth] verification email error:", err?.message || err)
     );
 
-    // Return both token and user object
+    // Open a device session (short-lived access token + refresh token)
+    const session = await createSession(user, req);
+
+    // Return tokens and user object
     res.status(201).json({
-      message: "User registered successfully",
-      token: token,
+      message:
+        "User registered successfully. Check your email to verify your address",
+      ...session,
       user: user,
     });
   } catch (error) {
@@ -162,6 +243,68 @@ router.post("/register", async (req, res) => {
   }
 });
 
+// Respond to a login attempt rejected by the brute-force throttle
+const sendLoginBlocked = (res, blocked) => {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res
+    .status(blocked.status)
+    .json({ error: blocked.error, retry_after: blocked.retryAfter });
+};
+
+// Finish a login once the first factor (password or phone code) is verified:
+// account status, 2FA step or enrollment, then a new device session
+const completeLogin = async (req, res, user) => {
+  // Suspended or banned accounts cannot log in
+  const blockReason = getAccountBlockReason(user);
+  if (blockReason) {
+    return res.status(403).json({ error: blockReason });
+  }
+
+  // Remove password_hash, throttle and status state from user object before sending
+  delete user.password_hash;
+  delete user.failed_login_attempts;
+  delete user.last_failed_login_at;
+  delete user.locked_until;
+  delete user.account_status;
+  delete user.suspended_until;
+
+  // Second step required: the session is only issued by /auth/login/2fa
+  if (user.totp_enabled_at) {
+    return res.status(200).json({
+      message: "Two-factor authentication code required",
+      two_factor_required: true,
+      mfa_token: signChallengeToken(user, "2fa_login"),
+    });
+  }
+
+  // Role policy requires 2FA but the user has not enrolled yet
+  if (
+    TWO_FACTOR_ROLES.includes(user.role) &&
+    (await isTwoFactorRequiredForRole(user.role))
+  ) {
+    return res.status(200).json({
+      message:
+        "Two-factor authentication is required for your role. Enroll via /auth/2fa/setup using the mfa_token",
+      two_factor_setup_required: true,
+      mfa_token: signChallengeToken(user, "2fa_enroll"),
+    });
+  }
+
+  delete user.totp_enabled_at;
+
+  await recordLoginSuccess({ user });
+
+  // Open a device session (short-lived access token + refresh token)
+  const session = await createSession(user, req);
+
+  // Return tokens and user object
+  res.status(200).json({
+    message: "Login successful",
+    ...session,
+    user: user,
+  });
+};
+
 // POST /auth/login - Login user with email or username
 router.post("/login", async (req, res) => {
   try {
@@ -178,7 +321,7 @@ router.post("/login", async (req, res) => {
     // Find user by email or username
     const userResult = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT id, username, email, contact_phone, password_hash, role, specialty, language_pref, official_document_url, registration_number, website_url, verification_status, created_at, updated_at FROM users WHERE email = ? OR username = ?",
+        "SELECT id, username, email, contact_phone, password_hash, role, specialty, language_pref, timezone, official_document_url, registration_number, website_url, verification_status, email_verified_at, phone_verified_at, totp_enabled_at, failed_login_attempts, last_failed_login_at, locked_until, account_status, suspended_until, created_at, updated_at FROM users WHERE email = ? OR username = ?",
         [identifier, identifier],
         (err, results) => {
           if (err) reject(err);
@@ -187,42 +330,322 @@ router.post("/login", async (req, res) => {
       );
     });
 
+    const user = userResult[0] || null;
+
+    // Brute-force protection: IP throttle, progressive delay, lockout
+    const blocked = await checkLoginAllowed({ user, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
     // Generic error message for security (don't reveal if user exists)
+    if (!user) {
+      await recordLoginFailure({ user: null, ip: req.ip });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    // Verify password (guardian-managed dependents have none and cannot log in this way)
+    const isPasswordValid =
+      Boolean(user.password_hash) &&
+      (await bcrypt.compare(password, user.password_hash));
+
+    if (!isPasswordValid) {
+      await recordLoginFailure({ user, ip: req.ip });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ error: "Internal server error during login" });
+  }
+});
+
+// POST /auth/login/2fa - Second login step: verify TOTP or recovery code
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code } = req.body;
+
+    if (!mfa_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: "mfa_token and either code or recovery_code are required",
+      });
+    }
+
+    const challenge = verifyChallengeToken(mfa_token, "2fa_login");
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired mfa_token. Please log in again" });
+    }
+
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, timezone, official_document_url, registration_number, website_url, verification_status, email_verified_at, phone_verified_at, failed_login_attempts, last_failed_login_at, locked_until, account_status, suspended_until, created_at, updated_at FROM users WHERE id = ?",
+        [challenge.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
     if (userResult.length === 0) {
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     const user = userResult[0];
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    // Failed codes count toward the same lockout as failed passwords
+    const blocked = await checkLoginAllowed({ user, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
 
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: "Invalid credentials" });
+    const isValid = await verifySecondFactor(challenge.id, {
+      code,
+      recovery_code,
+    });
+
+    if (!isValid) {
+      await recordLoginFailure({ user, ip: req.ip });
+      return res
+        .status(401)
+        .json({ error: "Invalid two-factor authentication code" });
     }
 
-    // Remove password_hash from user object before sending
-    delete user.password_hash;
+    const blockReason = getAccountBlockReason(user);
+    if (blockReason) {
+      return res.status(403).json({ error: blockReason });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "1d" }
-    );
+    delete user.failed_login_attempts;
+    delete user.last_failed_login_at;
+    delete user.locked_until;
+    delete user.account_status;
+    delete user.suspended_until;
+
+    await recordLoginSuccess({ user });
+
+    // Open a device session (short-lived access token + refresh token)
+    const session = await createSession(user, req);
 
-    // Return both token and user object
     res.status(200).json({
       message: "Login successful",
-      token: token,
+      ...session,
       user: user,
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("2FA login error:", error);
+    res.status(500).json({ error: "Internal server error during login" });
+  }
+});
+
+// POST /auth/login/otp/request - Text a one-time login code to a verified phone
+router.post("/login/otp/request", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({ error: "A valid phone number is required" });
+    }
+
+    const blocked = await checkOtpSendAllowed({ phone, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        `SELECT id, account_status, suspended_until, erased_at FROM users
+         WHERE contact_phone = ? AND phone_verified_at IS NOT NULL`,
+        [phone],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    const user = userResult[0];
+
+    // Only verified numbers of usable accounts get a code; the response is the same either way
+    if (user && !getAccountBlockReason(user)) {
+      await issueOtp({ userId: user.id, phone, purpose: "login", ip: req.ip });
+    }
+
+    res.status(200).json({
+      message:
+        "If this phone number is verified on an account, a login code has been sent",
+      expires_in_minutes: OTP_TTL_MINUTES,
+    });
+  } catch (error) {
+    console.error("OTP login request error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /auth/login/otp - Log in with a phone number and the texted code
+router.post("/login/otp", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const { code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({ error: "phone and code are required" });
+    }
+
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, timezone, official_document_url, registration_number, website_url, verification_status, email_verified_at, phone_verified_at, totp_enabled_at, failed_login_attempts, last_failed_login_at, locked_until, account_status, suspended_until, created_at, updated_at FROM users WHERE contact_phone = ? AND phone_verified_at IS NOT NULL",
+        [phone],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    const user = userResult[0] || null;
+
+    // Wrong codes count toward the same throttle and lockout as wrong passwords
+    const blocked = await checkLoginAllowed({ user, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const isValid =
+      user && (await verifyOtp({ userId: user.id, phone, purpose: "login", code }));
+
+    if (!isValid) {
+      await recordLoginFailure({ user, ip: req.ip });
+      return res.status(401).json({ error: "Invalid or expired code" });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("OTP login error:", error);
     res.status(500).json({ error: "Internal server error during login" });
   }
 });
 
+// POST /auth/phone/verify/request - Text a code to confirm the user's phone number
+router.post("/phone/verify/request", authenticateToken, async (req, res) => {
+  try {
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, contact_phone, phone_verified_at FROM users WHERE id = ?",
+        [req.user.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (userResult.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Defaults to the number on the profile; a new one is saved once confirmed
+    const phone = normalizePhone(req.body.phone || userResult[0].contact_phone);
+    if (!phone) {
+      return res.status(400).json({ error: "A valid phone number is required" });
+    }
+
+    if (userResult[0].phone_verified_at && userResult[0].contact_phone === phone) {
+      return res.status(400).json({ error: "Phone number is already verified" });
+    }
+
+    const blocked = await checkOtpSendAllowed({ phone, ip: req.ip });
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const result = await issueOtp({
+      userId: req.user.id,
+      phone,
+      purpose: "verify_phone",
+      ip: req.ip,
+    });
+
+    if (result?.skipped || result?.error) {
+      return res.status(502).json({
+        error: "Verification code could not be sent",
+      });
+    }
+
+    res.status(200).json({
+      message: "Verification code sent",
+      phone,
+      expires_in_minutes: OTP_TTL_MINUTES,
+    });
+  } catch (error) {
+    console.error("Phone verification request error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /auth/phone/verify - Confirm the phone number with the texted code
+router.post("/phone/verify", authenticateToken, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const { code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({ error: "phone and code are required" });
+    }
+
+    const isValid = await verifyOtp({
+      userId: req.user.id,
+      phone,
+      purpose: "verify_phone",
+      code,
+    });
+
+    if (!isValid) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
+
+    // A number can only log in to one account
+    const taken = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id FROM users WHERE contact_phone = ? AND phone_verified_at IS NOT NULL AND id != ?",
+        [phone, req.user.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (taken.length > 0) {
+      return res.status(409).json({
+        error: "This phone number is already verified on another account",
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.query(
+        "UPDATE users SET contact_phone = ?, phone_verified_at = NOW(), updated_at = NOW() WHERE id = ?",
+        [phone, req.user.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    res.status(200).json({
+      message: "Phone number verified successfully",
+      phone,
+    });
+  } catch (error) {
+    console.error("Phone verification error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // GET /auth/me - Get current user's profile with summary counts
 router.get("/me", authenticateToken, async (req, res) => {
   try {
@@ -231,7 +654,7 @@ router.get("/me", authenticateToken, async (req, res) => {
     // Fetch user profile (without password_hash)
     const userResult = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT id, username, email, contact_phone, role, specialty, language_pref, official_document_url, registration_number, website_url, verification_status, verification_requested_at, verified_at, created_at, updated_at FROM users WHERE id = ?",
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, timezone, official_document_url, registration_number, website_url, verification_status, verification_requested_at, verified_at, email_verified_at, phone_verified_at, created_at, updated_at FROM users WHERE id = ?",
         [userId],
         (err, results) => {
           if (err) reject(err);
@@ -377,9 +800,406 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
-// POST /auth/logout - Logout user and blacklist token
+// POST /auth/refresh - Exchange a refresh token for a new token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: "refresh_token is required" });
+    }
+
+    const session = await rotateSession(refresh_token, req);
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      ...session,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Internal server error during refresh" });
+  }
+});
+
+// GET /auth/sessions - List the current user's active device sessions
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await new Promise((resolve, reject) => {
+      db.query(
+        `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [req.user.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    res.status(200).json({
+      message: "Sessions retrieved successfully",
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /auth/sessions - Revoke all sessions except the current one
+router.delete("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.id, req.user.sid);
+
+    res.status(200).json({
+      message: "Other sessions revoked successfully",
+      revoked: result.affectedRows,
+    });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /auth/sessions/:id - Revoke a single device session
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+    if (Number.isNaN(sessionId)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+
+    const sessions = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, user_id, revoked_at FROM user_sessions WHERE id = ?",
+        [sessionId],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (sessions.length === 0 || sessions[0].user_id !== req.user.id) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (sessions[0].revoked_at) {
+      return res.status(400).json({ error: "Session is already revoked" });
+    }
+
+    await revokeSession(sessionId);
+
+    res.status(200).json({
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /auth/verify-email - Confirm an email address using the emailed token
+router.get("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ error: "token is required" });
+    }
+
+    const tokenResult = await new Promise((resolve, reject) => {
+      db.query(
+        `SELECT id, user_id FROM email_verification_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (tokenResult.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification token" });
+    }
+
+    const record = tokenResult[0];
+
+    // Conditional update so a token cannot be redeemed twice concurrently
+    const consumed = await new Promise((resolve, reject) => {
+      db.query(
+        "UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [record.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (consumed.affectedRows === 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired verification token" });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.query(
+        "UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = ?",
+        [record.user_id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    res.status(200).json({
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res
+      .status(500)
+      .json({ error: "Internal server error during email verification" });
+  }
+});
+
+// POST /auth/resend-verification - Send a new verification link
+router.post("/resend-verification", authenticateToken, async (req, res) => {
+  try {
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, username, email, email_verified_at FROM users WHERE id = ?",
+        [req.user.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (userResult.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const user = userResult[0];
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    const result = await sendVerificationEmail(user);
+
+    if (result?.skipped && result.reason === "rate-limited") {
+      return res.status(429).json({
+        error: "Too many emails sent to this address today. Try again later",
+      });
+    }
+
+    res.status(200).json({
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /auth/forgot-password - Email a single-use password reset link
+router.post("/forgot-password", async (req, res) => {
+  // Same response whether or not the email exists (don't reveal accounts)
+  const genericResponse = {
+    message:
+      "If an account with that email exists, a password reset link has been sent",
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const userResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, username, email FROM users WHERE email = ?",
+        [email],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (userResult.length === 0) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const user = userResult[0];
+
+    // Fire-and-forget reset email
+    sendPasswordResetEmail(user).catch((err) =>
+      console.error("[auth] reset email error:", err?.message || err)
+    );
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /auth/reset-password - Minimal form for the emailed link; submits to POST /auth/reset-password
+router.get("/reset-password", (req, res) => {
+  const token = typeof req.query.token === "string" ? req.query.token : "";
+
+  res.set("Content-Type", "text/html; charset=utf-8");
+  res.set("Referrer-Policy", "no-referrer");
+  res.set("Cache-Control", "no-store");
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>HealthPal - Reset your password</title></head>
+<body>
+  <h1>Reset your password</h1>
+  <form id="reset-form">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <p><label>New password <input type="password" name="new_password" minlength="6" required></label></p>
+    <p><label>Confirm password <input type="password" name="confirm_password" minlength="6" required></label></p>
+    <p><button type="submit">Reset password</button></p>
+  </form>
+  <p id="result" role="status"></p>
+  <script>
+    document.getElementById("reset-form").addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const body = Object.fromEntries(new FormData(event.target));
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+      document.getElementById("result").textContent =
+        data.message || data.error || "Something went wrong, please try again";
+      if (response.ok) event.target.remove();
+    });
+  </script>
+</body>
+</html>
+`);
+});
+
+// POST /auth/reset-password - Set a new password using a reset token
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, new_password, confirm_password } = req.body;
+
+    if (!token || !new_password || !confirm_password) {
+      return res.status(400).json({
+        error: "token, new_password, and confirm_password are required",
+      });
+    }
+
+    if (new_password !== confirm_password) {
+      return res.status(400).json({
+        error: "New password and confirm password do not match",
+      });
+    }
+
+    if (new_password.length < 6) {
+      return res.status(400).json({
+        error: "Password must be at least 6 characters long",
+      });
+    }
+
+    const tokenResult = await new Promise((resolve, reject) => {
+      db.query(
+        `SELECT id, user_id FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (tokenResult.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired password reset token" });
+    }
+
+    const resetRecord = tokenResult[0];
+
+    // Mark the token used first so a concurrent request cannot reuse it
+    const consumeResult = await new Promise((resolve, reject) => {
+      db.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [resetRecord.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (consumeResult.affectedRows === 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired password reset token" });
+    }
+
+    const saltRounds = 10;
+    const password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    await new Promise((resolve, reject) => {
+      db.query(
+        "UPDATE users SET password_hash = ?, failed_login_attempts = 0, locked_until = NULL, updated_at = NOW() WHERE id = ?",
+        [password_hash, resetRecord.user_id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    // Log out every device after a password reset
+    await revokeUserSessions(resetRecord.user_id);
+
+    res.status(200).json({
+      message: "Password has been reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res
+      .status(500)
+      .json({ error: "Internal server error during password reset" });
+  }
+});
+
+// POST /auth/logout - Logout user by revoking the current session
 router.post("/logout", authenticateToken, async (req, res) => {
   try {
+    if (req.user.sid) {
+      await revokeSession(req.user.sid);
+      return res.status(200).json({
+        message: "Logout successful",
+      });
+    }
+
+    // Legacy tokens without a session are blacklisted until they expire
     const authHeader = req.headers["authorization"];
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
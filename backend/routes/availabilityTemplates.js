@@ -0,0 +1,274 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const {
+  normalizeTemplateInput,
+  syncTemplateSlots,
+} = require("../utils/availability.js");
+const { resolveEventTimeZone } = require("../utils/timezones.js");
+const {
+  offerOpenSlotsForDoctor,
+  offerSlotsInBackground,
+} = require("../utils/waitlist.js");
+
+const JSON_FIELDS = ["days_of_week", "time_ranges", "exception_dates"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Helper to ensure a user is a doctor
+const ensureDoctorRole = (user) => {
+  if (user.role !== "doctor") {
+    const error = new Error("Only doctors can manage availability templates");
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+const fetchTemplate = async (id) => {
+  const results = await runQuery(
+    `SELECT t.*,
+      (SELECT COUNT(*) FROM consultation_slots s
+        WHERE s.template_id = t.id AND s.start_datetime > NOW()) AS upcoming_slots,
+      (SELECT COUNT(*) FROM consultation_slots s
+        WHERE s.template_id = t.id AND s.start_datetime > NOW() AND s.is_booked = TRUE) AS upcoming_booked_slots
+    FROM availability_templates t
+    WHERE t.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+// Load a template owned by the requesting doctor, or send the error response
+const loadOwnTemplate = async (req, res) => {
+  const template = await fetchTemplate(req.params.id);
+
+  if (!template) {
+    res.status(404).json({ error: "Availability template not found" });
+    return null;
+  }
+  if (template.doctor_id !== req.user.id) {
+    res.status(403).json({ error: "You can only manage your own templates" });
+    return null;
+  }
+  return template;
+};
+
+// Newly generated slots go to the doctor's waitlist first
+const offerNewSlots = (doctorId, generation) => {
+  if (generation.created > 0) {
+    offerSlotsInBackground(() => offerOpenSlotsForDoctor(doctorId));
+  }
+};
+
+const sendError = (res, error, fallback) => {
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode === 403 ? error.message : fallback,
+  });
+};
+
+// POST /availability-templates - Create a weekly template and generate its slots
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const { values, error } = normalizeTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.valid_from && values.valid_until && values.valid_until < values.valid_from) {
+      return res.status(400).json({ error: "valid_until must not be before valid_from" });
+    }
+
+    // Weekdays and time ranges are local to the template's zone
+    const { timeZone } = await resolveEventTimeZone(values.timezone, req.user.id);
+
+    const result = await runQuery(
+      `INSERT INTO availability_templates
+        (doctor_id, name, days_of_week, time_ranges, slot_minutes, buffer_minutes,
+         weeks_ahead, exception_dates, valid_from, valid_until, timezone, is_active, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        req.user.id,
+        values.name || null,
+        JSON.stringify(values.days_of_week),
+        JSON.stringify(values.time_ranges),
+        values.slot_minutes,
+        values.buffer_minutes ?? 0,
+        values.weeks_ahead ?? 4,
+        JSON.stringify(values.exception_dates || []),
+        values.valid_from || null,
+        values.valid_until || null,
+        timeZone,
+        values.is_active ?? true,
+      ]
+    );
+
+    const generation = await syncTemplateSlots(result.insertId);
+    offerNewSlots(req.user.id, generation);
+
+    res.status(201).json({
+      message: "Availability template created successfully",
+      template: await fetchTemplate(result.insertId),
+      generation,
+    });
+  } catch (error) {
+    console.error("Create availability template error:", error);
+    sendError(res, error, "Internal server error while creating availability template");
+  }
+});
+
+// GET /availability-templates - List the doctor's templates
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const templates = await runQuery(
+      `SELECT t.*,
+        (SELECT COUNT(*) FROM consultation_slots s
+          WHERE s.template_id = t.id AND s.start_datetime > NOW()) AS upcoming_slots
+      FROM availability_templates t
+      WHERE t.doctor_id = ?
+      ORDER BY t.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      message: "Availability templates retrieved successfully",
+      templates,
+    });
+  } catch (error) {
+    console.error("List availability templates error:", error);
+    sendError(res, error, "Internal server error while retrieving availability templates");
+  }
+});
+
+// GET /availability-templates/:id - Single template with upcoming slot counts
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      message: "Availability template retrieved successfully",
+      template,
+    });
+  } catch (error) {
+    console.error("Get availability template error:", error);
+    sendError(res, error, "Internal server error while retrieving availability template");
+  }
+});
+
+// PUT /availability-templates/:id - Change a template and regenerate its future slots
+router.put("/:id", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+
+    const { values, error } = normalizeTemplateInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    const validFrom = values.valid_from !== undefined ? values.valid_from : template.valid_from;
+    const validUntil = values.valid_until !== undefined ? values.valid_until : template.valid_until;
+    if (validFrom && validUntil && new Date(validUntil) < new Date(validFrom)) {
+      return res.status(400).json({ error: "valid_until must not be before valid_from" });
+    }
+
+    const updates = fields.map((field) => `${field} = ?`);
+    const params = fields.map((field) =>
+      JSON_FIELDS.includes(field) ? JSON.stringify(values[field]) : values[field]
+    );
+    updates.push("updated_at = NOW()");
+    params.push(template.id);
+
+    await runQuery(
+      `UPDATE availability_templates SET ${updates.join(", ")} WHERE id = ?`,
+      params
+    );
+
+    const generation = await syncTemplateSlots(template.id);
+    offerNewSlots(template.doctor_id, generation);
+
+    res.json({
+      message: "Availability template updated successfully",
+      template: await fetchTemplate(template.id),
+      generation,
+    });
+  } catch (error) {
+    console.error("Update availability template error:", error);
+    sendError(res, error, "Internal server error while updating availability template");
+  }
+});
+
+// POST /availability-templates/:id/generate - Regenerate slots now
+router.post("/:id/generate", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+
+    const generation = await syncTemplateSlots(template.id);
+    offerNewSlots(template.doctor_id, generation);
+
+    res.json({
+      message: "Slots generated successfully",
+      template: await fetchTemplate(template.id),
+      generation,
+    });
+  } catch (error) {
+    console.error("Generate template slots error:", error);
+    sendError(res, error, "Internal server error while generating slots");
+  }
+});
+
+// DELETE /availability-templates/:id - Remove a template and its unbooked future slots
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    ensureDoctorRole(req.user);
+
+    const template = await loadOwnTemplate(req, res);
+    if (!template) return;
+
+    // Deactivating first lets the generator clear unbooked slots; booked ones stay as plain slots
+    await runQuery(
+      "UPDATE availability_templates SET is_active = FALSE WHERE id = ?",
+      [template.id]
+    );
+    const generation = await syncTemplateSlots(template.id);
+
+    await runQuery(
+      "UPDATE consultation_slots SET template_id = NULL WHERE template_id = ?",
+      [template.id]
+    );
+    await runQuery("DELETE FROM availability_templates WHERE id = ?", [template.id]);
+
+    res.json({
+      message: "Availability template deleted successfully",
+      removed_slots: generation.removed,
+    });
+  } catch (error) {
+    console.error("Delete availability template error:", error);
+    sendError(res, error, "Internal server error while deleting availability template");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const { hashToken } = require("../utils/sessions.js");
+const { buildCalendar } = require("../utils/ical.js");
+
+// Past events stay in the feed this long so recent history is still visible
+const FEED_PAST_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const CONSULTATION_STATUS = {
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+};
+
+const feedUrl = (token) => `${global.base_url}/calendar/feeds/${token}.ics`;
+
+// Consultations keep their UID across reschedules, so moves and cancellations update in place
+const consultationEvent = (row, summary) => ({
+  uid: `consultation-${row.id}`,
+  start: row.start_datetime,
+  end: row.end_datetime,
+  summary: row.status === "pending" ? `${summary} (requested)` : summary,
+  description: `HealthPal ${row.mode} consultation. Status: ${row.status}.`,
+  status: CONSULTATION_STATUS[row.status] || "CONFIRMED",
+  updatedAt: row.updated_at || row.created_at,
+});
+
+const buildDoctorEvents = async (userId) => {
+  const slots = await runQuery(
+    `SELECT id, start_datetime, end_datetime, updated_at, created_at
+     FROM consultation_slots
+     WHERE doctor_id = ? AND is_booked = FALSE AND consultation_id IS NULL
+       AND end_datetime > NOW() - INTERVAL ? DAY`,
+    [userId, FEED_PAST_DAYS]
+  );
+
+  const consultations = await runQuery(
+    `SELECT c.id, c.status, c.mode, c.created_at, c.updated_at,
+       s.start_datetime, s.end_datetime, p.username AS patient_username
+     FROM consultations c
+     JOIN consultation_slots s ON c.slot_id = s.id
+     JOIN users p ON c.patient_id = p.id
+     WHERE c.doctor_id = ? AND s.end_datetime > NOW() - INTERVAL ? DAY`,
+    [userId, FEED_PAST_DAYS]
+  );
+
+  return [
+    ...slots.map((slot) => ({
+      uid: `slot-${slot.id}`,
+      start: slot.start_datetime,
+      end: slot.end_datetime,
+      summary: "Open consultation slot",
+      transparent: true,
+      updatedAt: slot.updated_at || slot.created_at,
+    })),
+    ...consultations.map((row) =>
+      consultationEvent(row, `Consultation with ${row.patient_username}`)
+    ),
+  ];
+};
+
+const buildPatientEvents = async (userId) => {
+  // Includes bookings made for dependents
+  const consultations = await runQuery(
+    `SELECT c.id, c.status, c.mode, c.patient_id, c.created_at, c.updated_at,
+       s.start_datetime, s.end_datetime, d.username AS doctor_username,
+       p.username AS patient_username
+     FROM consultations c
+     JOIN consultation_slots s ON c.slot_id = s.id
+     JOIN users d ON c.doctor_id = d.id
+     JOIN users p ON c.patient_id = p.id
+     WHERE (c.patient_id = ? OR c.booked_by = ?)
+       AND s.end_datetime > NOW() - INTERVAL ? DAY`,
+    [userId, userId, FEED_PAST_DAYS]
+  );
+
+  const workshops = await runQuery(
+    `SELECT w.id, w.title, w.description, w.mode, w.location, w.date, w.duration,
+       w.created_at, w.updated_at
+     FROM workshop_registrations r
+     JOIN workshops w ON r.workshop_id = w.id
+     WHERE r.user_id = ? AND w.approved = TRUE
+       AND w.date > NOW() - INTERVAL ? DAY`,
+    [userId, FEED_PAST_DAYS]
+  );
+
+  const missions = await runQuery(
+    `SELECT m.id, m.title, m.description, m.location, m.status,
+       m.start_datetime, m.end_datetime, m.created_at, m.updated_at
+     FROM mission_registrations r
+     JOIN missions m ON r.mission_id = m.id
+     WHERE r.patient_id = ? AND m.end_datetime > NOW() - INTERVAL ? DAY`,
+    [userId, FEED_PAST_DAYS]
+  );
+
+  return [
+    ...consultations.map((row) =>
+      consultationEvent(
+        row,
+        row.patient_id === userId
+          ? `Consultation with Dr. ${row.doctor_username}`
+          : `Consultation for ${row.patient_username} with Dr. ${row.doctor_username}`
+      )
+    ),
+    ...workshops.map((workshop) => ({
+      uid: `workshop-${workshop.id}`,
+      start: workshop.date,
+      end: new Date(new Date(workshop.date).getTime() + workshop.duration * 60 * 1000),
+      summary: `Workshop: ${workshop.title}`,
+      description: workshop.description,
+      location: workshop.mode === "online" ? "Online" : workshop.location,
+      updatedAt: workshop.updated_at || workshop.created_at,
+    })),
+    ...missions.map((mission) => ({
+      uid: `mission-${mission.id}`,
+      start: mission.start_datetime,
+      end: mission.end_datetime || new Date(new Date(mission.start_datetime).getTime() + HOUR_MS),
+      summary: `Medical mission: ${mission.title}`,
+      description: mission.description,
+      location: mission.location,
+      status: mission.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+      updatedAt: mission.updated_at || mission.created_at,
+    })),
+  ];
+};
+
+// GET /calendar/feed - Whether I have an active calendar feed
+router.get("/feed", authenticateToken, async (req, res) => {
+  try {
+    const feeds = await runQuery(
+      "SELECT created_at, last_accessed_at FROM calendar_feeds WHERE user_id = ?",
+      [req.user.id]
+    );
+
+    res.json({
+      message: "Calendar feed retrieved successfully",
+      active: feeds.length > 0,
+      feed: feeds[0] || null,
+    });
+  } catch (error) {
+    console.error("Error fetching calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /calendar/feed - Create my private feed URL, or rotate it (the old URL stops working)
+router.post("/feed", authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await runQuery(
+      `INSERT INTO calendar_feeds (user_id, token_hash, created_at)
+       VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = NOW(),
+         last_accessed_at = NULL`,
+      [req.user.id, hashToken(token)]
+    );
+
+    const url = feedUrl(token);
+
+    // The token is only stored hashed, so this is the one time the URL is shown
+    res.status(201).json({
+      message: "Calendar feed created. Keep this URL private; anyone with it can read your schedule",
+      url,
+      webcal_url: url.replace(/^https?:/, "webcal:"),
+    });
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /calendar/feed - Revoke my feed URL
+router.delete("/feed", authenticateToken, async (req, res) => {
+  try {
+    const result = await runQuery("DELETE FROM calendar_feeds WHERE user_id = ?", [
+      req.user.id,
+    ]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "No calendar feed to revoke" });
+    }
+
+    res.json({ message: "Calendar feed revoked" });
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /calendar/feeds/:token.ics - The feed itself (no login; the token is the credential)
+router.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const feeds = await runQuery(
+      `SELECT f.id, u.id AS user_id, u.username, u.role
+       FROM calendar_feeds f
+       JOIN users u ON f.user_id = u.id
+       WHERE f.token_hash = ? AND u.erased_at IS NULL AND u.account_status = 'active'`,
+      [hashToken(String(req.params.token))]
+    );
+
+    if (feeds.length === 0) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const feed = feeds[0];
+    const events =
+      feed.role === "doctor"
+        ? await buildDoctorEvents(feed.user_id)
+        : await buildPatientEvents(feed.user_id);
+
+    await runQuery("UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = ?", [
+      feed.id,
+    ]);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="healthpal.ics"');
+    res.set("Cache-Control", "private, no-cache");
+    res.send(buildCalendar(`HealthPal - ${feed.username}`, events));
+  } catch (error) {
+    console.error("Error building calendar feed:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
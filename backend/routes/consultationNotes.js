@@ -0,0 +1,453 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const { isActiveGuardian } = require("../utils/guardians.js");
+const { recordAccess } = require("../utils/accessAudit.js");
+const { createNotification } = require("../utils/notifications.js");
+
+const SOAP_FIELDS = ["subjective", "objective", "assessment", "plan"];
+const MAX_SECTION_LENGTH = 10000;
+const MAX_DIAGNOSIS_CODES = 20;
+// ICD-10 style codes, e.g. J45 or E11.9
+const DIAGNOSIS_CODE_PATTERN = /^[A-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+const EDITABLE_STATUSES = ["confirmed", "completed"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const getConnection = () =>
+  new Promise((resolve, reject) => {
+    db.getConnection((err, connection) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+
+const queryConnection = (connection, sql, params = []) =>
+  new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const REVISION_COLUMNS = `r.id, r.revision, r.subjective, r.objective, r.assessment, r.plan,
+  r.diagnosis_codes, r.author_id, a.username AS author_username, r.created_at`;
+
+const fetchRevision = async (revisionId) => {
+  if (!revisionId) return null;
+  const results = await runQuery(
+    `SELECT ${REVISION_COLUMNS}
+     FROM consultation_note_revisions r
+     JOIN users a ON r.author_id = a.id
+     WHERE r.id = ?`,
+    [revisionId]
+  );
+  return results[0] || null;
+};
+
+const fetchNote = async (consultationId) => {
+  const results = await runQuery(
+    `SELECT n.*, s.username AS signed_by_username
+     FROM consultation_notes n
+     LEFT JOIN users s ON n.signed_by = s.id
+     WHERE n.consultation_id = ?`,
+    [consultationId]
+  );
+  return results[0] || null;
+};
+
+const fetchConsultation = async (consultationId) => {
+  const results = await runQuery(
+    "SELECT id, patient_id, doctor_id, status FROM consultations WHERE id = ?",
+    [consultationId]
+  );
+  return results[0] || null;
+};
+
+// Validated diagnosis codes, or an error message
+const parseDiagnosisCodes = (codes) => {
+  if (!Array.isArray(codes)) {
+    return { error: "diagnosis_codes must be an array of codes" };
+  }
+  if (codes.length > MAX_DIAGNOSIS_CODES) {
+    return { error: `At most ${MAX_DIAGNOSIS_CODES} diagnosis codes are allowed` };
+  }
+
+  const normalized = [];
+  for (const code of codes) {
+    const value = typeof code === "string" ? code.trim().toUpperCase() : "";
+    if (!DIAGNOSIS_CODE_PATTERN.test(value)) {
+      return { error: `Invalid diagnosis code: ${code}. Use ICD-10 codes such as E11.9` };
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+  return { codes: normalized };
+};
+
+const formatNote = (note, revision) => ({
+  consultation_id: note.consultation_id,
+  current_revision: note.current_revision,
+  signed_revision: note.signed_revision,
+  signed_at: note.signed_at,
+  signed_by: note.signed_by,
+  signed_by_username: note.signed_by_username,
+  has_unsigned_changes: note.current_revision !== note.signed_revision,
+  revision,
+});
+
+// GET /consultation-notes/:consultationId - Doctor sees the latest revision; patient only the signed one
+router.get("/:consultationId", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const consultation = await fetchConsultation(req.params.consultationId);
+
+    if (!consultation) {
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    const isDoctor = consultation.doctor_id === userId;
+    if (
+      !isDoctor &&
+      consultation.patient_id !== userId &&
+      !(await isActiveGuardian(userId, consultation.patient_id))
+    ) {
+      return res.status(403).json({
+        error: "You can only view notes of your own consultations",
+      });
+    }
+
+    const note = await fetchNote(consultation.id);
+    const revisionId = note && (isDoctor ? note.current_revision_id : note.signed_revision_id);
+
+    if (!revisionId) {
+      return res.status(404).json({
+        error: isDoctor
+          ? "No clinical notes have been written for this consultation"
+          : "No signed clinical notes are available for this consultation yet",
+      });
+    }
+
+    recordAccess({
+      req,
+      patientId: consultation.patient_id,
+      resourceType: "clinical_note",
+      resourceId: note.id,
+    });
+
+    res.json({
+      message: "Clinical notes retrieved successfully",
+      notes: formatNote(note, await fetchRevision(revisionId)),
+    });
+  } catch (error) {
+    console.error("Error fetching clinical notes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /consultation-notes/:consultationId - Doctor saves a new revision (earlier revisions are never changed)
+router.put("/:consultationId", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { diagnosis_codes, base_revision } = req.body;
+  let connection;
+
+  for (const field of SOAP_FIELDS) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return res.status(400).json({ error: `${field} must be text` });
+    }
+    if (typeof value === "string" && value.length > MAX_SECTION_LENGTH) {
+      return res.status(400).json({
+        error: `${field} must be at most ${MAX_SECTION_LENGTH} characters`,
+      });
+    }
+  }
+
+  let codes;
+  if (diagnosis_codes !== undefined) {
+    const parsed = parseDiagnosisCodes(diagnosis_codes);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    codes = parsed.codes;
+  }
+
+  try {
+    connection = await getConnection();
+    await queryConnection(connection, "START TRANSACTION");
+
+    // Locking the consultation serializes concurrent saves of its notes
+    const consultationResult = await queryConnection(
+      connection,
+      "SELECT id, patient_id, doctor_id, status FROM consultations WHERE id = ? FOR UPDATE",
+      [req.params.consultationId]
+    );
+
+    if (consultationResult.length === 0) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    const consultation = consultationResult[0];
+
+    if (consultation.doctor_id !== userId) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(403).json({
+        error: "Only the consultation's doctor can write clinical notes",
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(consultation.status)) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({
+        error: `Notes cannot be written for a ${consultation.status} consultation`,
+      });
+    }
+
+    const notes = await queryConnection(
+      connection,
+      "SELECT * FROM consultation_notes WHERE consultation_id = ?",
+      [consultation.id]
+    );
+    let note = notes[0] || null;
+
+    // Saving over a revision the doctor has not seen would silently drop someone's edit
+    const currentRevision = note ? note.current_revision : 0;
+    if (base_revision !== undefined && Number(base_revision) !== currentRevision) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(409).json({
+        error: "The notes were changed since you loaded them. Reload and apply your edits again",
+        current_revision: currentRevision,
+      });
+    }
+
+    const previous = note
+      ? (
+          await queryConnection(
+            connection,
+            "SELECT * FROM consultation_note_revisions WHERE id = ?",
+            [note.current_revision_id]
+          )
+        )[0]
+      : null;
+
+    // Sections left out of the request carry over from the previous revision
+    const next = {};
+    SOAP_FIELDS.forEach((field) => {
+      next[field] =
+        req.body[field] !== undefined
+          ? req.body[field] || null
+          : previous?.[field] ?? null;
+    });
+    next.diagnosis_codes = codes !== undefined ? codes : previous?.diagnosis_codes || [];
+
+    const isEmpty =
+      SOAP_FIELDS.every((field) => !next[field]) && next.diagnosis_codes.length === 0;
+    const unchanged =
+      previous &&
+      SOAP_FIELDS.every((field) => next[field] === previous[field]) &&
+      JSON.stringify(next.diagnosis_codes) === JSON.stringify(previous.diagnosis_codes || []);
+    if (previous ? unchanged : isEmpty) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({ error: "No changes to save" });
+    }
+
+    if (!note) {
+      const noteResult = await queryConnection(
+        connection,
+        `INSERT INTO consultation_notes (consultation_id, created_at)
+         VALUES (?, NOW())`,
+        [consultation.id]
+      );
+      note = { id: noteResult.insertId };
+    }
+
+    const revision = currentRevision + 1;
+    const revisionResult = await queryConnection(
+      connection,
+      `INSERT INTO consultation_note_revisions
+        (note_id, revision, subjective, objective, assessment, plan, diagnosis_codes, author_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        note.id,
+        revision,
+        next.subjective,
+        next.objective,
+        next.assessment,
+        next.plan,
+        JSON.stringify(next.diagnosis_codes),
+        userId,
+      ]
+    );
+
+    await queryConnection(
+      connection,
+      `UPDATE consultation_notes
+       SET current_revision_id = ?, current_revision = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [revisionResult.insertId, revision, note.id]
+    );
+
+    await queryConnection(connection, "COMMIT");
+
+    recordAccess({
+      req,
+      patientId: consultation.patient_id,
+      resourceType: "clinical_note",
+      resourceId: note.id,
+      action: revision === 1 ? "create" : "update",
+    });
+
+    const saved = await fetchNote(consultation.id);
+
+    res.status(revision === 1 ? 201 : 200).json({
+      message: "Clinical notes saved. Sign them to share this revision with the patient",
+      notes: formatNote(saved, await fetchRevision(revisionResult.insertId)),
+    });
+  } catch (error) {
+    if (connection) {
+      try {
+        await queryConnection(connection, "ROLLBACK");
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Error saving clinical notes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// POST /consultation-notes/:consultationId/sign - Doctor signs off the latest revision for the patient
+router.post("/:consultationId/sign", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { revision } = req.body;
+    const consultation = await fetchConsultation(req.params.consultationId);
+
+    if (!consultation) {
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    if (consultation.doctor_id !== userId) {
+      return res.status(403).json({
+        error: "Only the consultation's doctor can sign clinical notes",
+      });
+    }
+
+    const note = await fetchNote(consultation.id);
+    if (!note) {
+      return res.status(404).json({
+        error: "No clinical notes have been written for this consultation",
+      });
+    }
+
+    // The doctor must sign the revision they reviewed, not one saved in the meantime
+    if (revision === undefined) {
+      return res.status(400).json({ error: "revision is required" });
+    }
+
+    if (note.signed_revision === note.current_revision) {
+      return res.status(400).json({ error: "The latest revision is already signed" });
+    }
+
+    const result = await runQuery(
+      `UPDATE consultation_notes
+       SET signed_revision_id = current_revision_id, signed_revision = current_revision,
+           signed_by = ?, signed_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND current_revision = ?`,
+      [userId, note.id, Number(revision)]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        error: "A newer revision was saved. Review it before signing",
+        current_revision: note.current_revision,
+      });
+    }
+
+    createNotification({
+      userId: consultation.patient_id,
+      type: "clinical_note",
+      title: "Your consultation notes are available",
+      resourceType: "consultation",
+      resourceId: consultation.id,
+    }).catch((err) =>
+      console.error("[consultation-notes] notification error:", err?.message || err)
+    );
+
+    const signed = await fetchNote(consultation.id);
+
+    res.json({
+      message: "Clinical notes signed and shared with the patient",
+      notes: formatNote(signed, await fetchRevision(signed.signed_revision_id)),
+    });
+  } catch (error) {
+    console.error("Error signing clinical notes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /consultation-notes/:consultationId/revisions - Full edit history (doctor only)
+router.get("/:consultationId/revisions", authenticateToken, async (req, res) => {
+  try {
+    const consultation = await fetchConsultation(req.params.consultationId);
+
+    if (!consultation) {
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    if (consultation.doctor_id !== req.user.id) {
+      return res.status(403).json({
+        error: "Only the consultation's doctor can view the revision history",
+      });
+    }
+
+    const note = await fetchNote(consultation.id);
+    if (!note) {
+      return res.json({
+        message: "Revisions retrieved successfully",
+        signed_revision: null,
+        revisions: [],
+      });
+    }
+
+    const revisions = await runQuery(
+      `SELECT ${REVISION_COLUMNS}
+       FROM consultation_note_revisions r
+       JOIN users a ON r.author_id = a.id
+       WHERE r.note_id = ?
+       ORDER BY r.revision DESC`,
+      [note.id]
+    );
+
+    recordAccess({
+      req,
+      patientId: consultation.patient_id,
+      resourceType: "clinical_note",
+      resourceId: note.id,
+    });
+
+    res.json({
+      message: "Revisions retrieved successfully",
+      signed_revision: note.signed_revision,
+      revisions,
+    });
+  } catch (error) {
+    console.error("Error fetching clinical note revisions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
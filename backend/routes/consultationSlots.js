@@ -2,6 +2,26 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const { skipTemplateSlot, removeSlots } = require("../utils/availability.js");
+const {
+  offerOpenSlotsForDoctor,
+  offerSlotsInBackground,
+} = require("../utils/waitlist.js");
+const { recordStatusChange } = require("../utils/consultationStatus.js");
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTimeInput,
+  toUtcDatetime,
+  withLocalTimes,
+  resolveEventTimeZone,
+} = require("../utils/timezones.js");
+
+const SLOT_TIME_FIELDS = ["start_datetime", "end_datetime"];
+
+// Slots carry UTC times plus *_local times in the slot's zone (or ?tz=)
+const localizeSlot = (slot, req) => withLocalTimes(slot, SLOT_TIME_FIELDS, req.query.tz);
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -31,6 +51,7 @@ router.post("/", authenticateToken, async (req, res) => {
       end_datetime,
       recurrence_count, // optional: number of extra slots
       recurrence_interval_days, // optional: days between repeats (default 7)
+      timezone, // optional: IANA zone, defaults to the doctor's
     } = req.body;
 
     if (!start_datetime || !end_datetime) {
@@ -39,10 +60,19 @@ router.post("/", authenticateToken, async (req, res) => {
       });
     }
 
-    const start = new Date(start_datetime);
-    const end = new Date(end_datetime);
+    const { timeZone, error: timeZoneError } = await resolveEventTimeZone(
+      timezone,
+      doctorId
+    );
+    if (timeZoneError) {
+      return res.status(400).json({ error: timeZoneError });
+    }
 
-    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    // Times without an offset are wall-clock times in the slot's zone
+    const start = parseDateTimeInput(start_datetime, timeZone);
+    const end = parseDateTimeInput(end_datetime, timeZone);
+
+    if (!start || !end) {
       return res.status(400).json({
         error: "Invalid start_datetime or end_datetime format",
       });
@@ -71,24 +101,27 @@ router.post("/", authenticateToken, async (req, res) => {
       });
     }
 
+    // Repeats keep the same local time of day across DST changes
+    const localStart = getZonedParts(start, timeZone);
+    const durationMs = end.getTime() - start.getTime();
+
     const slotsToCreate = [];
     for (let i = 0; i <= count; i += 1) {
-      const slotStart = new Date(start.getTime());
-      const slotEnd = new Date(end.getTime());
-      if (i > 0) {
-        slotStart.setDate(slotStart.getDate() + i * intervalDays);
-        slotEnd.setDate(slotEnd.getDate() + i * intervalDays);
-      }
-      // Convert to MySQL datetime format: YYYY-MM-DD HH:MM:SS
-      const mysqlStart = slotStart.toISOString().slice(0, 19).replace('T', ' ');
-      const mysqlEnd = slotEnd.toISOString().slice(0, 19).replace('T', ' ');
-      const mysqlCreated = new Date().toISOString().slice(0, 19).replace('T', ' ');
-      slotsToCreate.push([doctorId, mysqlStart, mysqlEnd, false, null, mysqlCreated, null]);
+      const slotStart = zonedTimeToUtc(
+        { ...localStart, day: localStart.day + i * intervalDays },
+        timeZone
+      );
+      const slotEnd = new Date(slotStart.getTime() + durationMs);
+      // Stored as UTC in MySQL datetime format: YYYY-MM-DD HH:MM:SS
+      const mysqlStart = toUtcDatetime(slotStart);
+      const mysqlEnd = toUtcDatetime(slotEnd);
+      const mysqlCreated = toUtcDatetime(new Date());
+      slotsToCreate.push([doctorId, mysqlStart, mysqlEnd, timeZone, false, null, mysqlCreated, null]);
     }
 
     const insertSql = `
       INSERT INTO consultation_slots
-        (doctor_id, start_datetime, end_datetime, is_booked, consultation_id, created_at, updated_at)
+        (doctor_id, start_datetime, end_datetime, timezone, is_booked, consultation_id, created_at, updated_at)
       VALUES ?
     `;
 
@@ -107,9 +140,12 @@ router.post("/", authenticateToken, async (req, res) => {
       [ids]
     );
 
+    // Patients waiting on this doctor get the new slots first
+    offerSlotsInBackground(() => offerOpenSlotsForDoctor(doctorId));
+
     res.status(201).json({
       message: "Consultation slot(s) created successfully",
-      slots: createdSlots,
+      slots: createdSlots.map((slot) => localizeSlot(slot, req)),
     });
   } catch (error) {
     console.error("Create consultation slots error:", error);
@@ -165,6 +201,13 @@ router.get("/", authenticateToken, async (req, res) => {
       params.push(doctor_id);
       conditions.push("is_booked = FALSE");
       conditions.push("end_datetime > NOW()");
+      // Slots held for someone else on the waitlist are not bookable
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM slot_holds h
+        WHERE h.slot_id = consultation_slots.id AND h.status = 'active'
+          AND h.expires_at > NOW() AND h.patient_id != ?
+      )`);
+      params.push(userId);
     } else {
       if (doctor_id) {
         conditions.push("doctor_id = ?");
@@ -185,26 +228,29 @@ router.get("/", authenticateToken, async (req, res) => {
       params.push(bookedVal ? 1 : 0);
     }
 
+    if (req.query.tz !== undefined && !isValidTimeZone(req.query.tz)) {
+      return res.status(400).json({ error: "tz must be an IANA time zone such as Asia/Gaza" });
+    }
+
+    // from/to without an offset are read in ?tz=, else UTC
+    const filterTimeZone = req.query.tz || "UTC";
+
     if (from) {
-      const fromDate = new Date(from);
-      if (Number.isNaN(fromDate.getTime())) {
+      const fromDate = parseDateTimeInput(from, filterTimeZone);
+      if (!fromDate) {
         return res.status(400).json({ error: "Invalid from date" });
       }
-      // Convert to MySQL datetime format: YYYY-MM-DD HH:MM:SS
-      const mysqlFrom = fromDate.toISOString().slice(0, 19).replace('T', ' ');
       conditions.push("start_datetime >= ?");
-      params.push(mysqlFrom);
+      params.push(toUtcDatetime(fromDate));
     }
 
     if (to) {
-      const toDate = new Date(to);
-      if (Number.isNaN(toDate.getTime())) {
+      const toDate = parseDateTimeInput(to, filterTimeZone);
+      if (!toDate) {
         return res.status(400).json({ error: "Invalid to date" });
       }
-      // Convert to MySQL datetime format: YYYY-MM-DD HH:MM:SS
-      const mysqlTo = toDate.toISOString().slice(0, 19).replace('T', ' ');
       conditions.push("end_datetime <= ?");
-      params.push(mysqlTo);
+      params.push(toUtcDatetime(toDate));
     }
 
     const whereClause =
@@ -221,7 +267,7 @@ router.get("/", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Consultation slots retrieved successfully",
-      slots: data,
+      slots: data.map((slot) => localizeSlot(slot, req)),
       meta: { page: pageNum, limit: limitNum },
     });
   } catch (error) {
@@ -264,7 +310,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Consultation slot retrieved successfully",
-      slot,
+      slot: localizeSlot(slot, req),
     });
   } catch (error) {
     console.error("Get consultation slot error:", error);
@@ -307,37 +353,52 @@ router.put("/:id", authenticateToken, async (req, res) => {
     const {
       start_datetime,
       end_datetime,
+      timezone,
     } = req.body;
 
     const updates = [];
     const params = [];
 
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+      updates.push("timezone = ?");
+      params.push(timezone);
+    }
+
+    const timeZone = timezone || slot.timezone;
+
     if (start_datetime !== undefined) {
-      const start = new Date(start_datetime);
-      if (Number.isNaN(start.getTime())) {
+      const start = parseDateTimeInput(start_datetime, timeZone);
+      if (!start) {
         return res.status(400).json({ error: "Invalid start_datetime" });
       }
-      // Convert to MySQL datetime format: YYYY-MM-DD HH:MM:SS
-      const mysqlStart = start.toISOString().slice(0, 19).replace('T', ' ');
       updates.push("start_datetime = ?");
-      params.push(mysqlStart);
+      params.push(toUtcDatetime(start));
     }
 
     if (end_datetime !== undefined) {
-      const end = new Date(end_datetime);
-      if (Number.isNaN(end.getTime())) {
+      const end = parseDateTimeInput(end_datetime, timeZone);
+      if (!end) {
         return res.status(400).json({ error: "Invalid end_datetime" });
       }
-      // Convert to MySQL datetime format: YYYY-MM-DD HH:MM:SS
-      const mysqlEnd = end.toISOString().slice(0, 19).replace('T', ' ');
       updates.push("end_datetime = ?");
-      params.push(mysqlEnd);
+      params.push(toUtcDatetime(end));
     }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: "No fields to update" });
     }
 
+    // An edited slot is detached from its template so regeneration leaves it alone
+    if (slot.template_id) {
+      updates.push("template_id = NULL");
+      await skipTemplateSlot(slot.template_id, slot.start_datetime);
+    }
+
     updates.push("updated_at = NOW()");
     params.push(slotId);
 
@@ -353,7 +414,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Consultation slot updated successfully",
-      slot: updated,
+      slot: localizeSlot(updated, req),
     });
   } catch (error) {
     console.error("Update consultation slot error:", error);
@@ -405,31 +466,46 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       );
 
       if (slot.is_booked && slot.consultation_id) {
-        // Cancel the associated consultation if slot is booked
+        const booked = await new Promise((resolve, reject) => {
+          connection.query(
+            "SELECT id, status FROM consultations WHERE id = ? FOR UPDATE",
+            [slot.consultation_id],
+            (err, result) => {
+              if (err) reject(err);
+              else resolve(result[0] || null);
+            }
+          );
+        });
+
+        // Cancel the associated consultation if it is still open; it keeps its
+        // slot_id so the history still shows when it was scheduled
+        const cancel = booked && ["pending", "confirmed"].includes(booked.status);
         await new Promise((resolve, reject) => {
           connection.query(
             `UPDATE consultations
-               SET status = 'cancelled', slot_id = NULL, updated_at = NOW()
+               SET status = IF(?, 'cancelled', status), updated_at = NOW()
              WHERE id = ?`,
-            [slot.consultation_id],
+            [cancel, slot.consultation_id],
             (err, result) => {
               if (err) reject(err);
               else resolve(result);
             }
           );
         });
+
+        if (cancel) {
+          await recordStatusChange(connection, {
+            consultationId: booked.id,
+            fromStatus: booked.status,
+            toStatus: "cancelled",
+            changedBy: doctorId,
+            reason: "The doctor removed the consultation slot",
+          });
+        }
       }
 
-      await new Promise((resolve, reject) => {
-        connection.query(
-          "DELETE FROM consultation_slots WHERE id = ?",
-          [slotId],
-          (err, result) => {
-            if (err) reject(err);
-            else resolve(result);
-          }
-        );
-      });
+      // Retired rather than deleted while a consultation still points at it
+      await removeSlots(connection, [slotId]);
 
       await new Promise((resolve, reject) =>
         connection.query("COMMIT", (err) =>
@@ -445,6 +521,10 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       connection.release();
     }
 
+    if (slot.template_id) {
+      await skipTemplateSlot(slot.template_id, slot.start_datetime);
+    }
+
     res.json({
       message: "Consultation slot deleted successfully",
     });
@@ -2,14 +2,39 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
-const requireRole = require("../middleware/roleCheck.js");
-const { sendEmail } = require("../utils/mailer.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { hasPermission } = require("../utils/permissions.js");
+const { sendEmail, escapeHtml } = require("../utils/mailer.js");
+const {
+  isActiveGuardian,
+  recordGuardianAction,
+} = require("../utils/guardians.js");
+const { formatForDisplay } = require("../utils/timezones.js");
+const {
+  getActiveHold,
+  markHoldClaimed,
+  offerSlotToWaitlist,
+  offerSlotsInBackground,
+} = require("../utils/waitlist.js");
+const {
+  CONSULTATION_STATUSES,
+  REASON_REQUIRED,
+  MAX_REASON_LENGTH,
+  allowedTransitions,
+  canTransition,
+  recordStatusChange,
+} = require("../utils/consultationStatus.js");
 
 // Validate that authenticateToken is a function
 if (typeof authenticateToken !== "function") {
   throw new Error("authenticateToken middleware must be a function");
 }
 
+// Columns returned to clients. The legacy free-text `notes` column is left
+// out; clinical notes are served, with their access checks, by /consultation-notes
+const CONSULTATION_COLUMNS = `id, patient_id, doctor_id, specialty, status, mode, slot_id,
+  booked_by, call_started_at, call_ended_at, created_at, updated_at`;
+
 // Helper to run queries with promises
 const getConnection = () =>
   new Promise((resolve, reject) => {
@@ -30,7 +55,32 @@ const queryConnection = (connection, sql, params = []) =>
 const getUserById = (id) =>
   new Promise((resolve, reject) => {
     db.query(
-      "SELECT id, name, email, role FROM users WHERE id = ?",
+      "SELECT id, username AS name, email, role, timezone FROM users WHERE id = ?",
+      [id],
+      (err, results) => {
+        if (err) reject(err);
+        else resolve(results[0] || null);
+      }
+    );
+  });
+
+const getVerificationStatus = (id) =>
+  new Promise((resolve, reject) => {
+    db.query(
+      "SELECT verification_status FROM users WHERE id = ?",
+      [id],
+      (err, results) => {
+        if (err) reject(err);
+        else resolve(results[0] || null);
+      }
+    );
+  });
+
+const getSlotById = (id) =>
+  new Promise((resolve, reject) => {
+    if (!id) return resolve(null);
+    db.query(
+      "SELECT id, start_datetime, end_datetime, timezone FROM consultation_slots WHERE id = ?",
       [id],
       (err, results) => {
         if (err) reject(err);
@@ -39,19 +89,35 @@ const getUserById = (id) =>
     );
   });
 
-// POST /consultations - Patient creates a new consultation
+// POST /consultations - Patient (or their guardian, via patient_id) creates a new consultation
 router.post("/", authenticateToken, async (req, res) => {
   const userId = req.user.id;
   const userRole = req.user.role;
 
-  if (userRole !== "patient") {
+  const { doctor_id, slot_id, mode, notes, patient_id } = req.body;
+
+  // Guardians book for a dependent by passing the dependent's patient_id
+  const actingForDependent =
+    patient_id !== undefined && patient_id !== null && Number(patient_id) !== userId;
+  const patientId = actingForDependent ? Number(patient_id) : userId;
+
+  if (actingForDependent) {
+    try {
+      if (!(await isActiveGuardian(userId, patientId))) {
+        return res.status(403).json({
+          error: "You are not an active guardian of this patient",
+        });
+      }
+    } catch (error) {
+      console.error("Guardian check error:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  } else if (userRole !== "patient") {
     return res.status(403).json({
       error: "Only patients can create consultations",
     });
   }
 
-  const { doctor_id, slot_id, mode, notes } = req.body;
-
   // Validate required fields
   if (!doctor_id || !slot_id || !mode) {
     return res.status(400).json({
@@ -83,7 +149,7 @@ router.post("/", authenticateToken, async (req, res) => {
     // Ensure doctor exists and has doctor role
     const doctorResult = await queryConnection(
       connection,
-      "SELECT id, role FROM users WHERE id = ?",
+      "SELECT id, role, consultation_modes FROM users WHERE id = ?",
       [doctor_id]
     );
 
@@ -94,10 +160,18 @@ router.post("/", authenticateToken, async (req, res) => {
       });
     }
 
+    const offeredModes = (doctorResult[0].consultation_modes || "").split(",");
+    if (!offeredModes.includes(mode)) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({
+        error: `This doctor offers only: ${offeredModes.filter(Boolean).join(", ") || "no"} consultations`,
+      });
+    }
+
     // Ensure slot exists, belongs to doctor, and is available
     const slotResult = await queryConnection(
       connection,
-      "SELECT id, doctor_id, is_booked FROM consultation_slots WHERE id = ? FOR UPDATE",
+      "SELECT id, doctor_id, is_booked, start_datetime FROM consultation_slots WHERE id = ? FOR UPDATE",
       [slot_id]
     );
 
@@ -124,17 +198,33 @@ router.post("/", authenticateToken, async (req, res) => {
       });
     }
 
+    // Slots offered to a waitlisted patient can only be booked by them until the hold lapses
+    const hold = await getActiveHold(connection, slot_id);
+    if (hold && hold.patient_id !== patientId) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(409).json({
+        error: "Selected slot is held for a waitlisted patient",
+        held_until: hold.expires_at,
+      });
+    }
+
     // Create consultation (status defaults to 'pending')
     const insertResult = await queryConnection(
       connection,
       `INSERT INTO consultations
-        (patient_id, doctor_id, specialty, status, mode, notes, slot_id)
-        VALUES (?, ?, ?, 'pending', ?, NULL, ?)`,
-      [userId, doctor_id, null, mode, slot_id]
+        (patient_id, doctor_id, specialty, status, mode, notes, slot_id, booked_by)
+        VALUES (?, ?, ?, 'pending', ?, NULL, ?, ?)`,
+      [patientId, doctor_id, null, mode, slot_id, userId]
     );
 
     const consultationId = insertResult.insertId;
 
+    await recordStatusChange(connection, {
+      consultationId,
+      toStatus: "pending",
+      changedBy: userId,
+    });
+
     // Update slot to mark as booked and link to consultation
     await queryConnection(
       connection,
@@ -144,37 +234,54 @@ router.post("/", authenticateToken, async (req, res) => {
       [consultationId, slot_id]
     );
 
+    if (hold) {
+      await markHoldClaimed(connection, hold, consultationId);
+    }
+
     // Fetch the newly created consultation
     const consultationResult = await queryConnection(
       connection,
-      `SELECT id, patient_id, doctor_id, specialty, status, mode, notes, slot_id,
-              created_at, updated_at
-       FROM consultations
-       WHERE id = ?`,
+      `SELECT ${CONSULTATION_COLUMNS} FROM consultations WHERE id = ?`,
       [consultationId]
     );
 
     await queryConnection(connection, "COMMIT");
 
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: patientId,
+        action: "book_consultation",
+        resourceType: "consultation",
+        resourceId: consultationId,
+      });
+    }
+
     // Fire-and-forget email notifications
     (async () => {
       try {
-        const patient = await getUserById(userId);
+        // Dependents without their own email are notified through the guardian
+        const patient = await getUserById(patientId);
         const doctor = await getUserById(doctor_id);
-        if (patient?.email) {
+        const patientEmail =
+          patient?.email || (actingForDependent ? req.user.email : null);
+        // Each recipient sees the slot in their own time zone
+        const patientTime = formatForDisplay(slot.start_datetime, patient?.timezone);
+        const doctorTime = formatForDisplay(slot.start_datetime, doctor?.timezone);
+        if (patientEmail) {
           await sendEmail({
-            to: patient.email,
+            to: patientEmail,
             subject: "[HealthPal] Consultation request submitted",
-            text: `Your consultation request with Dr. ${doctor?.name || doctor_id} was submitted. Status: pending.`,
-            html: `<p>Your consultation request with Dr. <strong>${doctor?.name || doctor_id}</strong> was submitted.</p><p>Status: <strong>pending</strong>.</p>`,
+            text: `Your consultation request with Dr. ${doctor?.name || doctor_id} for ${patientTime} was submitted. Status: pending.`,
+            html: `<p>Your consultation request with Dr. <strong>${doctor?.name || doctor_id}</strong> for <strong>${patientTime}</strong> was submitted.</p><p>Status: <strong>pending</strong>.</p>`,
           });
         }
         if (doctor?.email) {
           await sendEmail({
             to: doctor.email,
             subject: "[HealthPal] New consultation request",
-            text: `You received a new consultation request from ${patient?.name || "a patient"}. Mode: ${mode}. Slot: ${slot_id}.`,
-            html: `<p>You received a new consultation request from <strong>${patient?.name || "a patient"}</strong>.</p><p>Mode: <strong>${mode}</strong><br/>Slot ID: <strong>${slot_id}</strong></p>`,
+            text: `You received a new consultation request from ${patient?.name || "a patient"}. Mode: ${mode}. Time: ${doctorTime}.`,
+            html: `<p>You received a new consultation request from <strong>${patient?.name || "a patient"}</strong>.</p><p>Mode: <strong>${mode}</strong><br/>Time: <strong>${doctorTime}</strong></p>`,
           });
         }
       } catch (err) {
@@ -205,12 +312,12 @@ router.post("/", authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /consultations/:id - Update consultation status/notes
+// PUT /consultations/:id - Change consultation status (see utils/consultationStatus.js for allowed transitions)
 router.put("/:id", authenticateToken, async (req, res) => {
   const consultationId = req.params.id;
   const userId = req.user.id;
   const userRole = req.user.role;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
 
   // Only patients or doctors can update consultations
   if (!["patient", "doctor"].includes(userRole)) {
@@ -219,102 +326,152 @@ router.put("/:id", authenticateToken, async (req, res) => {
     });
   }
 
-  try {
-    // Fetch consultation
-    const consultationResult = await new Promise((resolve, reject) => {
-      db.query(
-        "SELECT * FROM consultations WHERE id = ?",
-        [consultationId],
-        (err, results) => {
-          if (err) reject(err);
-          else resolve(results);
-        }
-      );
+  if (notes !== undefined) {
+    return res.status(400).json({
+      error:
+        userRole === "doctor"
+          ? `Clinical notes are written with PUT /consultation-notes/${consultationId}`
+          : "Patients cannot update consultation notes",
     });
+  }
 
-    if (consultationResult.length === 0) {
-      return res.status(404).json({ error: "Consultation not found" });
-    }
+  if (!status) {
+    return res.status(400).json({ error: "status is required" });
+  }
 
-    const consultation = consultationResult[0];
+  if (!CONSULTATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Invalid status. Allowed: ${CONSULTATION_STATUSES.join(", ")}`,
+    });
+  }
 
-    const updates = [];
-    const values = [];
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    return res.status(400).json({ error: "reason must be text" });
+  }
 
-    if (userRole === "patient") {
-      if (consultation.patient_id !== userId) {
-        return res
-          .status(403)
-          .json({ error: "You can only update your own consultations" });
-      }
+  const trimmedReason = reason ? reason.trim() : "";
+  if (REASON_REQUIRED.includes(status) && !trimmedReason) {
+    return res.status(400).json({
+      error: `A reason is required to set a consultation to ${status}`,
+    });
+  }
 
-      if (notes !== undefined) {
-        return res
-          .status(400)
-          .json({ error: "Patients cannot update consultation notes" });
-      }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({
+      error: `reason must be at most ${MAX_REASON_LENGTH} characters`,
+    });
+  }
 
-      if (!status) {
-        return res.status(400).json({
-          error: "Status is required for patient updates",
+  // Unverified doctors cannot accept consultations
+  if (userRole === "doctor" && status === "confirmed") {
+    try {
+      const doctor = await getVerificationStatus(userId);
+      if (doctor?.verification_status !== "verified") {
+        return res.status(403).json({
+          error:
+            "Your account must be verified by an admin before you can accept consultations",
         });
       }
+    } catch (error) {
+      console.error("Update consultation error:", error);
+      return res
+        .status(500)
+        .json({ error: "Internal server error during consultation update" });
+    }
+  }
 
-      const allowedStatus = ["cancelled"];
-      if (!allowedStatus.includes(status)) {
-        return res.status(400).json({
-          error: `Patients can only set status to: ${allowedStatus.join(", ")}`,
-        });
-      }
+  let connection;
+  let consultation;
+  let slotFreed = false;
 
-      updates.push("status = ?");
-      values.push(status);
-    } else if (userRole === "doctor") {
-      if (consultation.doctor_id !== userId) {
-        return res
-          .status(403)
-          .json({ error: "You can only update your own consultations" });
-      }
+  try {
+    connection = await getConnection();
+    await queryConnection(connection, "START TRANSACTION");
 
-      const allowedStatus = ["confirmed", "completed", "cancelled"];
-      if (status !== undefined) {
-        if (!allowedStatus.includes(status)) {
-          return res.status(400).json({
-            error: `Doctors can only set status to: ${allowedStatus.join(
-              ", "
-            )}`,
-          });
-        }
-        updates.push("status = ?");
-        values.push(status);
-      }
+    // Locked so two concurrent changes cannot both start from the same status
+    const consultationResult = await queryConnection(
+      connection,
+      "SELECT * FROM consultations WHERE id = ? FOR UPDATE",
+      [consultationId]
+    );
 
-      if (notes !== undefined) {
-        updates.push("notes = ?");
-        values.push(notes);
-      }
+    if (consultationResult.length === 0) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    consultation = consultationResult[0];
+
+    const ownerId =
+      userRole === "patient" ? consultation.patient_id : consultation.doctor_id;
+    if (ownerId !== userId) {
+      await queryConnection(connection, "ROLLBACK");
+      return res
+        .status(403)
+        .json({ error: "You can only update your own consultations" });
     }
 
-    if (updates.length === 0) {
+    if (!canTransition(userRole, consultation.status, status)) {
+      await queryConnection(connection, "ROLLBACK");
+      const allowed = allowedTransitions(userRole, consultation.status);
       return res.status(400).json({
-        error: "No valid fields to update",
+        error: allowed.length
+          ? `A ${consultation.status} consultation can only be set to: ${allowed.join(", ")}`
+          : `A ${consultation.status} consultation cannot be changed`,
+        allowed_statuses: allowed,
       });
     }
 
-    updates.push("updated_at = NOW()");
+    await queryConnection(
+      connection,
+      "UPDATE consultations SET status = ?, updated_at = NOW() WHERE id = ?",
+      [status, consultation.id]
+    );
 
-    values.push(consultationId);
+    await recordStatusChange(connection, {
+      consultationId: consultation.id,
+      fromStatus: consultation.status,
+      toStatus: status,
+      changedBy: userId,
+      reason: trimmedReason || null,
+    });
 
-    await new Promise((resolve, reject) => {
-      db.query(
-        `UPDATE consultations SET ${updates.join(", ")} WHERE id = ?`,
-        values,
-        (err, results) => {
-          if (err) reject(err);
-          else resolve(results);
-        }
+    // A cancelled consultation frees its slot for others (waitlisted patients first).
+    // It keeps its slot_id, so slot cleanups retire such slots instead of deleting them.
+    if (status === "cancelled" && consultation.slot_id) {
+      const slotResult = await queryConnection(
+        connection,
+        `UPDATE consultation_slots
+           SET is_booked = FALSE, consultation_id = NULL, updated_at = NOW()
+         WHERE id = ? AND consultation_id = ?`,
+        [consultation.slot_id, consultation.id]
       );
-    });
+      slotFreed = slotResult.affectedRows > 0;
+    }
+
+    await queryConnection(connection, "COMMIT");
+  } catch (error) {
+    if (connection) {
+      try {
+        await queryConnection(connection, "ROLLBACK");
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Update consultation error:", error);
+    return res
+      .status(500)
+      .json({ error: "Internal server error during consultation update" });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+
+  try {
+    if (slotFreed) {
+      offerSlotsInBackground(() => offerSlotToWaitlist(consultation.slot_id));
+    }
 
     // Create connection based on consultation type and status
     const patientId = consultation.patient_id;
@@ -356,7 +513,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     const updatedConsultation = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT * FROM consultations WHERE id = ?",
+        `SELECT ${CONSULTATION_COLUMNS} FROM consultations WHERE id = ?`,
         [consultationId],
         (err, results) => {
           if (err) reject(err);
@@ -371,13 +528,18 @@ router.put("/:id", authenticateToken, async (req, res) => {
         const patient = await getUserById(updatedConsultation.patient_id);
         const doctor = await getUserById(updatedConsultation.doctor_id);
         const statusText = updatedConsultation.status;
+        const slot = await getSlotById(updatedConsultation.slot_id);
+        const timeFor = (user) =>
+          slot ? ` (${formatForDisplay(slot.start_datetime, user?.timezone)})` : "";
+        const reasonText = trimmedReason ? ` Reason: ${trimmedReason}` : "";
+        const reasonHtml = trimmedReason ? `<p>Reason: ${escapeHtml(trimmedReason)}</p>` : "";
 
-        if (userRole === "doctor" && status && patient?.email) {
+        if (userRole === "doctor" && patient?.email) {
           await sendEmail({
             to: patient.email,
             subject: `[HealthPal] Consultation ${statusText}`,
-            text: `Your consultation was ${statusText} by Dr. ${doctor?.name || doctor?.id}.`,
-            html: `<p>Your consultation was <strong>${statusText}</strong> by Dr. <strong>${doctor?.name || doctor?.id}</strong>.</p>`,
+            text: `Your consultation${timeFor(patient)} was ${statusText} by Dr. ${doctor?.name || doctor?.id}.${reasonText}`,
+            html: `<p>Your consultation${timeFor(patient)} was <strong>${statusText}</strong> by Dr. <strong>${doctor?.name || doctor?.id}</strong>.</p>${reasonHtml}`,
           });
         }
 
@@ -385,8 +547,8 @@ router.put("/:id", authenticateToken, async (req, res) => {
           await sendEmail({
             to: doctor.email,
             subject: "[HealthPal] Consultation cancelled by patient",
-            text: `The patient ${patient?.name || patient?.id} cancelled the consultation.`,
-            html: `<p>The patient <strong>${patient?.name || patient?.id}</strong> cancelled the consultation.</p>`,
+            text: `The patient ${patient?.name || patient?.id} cancelled the consultation${timeFor(doctor)}.${reasonText}`,
+            html: `<p>The patient <strong>${patient?.name || patient?.id}</strong> cancelled the consultation${timeFor(doctor)}.</p>${reasonHtml}`,
           });
         }
       } catch (err) {
@@ -406,11 +568,236 @@ router.put("/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /consultations/:id - Admin only
+// PUT /consultations/:id/reschedule - Move a consultation to another free slot of the same doctor
+router.put("/:id/reschedule", authenticateToken, async (req, res) => {
+  const consultationId = req.params.id;
+  const userId = req.user.id;
+  const { slot_id, reason } = req.body;
+
+  if (!slot_id) {
+    return res.status(400).json({ error: "slot_id is required" });
+  }
+
+  let connection;
+  let actingForDependent = false;
+
+  try {
+    connection = await getConnection();
+    await queryConnection(connection, "START TRANSACTION");
+
+    const consultationResult = await queryConnection(
+      connection,
+      "SELECT * FROM consultations WHERE id = ? FOR UPDATE",
+      [consultationId]
+    );
+
+    if (consultationResult.length === 0) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    const consultation = consultationResult[0];
+
+    // The patient, their active guardian, or the consultation's doctor
+    if (consultation.patient_id !== userId && consultation.doctor_id !== userId) {
+      actingForDependent = await isActiveGuardian(userId, consultation.patient_id);
+      if (!actingForDependent) {
+        await queryConnection(connection, "ROLLBACK");
+        return res
+          .status(403)
+          .json({ error: "You can only reschedule your own consultations" });
+      }
+    }
+
+    if (!["pending", "confirmed"].includes(consultation.status)) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({
+        error: `A ${consultation.status} consultation cannot be rescheduled`,
+      });
+    }
+
+    if (Number(slot_id) === consultation.slot_id) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({
+        error: "The consultation is already booked in this slot",
+      });
+    }
+
+    // Lock both slots in id order so concurrent reschedules cannot deadlock
+    const slotRows = await queryConnection(
+      connection,
+      `SELECT id, doctor_id, start_datetime, end_datetime, is_booked, consultation_id
+       FROM consultation_slots
+       WHERE id IN (?)
+       ORDER BY id
+       FOR UPDATE`,
+      [[consultation.slot_id, slot_id].filter(Boolean)]
+    );
+    const oldSlot = slotRows.find((slot) => slot.id === consultation.slot_id) || null;
+    const newSlot = slotRows.find((slot) => slot.id === Number(slot_id));
+
+    if (!newSlot) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({ error: "Selected slot does not exist" });
+    }
+
+    if (newSlot.doctor_id !== consultation.doctor_id) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({
+        error: "Selected slot does not belong to the consultation's doctor",
+      });
+    }
+
+    if (newSlot.is_booked || newSlot.consultation_id) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({ error: "Selected slot is already booked" });
+    }
+
+    if (new Date(newSlot.start_datetime) <= new Date()) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(400).json({ error: "Selected slot has already started" });
+    }
+
+    const hold = await getActiveHold(connection, newSlot.id);
+    if (hold && hold.patient_id !== consultation.patient_id) {
+      await queryConnection(connection, "ROLLBACK");
+      return res.status(409).json({
+        error: "Selected slot is held for a waitlisted patient",
+        held_until: hold.expires_at,
+      });
+    }
+
+    if (oldSlot) {
+      await queryConnection(
+        connection,
+        `UPDATE consultation_slots
+           SET is_booked = FALSE, consultation_id = NULL, updated_at = NOW()
+         WHERE id = ? AND consultation_id = ?`,
+        [oldSlot.id, consultation.id]
+      );
+    }
+
+    await queryConnection(
+      connection,
+      `UPDATE consultation_slots
+        SET is_booked = TRUE, consultation_id = ?, updated_at = NOW()
+        WHERE id = ?`,
+      [consultation.id, newSlot.id]
+    );
+
+    if (hold) {
+      await markHoldClaimed(connection, hold, consultation.id);
+    }
+
+    // Same consultation row: status, notes and connections carry over
+    await queryConnection(
+      connection,
+      "UPDATE consultations SET slot_id = ?, updated_at = NOW() WHERE id = ?",
+      [newSlot.id, consultation.id]
+    );
+
+    await queryConnection(
+      connection,
+      `INSERT INTO consultation_reschedules
+        (consultation_id, from_slot_id, to_slot_id, from_start_datetime, to_start_datetime,
+         rescheduled_by, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        consultation.id,
+        oldSlot?.id || null,
+        newSlot.id,
+        oldSlot?.start_datetime || null,
+        newSlot.start_datetime,
+        userId,
+        reason || null,
+      ]
+    );
+
+    const updatedResult = await queryConnection(
+      connection,
+      `SELECT ${CONSULTATION_COLUMNS} FROM consultations WHERE id = ?`,
+      [consultation.id]
+    );
+
+    await queryConnection(connection, "COMMIT");
+
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: consultation.patient_id,
+        action: "reschedule_consultation",
+        resourceType: "consultation",
+        resourceId: consultation.id,
+      });
+    }
+
+    if (oldSlot) {
+      offerSlotsInBackground(() => offerSlotToWaitlist(oldSlot.id));
+    }
+
+    // Fire-and-forget email notifications, each in the recipient's time zone
+    (async () => {
+      try {
+        const patient = await getUserById(consultation.patient_id);
+        const doctor = await getUserById(consultation.doctor_id);
+        const guardian = actingForDependent ? await getUserById(userId) : null;
+        const describe = (user) => {
+          const to = formatForDisplay(newSlot.start_datetime, user?.timezone);
+          return oldSlot
+            ? `from ${formatForDisplay(oldSlot.start_datetime, user?.timezone)} to ${to}`
+            : `to ${to}`;
+        };
+        const patientRecipient = patient?.email ? patient : guardian;
+
+        if (patientRecipient?.email) {
+          await sendEmail({
+            to: patientRecipient.email,
+            subject: "[HealthPal] Consultation rescheduled",
+            text: `Your consultation with Dr. ${doctor?.name || doctor?.id} was moved ${describe(patientRecipient)}.`,
+            html: `<p>Your consultation with Dr. <strong>${doctor?.name || doctor?.id}</strong> was moved ${describe(patientRecipient)}.</p>`,
+          });
+        }
+        if (doctor?.email) {
+          await sendEmail({
+            to: doctor.email,
+            subject: "[HealthPal] Consultation rescheduled",
+            text: `Your consultation with ${patient?.name || patient?.id} was moved ${describe(doctor)}.`,
+            html: `<p>Your consultation with <strong>${patient?.name || patient?.id}</strong> was moved ${describe(doctor)}.</p>`,
+          });
+        }
+      } catch (err) {
+        console.error("[consultations] email notify error:", err?.message || err);
+      }
+    })();
+
+    res.status(200).json({
+      message: "Consultation rescheduled successfully",
+      consultation: updatedResult[0],
+    });
+  } catch (error) {
+    if (connection) {
+      try {
+        await queryConnection(connection, "ROLLBACK");
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+    console.error("Reschedule consultation error:", error);
+    res.status(500).json({
+      error: "Internal server error during consultation rescheduling",
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// DELETE /consultations/:id - Requires consultations:manage
 router.delete(
   "/:id",
   authenticateToken,
-  requireRole("admin"),
+  requirePermission("consultations:manage"),
   async (req, res) => {
     const consultationId = req.params.id;
     let connection;
@@ -432,12 +819,22 @@ router.delete(
 
       const consultation = consultationResult[0];
 
-      await queryConnection(
+      // Clinical notes and reviews are kept records; their consultation stays too
+      const [records] = await queryConnection(
         connection,
-        "DELETE FROM consultations WHERE id = ?",
-        [consultationId]
+        `SELECT
+           (SELECT COUNT(*) FROM consultation_notes WHERE consultation_id = ?) AS notes,
+           (SELECT COUNT(*) FROM doctor_reviews WHERE consultation_id = ?) AS reviews`,
+        [consultation.id, consultation.id]
       );
+      if (records.notes > 0 || records.reviews > 0) {
+        await queryConnection(connection, "ROLLBACK");
+        return res.status(409).json({
+          error: "Consultations with clinical notes or reviews cannot be deleted; cancel them instead",
+        });
+      }
 
+      // The slot points back at the consultation, so release it first
       if (consultation.slot_id) {
         await queryConnection(
           connection,
@@ -445,13 +842,24 @@ router.delete(
              SET is_booked = FALSE,
                  consultation_id = NULL,
                  updated_at = NOW()
-           WHERE id = ?`,
-          [consultation.slot_id]
+           WHERE id = ? AND consultation_id = ?`,
+          [consultation.slot_id, consultation.id]
         );
       }
 
+      // Status history goes with the consultation (ON DELETE CASCADE)
+      await queryConnection(
+        connection,
+        "DELETE FROM consultations WHERE id = ?",
+        [consultationId]
+      );
+
       await queryConnection(connection, "COMMIT");
 
+      if (consultation.slot_id) {
+        offerSlotsInBackground(() => offerSlotToWaitlist(consultation.slot_id));
+      }
+
       res.status(200).json({
         message: "Consultation deleted successfully",
       });
@@ -480,7 +888,7 @@ router.get("/", authenticateToken, (req, res) => {
   const userId = req.user.id;
 
   const query = `
-    SELECT *
+    SELECT ${CONSULTATION_COLUMNS}
     FROM consultations
     WHERE patient_id = ? OR doctor_id = ?
     ORDER BY created_at DESC
@@ -498,8 +906,69 @@ router.get("/", authenticateToken, (req, res) => {
   });
 });
 
-// GET /consultations/all - Admin only: Retrieve all consultations with filters & pagination
-router.get("/all", authenticateToken, requireRole("admin"), (req, res) => {
+// GET /consultations/:id/history - Status timeline (patient, their guardian, doctor or admin)
+router.get("/:id/history", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const consultationResult = await new Promise((resolve, reject) => {
+      db.query(
+        "SELECT id, patient_id, doctor_id, status FROM consultations WHERE id = ?",
+        [req.params.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    if (consultationResult.length === 0) {
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    const consultation = consultationResult[0];
+
+    if (
+      consultation.patient_id !== userId &&
+      consultation.doctor_id !== userId &&
+      !(await isActiveGuardian(userId, consultation.patient_id)) &&
+      !(await hasPermission(req.user, "consultations:manage"))
+    ) {
+      return res
+        .status(403)
+        .json({ error: "You can only view the history of your own consultations" });
+    }
+
+    const history = await new Promise((resolve, reject) => {
+      db.query(
+        `SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_by,
+           u.username AS changed_by_username, u.role AS changed_by_role, h.created_at
+         FROM consultation_status_history h
+         LEFT JOIN users u ON h.changed_by = u.id
+         WHERE h.consultation_id = ?
+         ORDER BY h.created_at ASC, h.id ASC`,
+        [consultation.id],
+        (err, results) => {
+          if (err) reject(err);
+          else resolve(results);
+        }
+      );
+    });
+
+    res.json({
+      message: "Consultation history retrieved successfully",
+      consultation_id: consultation.id,
+      status: consultation.status,
+      history,
+    });
+  } catch (error) {
+    console.error("Consultation history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /consultations/all - Retrieve all consultations with filters & pagination (requires consultations:manage)
+router.get("/all", authenticateToken, requirePermission("consultations:manage"), (req, res) => {
   const {
     page = 1,
     limit = 20,
@@ -618,7 +1087,7 @@ router.get("/all", authenticateToken, requireRole("admin"), (req, res) => {
   const offset = (pageNum - 1) * limitNum;
 
   const dataQuery = `
-    SELECT *
+    SELECT ${CONSULTATION_COLUMNS}
     FROM consultations
     ${whereClause}
     ORDER BY ${normalizedSortBy} ${normalizedSortOrder}
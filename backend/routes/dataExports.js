@@ -0,0 +1,142 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const {
+  processDataExport,
+  getExportFilePath,
+} = require("../utils/dataExport.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const EXPORT_COLUMNS =
+  "id, status, file_size, error, created_at, started_at, completed_at, expires_at";
+
+// POST /data-exports - Request a copy of all my data (built in the background)
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const inProgress = await runQuery(
+      "SELECT id FROM data_exports WHERE user_id = ? AND status IN ('pending', 'processing')",
+      [userId]
+    );
+
+    if (inProgress.length > 0) {
+      return res.status(409).json({
+        error: "An export is already being prepared",
+        export_id: inProgress[0].id,
+      });
+    }
+
+    const result = await runQuery(
+      "INSERT INTO data_exports (user_id, status, created_at) VALUES (?, 'pending', NOW())",
+      [userId]
+    );
+
+    // Fire-and-forget; the minute sweep in server.js retries anything left pending
+    setImmediate(() => {
+      processDataExport(result.insertId).catch((err) =>
+        console.error("[dataExports] processing error:", err)
+      );
+    });
+
+    const exports = await runQuery(
+      `SELECT ${EXPORT_COLUMNS} FROM data_exports WHERE id = ?`,
+      [result.insertId]
+    );
+
+    res.status(202).json({
+      message:
+        "Data export requested. You will receive an email when it is ready to download.",
+      export: exports[0],
+    });
+  } catch (error) {
+    console.error("Error requesting data export:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /data-exports - My export requests
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const exports = await runQuery(
+      `SELECT ${EXPORT_COLUMNS} FROM data_exports WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      message: "Data exports retrieved successfully",
+      exports,
+    });
+  } catch (error) {
+    console.error("Error fetching data exports:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /data-exports/:id - Status of one export
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const exports = await runQuery(
+      `SELECT ${EXPORT_COLUMNS} FROM data_exports WHERE id = ? AND user_id = ?`,
+      [req.params.id, req.user.id]
+    );
+
+    if (exports.length === 0) {
+      return res.status(404).json({ error: "Data export not found" });
+    }
+
+    res.json({
+      message: "Data export retrieved successfully",
+      export: exports[0],
+    });
+  } catch (error) {
+    console.error("Error fetching data export:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /data-exports/:id/download - Download the ZIP (owner only, before expiry)
+router.get("/:id/download", authenticateToken, async (req, res) => {
+  try {
+    const exports = await runQuery(
+      "SELECT id, status, file_name, expires_at FROM data_exports WHERE id = ? AND user_id = ?",
+      [req.params.id, req.user.id]
+    );
+
+    if (exports.length === 0) {
+      return res.status(404).json({ error: "Data export not found" });
+    }
+
+    const dataExport = exports[0];
+
+    if (dataExport.status !== "ready") {
+      return res.status(409).json({
+        error: `Data export is ${dataExport.status}, not ready for download`,
+      });
+    }
+
+    if (new Date(dataExport.expires_at) <= new Date()) {
+      return res.status(410).json({ error: "Data export has expired" });
+    }
+
+    res.download(getExportFilePath(dataExport.file_name), dataExport.file_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error("Error sending data export:", err);
+        res.status(500).json({ error: "Export file could not be read" });
+      }
+    });
+  } catch (error) {
+    console.error("Error downloading data export:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const { isValidTimeZone, withLocalTimes } = require("../utils/timezones.js");
+const {
+  RATINGS_SUBQUERY,
+  getDoctorRatingSummary,
+  toPublicReview,
+} = require("../utils/reviews.js");
+
+const CONSULTATION_MODES = ["video", "audio", "chat"];
+const VERIFICATION_STATUSES = ["none", "requested", "verified", "rejected"];
+const SORTS = ["relevance", "next_available", "rating", "name"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Free future slots the requesting patient could book (not held for someone else)
+const BOOKABLE_SLOT_CONDITIONS = `
+  s.is_booked = FALSE AND s.consultation_id IS NULL AND s.start_datetime > NOW()
+  AND NOT EXISTS (
+    SELECT 1 FROM slot_holds h
+    WHERE h.slot_id = s.id AND h.status = 'active' AND h.expires_at > NOW() AND h.patient_id != ?
+  )`;
+
+const ORDER_BY = {
+  // Verified doctors first, then whoever can see the patient soonest
+  relevance:
+    "(u.verification_status = 'verified') DESC, ns.next_available_at IS NULL, ns.next_available_at ASC, u.username ASC",
+  next_available: "ns.next_available_at IS NULL, ns.next_available_at ASC, u.username ASC",
+  rating: "rt.rating_average IS NULL, rt.rating_average DESC, rt.review_count DESC, u.username ASC",
+  name: "u.username ASC",
+};
+
+// GET /doctors/search - Find doctors by specialty, language, verification, mode and availability
+router.get("/search", authenticateToken, async (req, res) => {
+  try {
+    const {
+      q,
+      specialty,
+      language_pref,
+      verification_status,
+      mode,
+      available_within_days,
+      sort = "relevance",
+      page = 1,
+      limit = 20,
+      tz,
+    } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (Number.isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Invalid page number" });
+    }
+    if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Invalid limit. Must be between 1 and 100" });
+    }
+    if (!SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Invalid sort. Allowed: ${SORTS.join(", ")}` });
+    }
+    if (tz !== undefined && !isValidTimeZone(tz)) {
+      return res.status(400).json({
+        error: "tz must be an IANA time zone such as Asia/Gaza",
+      });
+    }
+
+    const conditions = [
+      "u.role = 'doctor'",
+      "u.erased_at IS NULL",
+      "u.account_status = 'active'",
+    ];
+    const params = [];
+
+    if (q) {
+      conditions.push("u.username LIKE ?");
+      params.push(`%${q}%`);
+    }
+
+    if (specialty) {
+      conditions.push("u.specialty LIKE ?");
+      params.push(`%${specialty}%`);
+    }
+
+    if (language_pref) {
+      conditions.push("u.language_pref LIKE ?");
+      params.push(`%${language_pref}%`);
+    }
+
+    if (verification_status) {
+      if (!VERIFICATION_STATUSES.includes(verification_status)) {
+        return res.status(400).json({
+          error: `Invalid verification_status. Allowed: ${VERIFICATION_STATUSES.join(", ")}`,
+        });
+      }
+      conditions.push("u.verification_status = ?");
+      params.push(verification_status);
+    }
+
+    if (mode) {
+      if (!CONSULTATION_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: `Invalid mode. Allowed: ${CONSULTATION_MODES.join(", ")}`,
+        });
+      }
+      conditions.push("FIND_IN_SET(?, u.consultation_modes) > 0");
+      params.push(mode);
+    }
+
+    if (available_within_days !== undefined) {
+      const days = parseInt(available_within_days, 10);
+      if (Number.isNaN(days) || days < 1 || days > 90) {
+        return res.status(400).json({
+          error: "available_within_days must be between 1 and 90",
+        });
+      }
+      conditions.push("ns.next_available_at <= NOW() + INTERVAL ? DAY");
+      params.push(days);
+    }
+
+    const fromClause = `
+      FROM users u
+      LEFT JOIN (
+        SELECT s.doctor_id, MIN(s.start_datetime) AS next_available_at
+        FROM consultation_slots s
+        WHERE ${BOOKABLE_SLOT_CONDITIONS}
+        GROUP BY s.doctor_id
+      ) ns ON ns.doctor_id = u.id
+      LEFT JOIN (${RATINGS_SUBQUERY}) rt ON rt.doctor_id = u.id
+      WHERE ${conditions.join(" AND ")}`;
+    const fromParams = [req.user.id, ...params];
+
+    const countResult = await runQuery(`SELECT COUNT(*) AS total ${fromClause}`, fromParams);
+    const total = countResult[0]?.total || 0;
+
+    const doctors = await runQuery(
+      `SELECT u.id, u.username, u.specialty, u.language_pref, u.verification_status,
+         u.verified_at, u.consultation_modes, u.timezone, ns.next_available_at,
+         rt.rating_average, COALESCE(rt.review_count, 0) AS review_count
+       ${fromClause}
+       ORDER BY ${ORDER_BY[sort]}
+       LIMIT ?
+       OFFSET ?`,
+      [...fromParams, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    // Full details of each doctor's next bookable slot
+    const nextSlots = new Map();
+    const withSlots = doctors.filter((doctor) => doctor.next_available_at);
+    if (withSlots.length > 0) {
+      const slots = await runQuery(
+        `SELECT s.id, s.doctor_id, s.start_datetime, s.end_datetime, s.timezone
+         FROM consultation_slots s
+         WHERE (s.doctor_id, s.start_datetime) IN (?) AND ${BOOKABLE_SLOT_CONDITIONS}
+         ORDER BY s.id ASC`,
+        [withSlots.map((doctor) => [doctor.id, doctor.next_available_at]), req.user.id]
+      );
+      slots.forEach((slot) => {
+        if (!nextSlots.has(slot.doctor_id)) {
+          nextSlots.set(slot.doctor_id, withLocalTimes(slot, ["start_datetime", "end_datetime"], tz));
+        }
+      });
+    }
+
+    res.json({
+      message: "Doctors retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        total_pages: Math.ceil(total / limitNum),
+      },
+      doctors: doctors.map(({ next_available_at, consultation_modes, rating_average, ...doctor }) => ({
+        ...doctor,
+        rating_average: rating_average === null ? null : Number(rating_average),
+        consultation_modes: consultation_modes ? consultation_modes.split(",") : [],
+        next_available_slot: nextSlots.get(doctor.id) || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Doctor search error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /doctors/:id - Public doctor profile with rating summary
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const doctors = await runQuery(
+      `SELECT id, username, specialty, language_pref, verification_status, verified_at,
+         consultation_modes, timezone, website_url
+       FROM users
+       WHERE id = ? AND role = 'doctor' AND erased_at IS NULL`,
+      [req.params.id]
+    );
+
+    if (doctors.length === 0) {
+      return res.status(404).json({ error: "Doctor not found" });
+    }
+
+    const doctor = doctors[0];
+
+    res.json({
+      message: "Doctor retrieved successfully",
+      doctor: {
+        ...doctor,
+        consultation_modes: doctor.consultation_modes ? doctor.consultation_modes.split(",") : [],
+        rating: await getDoctorRatingSummary(doctor.id),
+      },
+    });
+  } catch (error) {
+    console.error("Doctor profile error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /doctors/:id/reviews - Published reviews of a doctor, newest first
+router.get("/:id/reviews", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (Number.isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Invalid page number" });
+    }
+    if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Invalid limit. Must be between 1 and 100" });
+    }
+
+    const summary = await getDoctorRatingSummary(req.params.id);
+
+    const reviews = await runQuery(
+      `SELECT r.id, r.doctor_id, r.rating, r.review, r.is_anonymous, r.created_at,
+         p.username AS patient_username
+       FROM doctor_reviews r
+       JOIN users p ON r.patient_id = p.id
+       WHERE r.doctor_id = ? AND r.status = 'published'
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT ?
+       OFFSET ?`,
+      [req.params.id, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    res.json({
+      message: "Reviews retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total: summary.count,
+        total_pages: Math.ceil(summary.count / limitNum),
+      },
+      rating: summary,
+      reviews: reviews.map(toPublicReview),
+    });
+  } catch (error) {
+    console.error("Doctor reviews error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
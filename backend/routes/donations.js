@@ -3,6 +3,7 @@ const router = express.Router();
 require("dotenv").config();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requireVerifiedEmail = require("../middleware/emailVerified.js");
 
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
@@ -15,7 +16,7 @@ const runQuery = (sql, params = []) =>
   });
 
 // POST /donations - Create Payment Intent for a sponsored treatment request
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const donorId = req.user.id;
     const { treatment_request_id, amount } = req.body;
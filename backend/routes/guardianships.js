@@ -0,0 +1,451 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const { hasPermission } = require("../utils/permissions.js");
+const { sendEmail } = require("../utils/mailer.js");
+
+const RELATIONSHIPS = ["parent", "legal_guardian", "caregiver", "other"];
+// Dependent profiles one guardian may have waiting for verification at once
+const MAX_PENDING_DEPENDENTS = 3;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const recordConsent = (guardianshipId, event, req, { method, document_url, notes } = {}) =>
+  runQuery(
+    `INSERT INTO guardian_consents
+     (guardianship_id, event, recorded_by, method, document_url, notes, ip_address, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      guardianshipId,
+      event,
+      req.user.id,
+      method,
+      document_url || null,
+      notes || null,
+      req.ip || null,
+    ]
+  );
+
+const fetchGuardianship = async (id) => {
+  const results = await runQuery(
+    `SELECT g.*, gu.username AS guardian_username, du.username AS dependent_username,
+      du.email AS dependent_email, gu.email AS guardian_email
+    FROM guardianships g
+    JOIN users gu ON g.guardian_id = gu.id
+    JOIN users du ON g.dependent_id = du.id
+    WHERE g.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+// Strip contact details before returning a guardianship
+const toPublicGuardianship = ({ guardian_email, dependent_email, ...guardianship }) =>
+  guardianship;
+
+// Participants see their guardianships; account managers see all
+const canViewGuardianship = async (user, guardianship) =>
+  guardianship.guardian_id === user.id ||
+  guardianship.dependent_id === user.id ||
+  (await hasPermission(user, "users:manage"));
+
+// GET /guardianships - Guardianships where I am the guardian or the dependent
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const guardianships = await runQuery(
+      `SELECT g.*, gu.username AS guardian_username, du.username AS dependent_username
+       FROM guardianships g
+       JOIN users gu ON g.guardian_id = gu.id
+       JOIN users du ON g.dependent_id = du.id
+       WHERE g.guardian_id = ? OR g.dependent_id = ?
+       ORDER BY g.created_at DESC`,
+      [req.user.id, req.user.id]
+    );
+
+    res.json({
+      message: "Guardianships retrieved successfully",
+      as_guardian: guardianships.filter((g) => g.guardian_id === req.user.id),
+      as_dependent: guardianships.filter((g) => g.dependent_id === req.user.id),
+    });
+  } catch (error) {
+    console.error("Error fetching guardianships:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /guardianships/review - Account managers: guardianships waiting for verification
+router.get("/review", authenticateToken, async (req, res) => {
+  try {
+    if (!(await hasPermission(req.user, "users:manage"))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const guardianships = await runQuery(
+      `SELECT g.*, gu.username AS guardian_username, gu.role AS guardian_role,
+         du.username AS dependent_username, du.email IS NULL AS dependent_without_login
+       FROM guardianships g
+       JOIN users gu ON g.guardian_id = gu.id
+       JOIN users du ON g.dependent_id = du.id
+       WHERE g.status = 'pending'
+       ORDER BY g.created_at ASC`
+    );
+
+    res.json({
+      message: "Pending guardianships retrieved successfully",
+      guardianships,
+    });
+  } catch (error) {
+    console.error("Error fetching pending guardianships:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /guardianships/dependents - Create a patient profile managed by the guardian
+// (children or elderly dependents without their own login or phone).
+// The guardian cannot act for it until an account manager verifies the documents.
+router.post("/dependents", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "patient") {
+      return res.status(403).json({
+        error: "Only patient accounts can create dependent profiles",
+      });
+    }
+
+    const {
+      username,
+      language_pref,
+      contact_phone,
+      relationship,
+      document_url,
+      notes,
+    } = req.body;
+
+    if (!username || !language_pref || !relationship) {
+      return res.status(400).json({
+        error: "username, language_pref and relationship are required",
+      });
+    }
+
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({
+        error: `relationship must be one of: ${RELATIONSHIPS.join(", ")}`,
+      });
+    }
+
+    if (!document_url) {
+      return res.status(400).json({
+        error: "document_url (e.g. birth certificate or court order) is required",
+      });
+    }
+
+    const pending = await runQuery(
+      `SELECT COUNT(*) AS count FROM guardianships g
+       JOIN users du ON g.dependent_id = du.id
+       WHERE g.guardian_id = ? AND g.status = 'pending' AND du.email IS NULL`,
+      [req.user.id]
+    );
+    if (pending[0].count >= MAX_PENDING_DEPENDENTS) {
+      return res.status(429).json({
+        error: `You already have ${MAX_PENDING_DEPENDENTS} dependent profiles awaiting verification`,
+      });
+    }
+
+    const usernameCheck = await runQuery(
+      "SELECT id FROM users WHERE username = ?",
+      [username]
+    );
+    if (usernameCheck.length > 0) {
+      return res.status(409).json({ error: "Username already exists" });
+    }
+
+    // No email or password: the dependent cannot log in, only the guardian acts
+    const userResult = await runQuery(
+      `INSERT INTO users (username, contact_phone, role, language_pref, created_at)
+       VALUES (?, ?, 'patient', ?, NOW())`,
+      [username, contact_phone || null, language_pref]
+    );
+
+    // Activated by an account manager through PUT /guardianships/:id/consent
+    const result = await runQuery(
+      `INSERT INTO guardianships (guardian_id, dependent_id, relationship, status, created_at)
+       VALUES (?, ?, ?, 'pending', NOW())`,
+      [req.user.id, userResult.insertId, relationship]
+    );
+
+    await recordConsent(result.insertId, "requested", req, {
+      method: "guardian_attestation",
+      document_url,
+      notes,
+    });
+
+    res.status(201).json({
+      message: "Dependent profile created; awaiting verification by an administrator",
+      guardianship: toPublicGuardianship(await fetchGuardianship(result.insertId)),
+    });
+  } catch (error) {
+    console.error("Error creating dependent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /guardianships - Ask to become guardian of an existing patient account
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { dependent_id, relationship, document_url, notes } = req.body;
+
+    if (!dependent_id || !relationship) {
+      return res
+        .status(400)
+        .json({ error: "dependent_id and relationship are required" });
+    }
+
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({
+        error: `relationship must be one of: ${RELATIONSHIPS.join(", ")}`,
+      });
+    }
+
+    if (parseInt(dependent_id, 10) === req.user.id) {
+      return res
+        .status(400)
+        .json({ error: "You cannot be your own guardian" });
+    }
+
+    const dependents = await runQuery(
+      "SELECT id, role, email FROM users WHERE id = ? AND erased_at IS NULL",
+      [dependent_id]
+    );
+    if (dependents.length === 0) {
+      return res.status(404).json({ error: "Dependent not found" });
+    }
+    if (dependents[0].role !== "patient") {
+      return res
+        .status(400)
+        .json({ error: "dependent_id must refer to a patient" });
+    }
+
+    const existing = await runQuery(
+      `SELECT id, status FROM guardianships
+       WHERE guardian_id = ? AND dependent_id = ? AND status IN ('pending', 'active')`,
+      [req.user.id, dependent_id]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: `A ${existing[0].status} guardianship already exists for this dependent`,
+        guardianship_id: existing[0].id,
+      });
+    }
+
+    // Pending until the dependent (or an account manager) records consent
+    const result = await runQuery(
+      `INSERT INTO guardianships (guardian_id, dependent_id, relationship, status, created_at)
+       VALUES (?, ?, ?, 'pending', NOW())`,
+      [req.user.id, dependent_id, relationship]
+    );
+
+    await recordConsent(result.insertId, "requested", req, {
+      method: "guardian_attestation",
+      document_url,
+      notes,
+    });
+
+    sendEmail({
+      to: dependents[0].email,
+      subject: "[HealthPal] Guardian access requested",
+      text: `${req.user.email} asked to act as your ${relationship} on HealthPal. Log in to accept or decline.`,
+    }).catch((err) =>
+      console.error("[guardianships] email notify error:", err?.message || err)
+    );
+
+    res.status(201).json({
+      message: "Guardianship requested; awaiting consent",
+      guardianship: toPublicGuardianship(await fetchGuardianship(result.insertId)),
+    });
+  } catch (error) {
+    console.error("Error requesting guardianship:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /guardianships/:id/consent - Dependent (or account manager) grants or declines
+router.put("/:id/consent", authenticateToken, async (req, res) => {
+  try {
+    const { decision, document_url, notes } = req.body;
+
+    if (!["grant", "decline"].includes(decision)) {
+      return res
+        .status(400)
+        .json({ error: "decision must be either 'grant' or 'decline'" });
+    }
+
+    const guardianship = await fetchGuardianship(req.params.id);
+    if (!guardianship) {
+      return res.status(404).json({ error: "Guardianship not found" });
+    }
+
+    // Dependents consent for themselves; managers record consent given offline
+    // (e.g. court papers for someone who cannot use the app)
+    let method;
+    if (guardianship.dependent_id === req.user.id) {
+      method = "dependent_login";
+    } else if (await hasPermission(req.user, "users:manage")) {
+      method = "admin";
+      if (decision === "grant" && !document_url) {
+        return res.status(400).json({
+          error: "document_url is required when consent is recorded by an administrator",
+        });
+      }
+    } else {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (guardianship.status !== "pending") {
+      return res.status(400).json({
+        error: `Guardianship is ${guardianship.status}, not pending`,
+      });
+    }
+
+    const granted = decision === "grant";
+    await runQuery(
+      "UPDATE guardianships SET status = ?, activated_at = ? WHERE id = ?",
+      [granted ? "active" : "declined", granted ? new Date() : null, guardianship.id]
+    );
+
+    await recordConsent(guardianship.id, granted ? "granted" : "declined", req, {
+      method,
+      document_url,
+      notes,
+    });
+
+    sendEmail({
+      to: guardianship.guardian_email,
+      subject: `[HealthPal] Guardian access ${granted ? "granted" : "declined"}`,
+      text: `Your request to act for ${guardianship.dependent_username} was ${
+        granted ? "granted" : "declined"
+      }.`,
+    }).catch((err) =>
+      console.error("[guardianships] email notify error:", err?.message || err)
+    );
+
+    res.json({
+      message: `Guardianship ${granted ? "activated" : "declined"}`,
+      guardianship: toPublicGuardianship(await fetchGuardianship(guardianship.id)),
+    });
+  } catch (error) {
+    console.error("Error recording guardianship consent:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /guardianships/:id - Guardian, dependent or account manager revokes
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const guardianship = await fetchGuardianship(req.params.id);
+    if (!guardianship) {
+      return res.status(404).json({ error: "Guardianship not found" });
+    }
+
+    if (!(await canViewGuardianship(req.user, guardianship))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (!["pending", "active"].includes(guardianship.status)) {
+      return res.status(400).json({
+        error: `Guardianship is already ${guardianship.status}`,
+      });
+    }
+
+    await runQuery(
+      "UPDATE guardianships SET status = 'revoked', revoked_at = NOW() WHERE id = ?",
+      [guardianship.id]
+    );
+
+    let method = "admin";
+    if (guardianship.dependent_id === req.user.id) method = "dependent_login";
+    else if (guardianship.guardian_id === req.user.id) method = "guardian_attestation";
+
+    await recordConsent(guardianship.id, "revoked", req, {
+      method,
+      notes: req.body?.notes,
+    });
+
+    res.json({
+      message: "Guardianship revoked successfully",
+    });
+  } catch (error) {
+    console.error("Error revoking guardianship:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /guardianships/:id/consents - Consent history of a guardianship
+router.get("/:id/consents", authenticateToken, async (req, res) => {
+  try {
+    const guardianship = await fetchGuardianship(req.params.id);
+    if (!guardianship) {
+      return res.status(404).json({ error: "Guardianship not found" });
+    }
+
+    if (!(await canViewGuardianship(req.user, guardianship))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const consents = await runQuery(
+      `SELECT gc.id, gc.event, gc.method, gc.document_url, gc.notes, gc.created_at,
+        gc.recorded_by, u.username AS recorded_by_username
+      FROM guardian_consents gc
+      LEFT JOIN users u ON gc.recorded_by = u.id
+      WHERE gc.guardianship_id = ?
+      ORDER BY gc.created_at, gc.id`,
+      [guardianship.id]
+    );
+
+    res.json({
+      message: "Consent records retrieved successfully",
+      guardianship: toPublicGuardianship(guardianship),
+      consents,
+    });
+  } catch (error) {
+    console.error("Error fetching consent records:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /guardianships/:id/actions - Actions the guardian took for the dependent
+router.get("/:id/actions", authenticateToken, async (req, res) => {
+  try {
+    const guardianship = await fetchGuardianship(req.params.id);
+    if (!guardianship) {
+      return res.status(404).json({ error: "Guardianship not found" });
+    }
+
+    if (!(await canViewGuardianship(req.user, guardianship))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const actions = await runQuery(
+      `SELECT id, action, resource_type, resource_id, created_at
+       FROM guardian_actions
+       WHERE guardian_id = ? AND dependent_id = ?
+       ORDER BY created_at DESC`,
+      [guardianship.guardian_id, guardianship.dependent_id]
+    );
+
+    res.json({
+      message: "Guardian actions retrieved successfully",
+      actions,
+    });
+  } catch (error) {
+    console.error("Error fetching guardian actions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
-const requireRole = require("../middleware/roleCheck.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { hasPermission } = require("../utils/permissions.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -12,22 +13,10 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create health guides
-const canCreateHealthGuide = (role) => {
-  return ["doctor", "hospital", "ngo", "admin"].includes(role);
-};
-
-// POST /health-guides - Create health guide (doctors, hospitals, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /health-guides - Create health guide (requires guides:create)
+router.post("/", authenticateToken, requirePermission("guides:create"), async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateHealthGuide(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, hospitals, NGOs, and admins can create health guides",
-      });
-    }
 
     const { title, category, description, media_url, language } = req.body;
 
@@ -99,7 +88,6 @@ router.post("/", authenticateToken, async (req, res) => {
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { category, language, approved_only, created_by_me } = req.query;
 
     let sql = `
@@ -116,9 +104,10 @@ router.get("/", authenticateToken, async (req, res) => {
 
     const params = [];
 
-    // Admins can see all guides
+    // Reviewers (admins or anyone granted guides:approve) can see all guides
     // Others see only approved guides, unless they're the creator
-    if (userRole !== "admin") {
+    const canReview = await hasPermission(req.user, "guides:approve");
+    if (!canReview) {
       if (created_by_me === "true") {
         // Show user's own guides (approved or not)
         sql += " AND hg.created_by = ?";
@@ -128,7 +117,7 @@ router.get("/", authenticateToken, async (req, res) => {
         sql += " AND hg.approved = true";
       }
     } else if (approved_only === "false") {
-      // Admin can see all if explicitly requested
+      // Reviewers can see all if explicitly requested
       // Otherwise show approved by default
     } else {
       // Default: show approved guides
@@ -166,7 +155,6 @@ router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const sql = `
       SELECT 
@@ -187,11 +175,11 @@ router.get("/:id", authenticateToken, async (req, res) => {
     }
 
     // Check if user can view this guide
-    // Admins and creators can see unapproved guides
+    // Reviewers and creators can see unapproved guides
     // Others can only see approved guides
     if (
       !guide[0].approved &&
-      userRole !== "admin" &&
+      !(await hasPermission(req.user, "guides:approve")) &&
       guide[0].created_by !== userId
     ) {
       return res.status(403).json({
@@ -318,8 +306,8 @@ router.put("/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /health-guides/:id/approve - Approve/reject health guide (admin only)
-router.put("/:id/approve", authenticateToken, requireRole("admin"), async (req, res) => {
+// PUT /health-guides/:id/approve - Approve/reject health guide (requires guides:approve)
+router.put("/:id/approve", authenticateToken, requirePermission("guides:approve"), async (req, res) => {
   try {
     const { id } = req.params;
     const adminId = req.user.id;
@@ -3,6 +3,10 @@ const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
 const requireRole = require("../middleware/roleCheck.js");
+const {
+  getActingSourceIds,
+  canActForSource,
+} = require("../utils/organizations.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -40,7 +44,6 @@ router.post("/", authenticateToken, async (req, res) => {
       expiry_date,
       source_id,
     } = req.body;
-    const userId = req.user.id;
     const userRole = req.user.role;
 
     // Validate required fields
@@ -110,14 +113,14 @@ router.post("/", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Source not found" });
     }
 
-    // Authorization: Sources can only create for themselves, admins/doctors can create for any source
-    if (["hospital", "ngo", "donor"].includes(userRole)) {
-      if (parseInt(source_id) !== userId) {
-        return res.status(403).json({
-          error: "Sources can only create inventory items for themselves",
-        });
-      }
-    } else if (!["admin", "doctor"].includes(userRole)) {
+    // Authorization: Sources (and their organization staff) can only create for themselves,
+    // admins/doctors can create for any source
+    const isOwnSource = await canActForSource(req.user, source_id, "inventory:manage");
+    if (!isOwnSource && ["hospital", "ngo", "donor"].includes(userRole)) {
+      return res.status(403).json({
+        error: "Sources can only create inventory items for themselves",
+      });
+    } else if (!isOwnSource && !["admin", "doctor"].includes(userRole)) {
       return res.status(403).json({
         error: "Only sources, admins, and doctors can create inventory items",
       });
@@ -228,10 +231,14 @@ router.get("/", authenticateToken, async (req, res) => {
     const conditions = [];
     const params = [];
 
-    // Role-based filtering
+    // Role-based filtering (organization staff see their organizations' items)
+    const staffSourceIds = await getActingSourceIds(userId, "inventory:manage");
     if (["hospital", "ngo", "donor"].includes(userRole)) {
-      conditions.push("ir.source_id = ?");
-      params.push(userId);
+      conditions.push("ir.source_id IN (?)");
+      params.push([userId, ...staffSourceIds]);
+    } else if (staffSourceIds.length > 0 && !["admin", "doctor"].includes(userRole)) {
+      conditions.push("ir.source_id IN (?)");
+      params.push(staffSourceIds);
     } else if (!["admin", "doctor"].includes(userRole)) {
       return res.status(403).json({ error: "Access denied" });
     }
@@ -348,7 +355,6 @@ router.get("/", authenticateToken, async (req, res) => {
 router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
     const userRole = req.user.role;
 
     // Check and update expired medicines
@@ -369,11 +375,12 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const inventoryItem = item[0];
 
     // Authorization check
-    if (["hospital", "ngo", "donor"].includes(userRole)) {
-      if (parseInt(inventoryItem.source_id) !== userId) {
-        return res.status(403).json({ error: "Access denied" });
-      }
-    } else if (!["admin", "doctor"].includes(userRole)) {
+    const isOwnSource = await canActForSource(
+      req.user,
+      inventoryItem.source_id,
+      "inventory:manage"
+    );
+    if (!isOwnSource && !["admin", "doctor"].includes(userRole)) {
       return res.status(403).json({ error: "Access denied" });
     }
 
@@ -400,7 +407,6 @@ router.put("/:id", authenticateToken, async (req, res) => {
       condition,
       expiry_date,
     } = req.body;
-    const userId = req.user.id;
     const userRole = req.user.role;
 
     // Get existing item
@@ -415,14 +421,13 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     const item = existing[0];
 
-    // Authorization: Source can update their own, admin can update any
-    if (["hospital", "ngo", "donor"].includes(userRole)) {
-      if (parseInt(item.source_id) !== userId) {
-        return res.status(403).json({
-          error: "Sources can only update their own inventory items",
-        });
-      }
-    } else if (userRole !== "admin") {
+    // Authorization: Source (or its organization staff) can update their own, admin can update any
+    const isOwnSource = await canActForSource(req.user, item.source_id, "inventory:manage");
+    if (!isOwnSource && ["hospital", "ngo", "donor"].includes(userRole)) {
+      return res.status(403).json({
+        error: "Sources can only update their own inventory items",
+      });
+    } else if (!isOwnSource && userRole !== "admin") {
       return res.status(403).json({
         error: "Only sources and admins can update inventory items",
       });
@@ -561,7 +566,6 @@ router.put("/:id", authenticateToken, async (req, res) => {
 router.delete("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
     const userRole = req.user.role;
 
     // Get existing item
@@ -576,14 +580,13 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 
     const item = existing[0];
 
-    // Authorization: Source can delete their own, admin can delete any
-    if (["hospital", "ngo", "donor"].includes(userRole)) {
-      if (parseInt(item.source_id) !== userId) {
-        return res.status(403).json({
-          error: "Sources can only delete their own inventory items",
-        });
-      }
-    } else if (userRole !== "admin") {
+    // Authorization: Source (or its organization staff) can delete their own, admin can delete any
+    const isOwnSource = await canActForSource(req.user, item.source_id, "inventory:manage");
+    if (!isOwnSource && ["hospital", "ngo", "donor"].includes(userRole)) {
+      return res.status(403).json({
+        error: "Sources can only delete their own inventory items",
+      });
+    } else if (!isOwnSource && userRole !== "admin") {
       return res.status(403).json({
         error: "Only sources and admins can delete inventory items",
       });
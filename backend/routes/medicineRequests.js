@@ -2,7 +2,13 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requireVerifiedEmail = require("../middleware/emailVerified.js");
 const requireRole = require("../middleware/roleCheck.js");
+const {
+  isActiveGuardian,
+  recordGuardianAction,
+} = require("../utils/guardians.js");
+const { canActForSource } = require("../utils/organizations.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -59,7 +65,7 @@ const checkInventoryAndSetStatus = async (itemName, quantityNeeded) => {
 };
 
 // POST /medicine-requests - Create medicine request (patient or doctor)
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const { patient_id, item_name_requested, quantity_needed, delivery_location, notes } = req.body;
     const userId = req.user.id;
@@ -87,8 +93,14 @@ router.post("/", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "patient_id must refer to a patient" });
     }
 
-    // Authorization: Patient can only create for themselves, doctor can create for their patients
-    if (userRole === "patient") {
+    // Authorization: Patient can only create for themselves, guardians for their
+    // dependents, doctor can create for their patients
+    const actingForDependent =
+      parseInt(patient_id) !== userId && (await isActiveGuardian(userId, patient_id));
+
+    if (actingForDependent) {
+      // Guardian files on the dependent's behalf, whatever the guardian's own role
+    } else if (userRole === "patient") {
       if (parseInt(patient_id) !== userId) {
         return res.status(403).json({
           error: "Patients can only create medicine requests for themselves",
@@ -117,8 +129,8 @@ router.post("/", authenticateToken, async (req, res) => {
     // Insert medicine request
     const result = await runQuery(
       `INSERT INTO medicine_requests 
-       (patient_id, item_name_requested, quantity_needed, delivery_location, assigned_source_id, status, notes, requested_date) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+       (patient_id, item_name_requested, quantity_needed, delivery_location, assigned_source_id, status, notes, requested_by, requested_date) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
       [
         patient_id,
         item_name_requested,
@@ -127,9 +139,20 @@ router.post("/", authenticateToken, async (req, res) => {
         inventoryCheck.assigned_source_id,
         inventoryCheck.status,
         notes || null,
+        userId,
       ]
     );
 
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: parseInt(patient_id),
+        action: "file_medicine_request",
+        resourceType: "medicine_request",
+        resourceId: result.insertId,
+      });
+    }
+
     const medicineRequest = await runQuery(
       "SELECT * FROM medicine_requests WHERE request_id = ?",
       [result.insertId]
@@ -352,8 +375,14 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     const reqData = request[0];
 
-    // Authorization check
-    if (userRole === "patient") {
+    // Authorization check (a guardian who filed the request sees it while the guardianship is active)
+    if (
+      reqData.requested_by === userId &&
+      parseInt(reqData.patient_id) !== userId &&
+      (await isActiveGuardian(userId, reqData.patient_id))
+    ) {
+      // Guardian requester
+    } else if (userRole === "patient") {
       if (parseInt(reqData.patient_id) !== userId) {
         return res.status(403).json({ error: "Access denied" });
       }
@@ -538,14 +567,20 @@ router.put("/:id/fulfill", authenticateToken, async (req, res) => {
 
     const reqData = request[0];
 
-    // Authorization: Only assigned source or admin can fulfill
+    // Authorization: Only assigned source (or its organization staff) or admin can fulfill.
+    // fulfilled_by records the staff member who actually fulfilled it.
     if (userRole !== "admin") {
-      if (!["hospital", "ngo", "donor"].includes(userRole)) {
+      const isAssignedSource = await canActForSource(
+        req.user,
+        reqData.assigned_source_id,
+        "medicine_requests:fulfill"
+      );
+      if (!isAssignedSource && !["hospital", "ngo", "donor"].includes(userRole)) {
         return res.status(403).json({
           error: "Only assigned sources or admins can fulfill requests",
         });
       }
-      if (parseInt(reqData.assigned_source_id) !== userId) {
+      if (!isAssignedSource) {
         return res.status(403).json({
           error: "Only the assigned source can fulfill this request",
         });
@@ -3,6 +3,8 @@ const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
 const requireRole = require("../middleware/roleCheck.js");
+const { recordAccess } = require("../utils/accessAudit.js");
+const { recordStatusChange } = require("../utils/consultationStatus.js");
 
 if (typeof authenticateToken !== "function") {
   throw new Error("authenticateToken middleware must be a function");
@@ -60,7 +62,6 @@ const baseSelect = `
     c.specialty,
     c.status,
     c.mode,
-    c.notes,
     c.slot_id,
     c.created_at AS consultation_created_at,
     c.updated_at AS consultation_updated_at,
@@ -95,7 +96,6 @@ const formatConsultation = (row, requesterRole, requesterId) => {
     specialty: row.specialty,
     status: row.status,
     mode: row.mode,
-    notes: row.notes,
     slot_id: row.slot_id,
     created_at: row.consultation_created_at,
     updated_at: row.consultation_updated_at,
@@ -143,6 +143,18 @@ const formatConsultation = (row, requesterRole, requesterId) => {
   return base;
 };
 
+// One audit entry per record in a listing
+const recordListingAccess = (req, rows) => {
+  rows.forEach((row) =>
+    recordAccess({
+      req,
+      patientId: row.patient_id,
+      resourceType: "mental_health_consultation",
+      resourceId: row.mhc_id,
+    })
+  );
+};
+
 const fetchMentalConsultation = (whereClause, params) =>
   new Promise((resolve, reject) => {
     db.query(
@@ -280,6 +292,12 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const consultationId = consultationInsert.insertId;
 
+    await recordStatusChange(connection, {
+      consultationId,
+      toStatus: "pending",
+      changedBy: userId,
+    });
+
     await queryConnection(
       connection,
       `INSERT INTO mental_health_consultations
@@ -314,6 +332,14 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const created = createdRows[0];
 
+    recordAccess({
+      req,
+      patientId: created.patient_id,
+      resourceType: "mental_health_consultation",
+      resourceId: created.mhc_id,
+      action: "create",
+    });
+
     res.status(201).json({
       message: "Mental health consultation created successfully",
       consultation: formatConsultation(created, userRole, userId),
@@ -364,6 +390,8 @@ router.get("/", authenticateToken, async (req, res) => {
       formatConsultation(row, role, userId)
     );
 
+    recordListingAccess(req, rows);
+
     res.json({
       message: "Mental health consultations retrieved successfully",
       consultations,
@@ -573,6 +601,8 @@ router.get(
             formatConsultation(row, "admin", null)
           );
 
+          recordListingAccess(req, dataResults);
+
           res.json({
             message: "All mental health consultations retrieved successfully",
             meta: {
@@ -616,6 +646,13 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    recordAccess({
+      req,
+      patientId: row.patient_id,
+      resourceType: "mental_health_consultation",
+      resourceId: row.mhc_id,
+    });
+
     res.json({
       message: "Mental health consultation retrieved successfully",
       consultation: formatConsultation(row, role, userId),
@@ -775,6 +812,14 @@ router.put("/:id", authenticateToken, async (req, res) => {
       [mentalId]
     );
 
+    recordAccess({
+      req,
+      patientId: row.patient_id,
+      resourceType: "mental_health_consultation",
+      resourceId: row.mhc_id,
+      action: "update",
+    });
+
     res.json({
       message: "Mental health consultation updated successfully",
       consultation: formatConsultation(updatedRows[0], role, userId),
@@ -801,7 +846,7 @@ router.delete(
 
       const mentalResult = await queryConnection(
         connection,
-        `SELECT mhc.consultation_id, c.slot_id
+        `SELECT mhc.consultation_id, c.slot_id, c.patient_id
          FROM mental_health_consultations mhc
          JOIN consultations c ON mhc.consultation_id = c.id
          WHERE mhc.id = ? FOR UPDATE`,
@@ -815,7 +860,7 @@ router.delete(
           .json({ error: "Mental health consultation not found" });
       }
 
-      const { consultation_id, slot_id } = mentalResult[0];
+      const { consultation_id, slot_id, patient_id } = mentalResult[0];
 
       await queryConnection(
         connection,
@@ -843,6 +888,14 @@ router.delete(
 
       await queryConnection(connection, "COMMIT");
 
+      recordAccess({
+        req,
+        patientId: patient_id,
+        resourceType: "mental_health_consultation",
+        resourceId: Number(mentalId),
+        action: "delete",
+      });
+
       res.json({ message: "Mental health consultation deleted successfully" });
     } catch (error) {
       if (connection) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
 const { translateText } = require("../utils/translator.js");
+const { recordAccess } = require("../utils/accessAudit.js");
 
 const DEFAULT_LANGUAGE = "en";
 
@@ -126,6 +127,14 @@ router.post("/", authenticateToken, async (req, res) => {
       ...message[0],
     };
 
+    recordAccess({
+      req,
+      patientId: connection.patient_id,
+      resourceType: "message",
+      resourceId: messageId,
+      action: "create",
+    });
+
     const io = req.app.get("io");
     if (io) {
       io.to(`connection_${connection.id}`).emit("message:received", payload);
@@ -259,6 +268,13 @@ router.get("/", authenticateToken, async (req, res) => {
       [...params, limitNum, offset]
     );
 
+    // Conversations are always between a patient and a doctor
+    recordAccess({
+      req,
+      patientId: filterConnection.patient_id,
+      resourceType: "message",
+    });
+
     res.json({
       message: "Messages retrieved successfully",
       data: messages,
@@ -300,6 +316,18 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    const patientResults = await runQuery(
+      "SELECT id FROM users WHERE id IN (?, ?) AND role = 'patient' LIMIT 1",
+      [message.sender_id, message.receiver_id]
+    );
+
+    recordAccess({
+      req,
+      patientId: patientResults[0]?.id,
+      resourceType: "message",
+      resourceId: message.id,
+    });
+
     res.json({
       message: "Message retrieved successfully",
       data: message,
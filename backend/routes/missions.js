@@ -2,7 +2,15 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
 const requireRole = require("../middleware/roleCheck.js");
+const {
+  isValidTimeZone,
+  parseDateTimeInput,
+  toUtcDatetime,
+  withLocalTimes,
+  resolveEventTimeZone,
+} = require("../utils/timezones.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -12,30 +20,22 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create missions
-const canCreateMission = (role) => {
-  return ["doctor", "ngo", "admin"].includes(role);
+// Helper to format date for MySQL (stored as UTC; values without an offset are local to timeZone)
+const formatMySQLDate = (dateString, timeZone) => {
+  const date = parseDateTimeInput(dateString, timeZone);
+  return date ? toUtcDatetime(date) : null;
 };
 
-// Helper to format date for MySQL
-const formatMySQLDate = (dateString) => {
-  if (!dateString) return null;
-  const date = new Date(dateString);
-  if (Number.isNaN(date.getTime())) return null;
-  return date.toISOString().slice(0, 19).replace("T", " ");
-};
+const MISSION_TIME_FIELDS = ["start_datetime", "end_datetime", "registration_expiration"];
+
+// Adds *_local times in the event's zone (or ?tz=)
+const localizeMission = (row, req) =>
+  withLocalTimes(row, MISSION_TIME_FIELDS, req.query.tz);
 
-// POST /missions - Create mission (doctors, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /missions - Create mission (requires missions:create)
+router.post("/", authenticateToken, requirePermission("missions:create"), async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateMission(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, NGOs, and admins can create missions",
-      });
-    }
 
     const {
       title,
@@ -47,6 +47,7 @@ router.post("/", authenticateToken, async (req, res) => {
       end_datetime,
       registration_expiration,
       slots_available,
+      timezone,
     } = req.body;
 
     // Validate required fields
@@ -101,10 +102,18 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Validate and format dates
-    const formattedStartDate = formatMySQLDate(start_datetime);
-    const formattedEndDate = formatMySQLDate(end_datetime);
+    const { timeZone, error: timeZoneError } = await resolveEventTimeZone(
+      timezone,
+      userId
+    );
+    if (timeZoneError) {
+      return res.status(400).json({ error: timeZoneError });
+    }
+
+    const formattedStartDate = formatMySQLDate(start_datetime, timeZone);
+    const formattedEndDate = formatMySQLDate(end_datetime, timeZone);
     const formattedRegExpiration = registration_expiration
-      ? formatMySQLDate(registration_expiration)
+      ? formatMySQLDate(registration_expiration, timeZone)
       : null;
 
     if (!formattedStartDate || !formattedEndDate) {
@@ -114,8 +123,8 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Validate date logic
-    const startDate = new Date(start_datetime);
-    const endDate = new Date(end_datetime);
+    const startDate = parseDateTimeInput(start_datetime, timeZone);
+    const endDate = parseDateTimeInput(end_datetime, timeZone);
     const now = new Date();
 
     if (startDate >= endDate) {
@@ -132,7 +141,7 @@ router.post("/", authenticateToken, async (req, res) => {
 
     // Validate registration_expiration if provided
     if (formattedRegExpiration) {
-      const regExpDate = new Date(registration_expiration);
+      const regExpDate = parseDateTimeInput(registration_expiration, timeZone);
       if (regExpDate >= startDate) {
         return res.status(400).json({
           error: "registration_expiration must be before start_datetime",
@@ -142,8 +151,8 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const sql = `
       INSERT INTO missions 
-        (title, description, doctor_id, ngo_id, location, start_datetime, end_datetime, registration_expiration, slots_available, slots_filled, status, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 'upcoming', NOW(), NOW())
+        (title, description, doctor_id, ngo_id, location, start_datetime, end_datetime, registration_expiration, timezone, slots_available, slots_filled, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 'upcoming', NOW(), NOW())
     `;
 
     const result = await runQuery(sql, [
@@ -155,6 +164,7 @@ router.post("/", authenticateToken, async (req, res) => {
       formattedStartDate,
       formattedEndDate,
       formattedRegExpiration,
+      timeZone,
       slotsInt,
     ]);
 
@@ -177,7 +187,7 @@ router.post("/", authenticateToken, async (req, res) => {
 
     res.status(201).json({
       message: "Mission created successfully",
-      mission: mission[0],
+      mission: localizeMission(mission[0], req),
     });
   } catch (error) {
     console.error("Error creating mission:", error);
@@ -255,7 +265,7 @@ router.get("/", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Missions retrieved successfully",
-      missions,
+      missions: missions.map((mission) => localizeMission(mission, req)),
     });
   } catch (error) {
     console.error("Error fetching missions:", error);
@@ -292,7 +302,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Mission retrieved successfully",
-      mission: mission[0],
+      mission: localizeMission(mission[0], req),
     });
   } catch (error) {
     console.error("Error fetching mission:", error);
@@ -345,11 +355,23 @@ router.put("/:id", authenticateToken, async (req, res) => {
       registration_expiration,
       slots_available,
       status,
+      timezone,
     } = req.body;
 
     const updates = [];
     const params = [];
 
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+      updates.push("timezone = ?");
+      params.push(timezone);
+    }
+    const timeZone = timezone || existing[0].timezone;
+
     if (title !== undefined) {
       updates.push("title = ?");
       params.push(title);
@@ -395,7 +417,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
       params.push(location);
     }
     if (start_datetime !== undefined) {
-      const formattedStartDate = formatMySQLDate(start_datetime);
+      const formattedStartDate = formatMySQLDate(start_datetime, timeZone);
       if (!formattedStartDate) {
         return res.status(400).json({ error: "Invalid start_datetime format" });
       }
@@ -403,7 +425,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
       params.push(formattedStartDate);
     }
     if (end_datetime !== undefined) {
-      const formattedEndDate = formatMySQLDate(end_datetime);
+      const formattedEndDate = formatMySQLDate(end_datetime, timeZone);
       if (!formattedEndDate) {
         return res.status(400).json({ error: "Invalid end_datetime format" });
       }
@@ -412,7 +434,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
     }
     if (registration_expiration !== undefined) {
       const formattedRegExpiration = registration_expiration
-        ? formatMySQLDate(registration_expiration)
+        ? formatMySQLDate(registration_expiration, timeZone)
         : null;
       updates.push("registration_expiration = ?");
       params.push(formattedRegExpiration);
@@ -472,7 +494,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Mission updated successfully",
-      mission: updated[0],
+      mission: localizeMission(updated[0], req),
     });
   } catch (error) {
     console.error("Error updating mission:", error);
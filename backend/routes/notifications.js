@@ -0,0 +1,114 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// GET /notifications - My in-app notifications, newest first
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread_only } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (Number.isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Invalid page number" });
+    }
+    if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Invalid limit. Must be between 1 and 100" });
+    }
+
+    const conditions = ["user_id = ?"];
+    const params = [req.user.id];
+
+    if (["true", "1"].includes(String(unread_only))) {
+      conditions.push("read_at IS NULL");
+    }
+
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
+
+    const counts = await runQuery(
+      `SELECT COUNT(*) AS total, SUM(read_at IS NULL) AS unread
+       FROM notifications ${whereClause}`,
+      params
+    );
+
+    const notifications = await runQuery(
+      `SELECT id, type, title, body, resource_type, resource_id, read_at, created_at
+       FROM notifications
+       ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?
+       OFFSET ?`,
+      [...params, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    const total = counts[0]?.total || 0;
+
+    res.json({
+      message: "Notifications retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        unread: Number(counts[0]?.unread || 0),
+        total_pages: Math.ceil(total / limitNum),
+      },
+      notifications,
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /notifications/read-all - Mark all my notifications as read
+router.put("/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await runQuery(
+      "UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL",
+      [req.user.id]
+    );
+
+    res.json({
+      message: "Notifications marked as read",
+      updated: result.affectedRows,
+    });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /notifications/:id/read - Mark one notification as read
+router.put("/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const notifications = await runQuery(
+      "SELECT id, user_id FROM notifications WHERE id = ?",
+      [req.params.id]
+    );
+
+    if (notifications.length === 0 || notifications[0].user_id !== req.user.id) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    await runQuery(
+      "UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ?",
+      [req.params.id]
+    );
+
+    res.json({ message: "Notification marked as read" });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
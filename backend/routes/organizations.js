@@ -0,0 +1,319 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const {
+  ORG_ROLES,
+  canActForOrganization,
+} = require("../utils/organizations.js");
+
+const ORGANIZATION_ACCOUNT_ROLES = ["hospital", "ngo"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const fetchOrganization = async (id) => {
+  const results = await runQuery(
+    `SELECT o.*, u.username AS account_username,
+      (SELECT COUNT(*) FROM organization_members m
+        WHERE m.organization_id = o.id AND m.status = 'active') AS member_count
+    FROM organizations o
+    JOIN users u ON o.account_user_id = u.id
+    WHERE o.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+const fetchMembers = (organizationId) =>
+  runQuery(
+    `SELECT m.id, m.user_id, u.username, u.email, u.role, m.org_role, m.status,
+      m.created_at, m.removed_at
+    FROM organization_members m
+    JOIN users u ON m.user_id = u.id
+    WHERE m.organization_id = ?
+    ORDER BY m.status, m.org_role, u.username`,
+    [organizationId]
+  );
+
+// Organization account, org admins and platform admins manage staff
+const canManageMembers = async (user, organizationId) =>
+  user.role === "admin" ||
+  (await canActForOrganization(user, organizationId, "members:manage"));
+
+// POST /organizations - Register a hospital/NGO organization for its account
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { name, account_user_id } = req.body;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    // Hospitals/NGOs register themselves; admins register on their behalf
+    let accountUserId;
+    if (ORGANIZATION_ACCOUNT_ROLES.includes(userRole)) {
+      accountUserId = userId;
+    } else if (userRole === "admin") {
+      if (!account_user_id) {
+        return res.status(400).json({
+          error: "account_user_id is required when an admin creates an organization",
+        });
+      }
+      accountUserId = parseInt(account_user_id, 10);
+    } else {
+      return res.status(403).json({
+        error: "Only hospitals, NGOs and admins can create organizations",
+      });
+    }
+
+    const accounts = await runQuery("SELECT id, role FROM users WHERE id = ?", [
+      accountUserId,
+    ]);
+    if (accounts.length === 0) {
+      return res.status(404).json({ error: "Account user not found" });
+    }
+    if (!ORGANIZATION_ACCOUNT_ROLES.includes(accounts[0].role)) {
+      return res.status(400).json({
+        error: "account_user_id must refer to a hospital or NGO account",
+      });
+    }
+
+    const existing = await runQuery(
+      "SELECT id FROM organizations WHERE account_user_id = ?",
+      [accountUserId]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: "This account already has an organization",
+        organization_id: existing[0].id,
+      });
+    }
+
+    const result = await runQuery(
+      `INSERT INTO organizations (name, type, account_user_id, created_by, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [String(name).trim(), accounts[0].role, accountUserId, userId]
+    );
+
+    res.status(201).json({
+      message: "Organization created successfully",
+      organization: await fetchOrganization(result.insertId),
+    });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /organizations - List organizations
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const params = [];
+    let where = "";
+
+    if (type) {
+      if (!ORGANIZATION_ACCOUNT_ROLES.includes(type)) {
+        return res.status(400).json({
+          error: `type must be one of: ${ORGANIZATION_ACCOUNT_ROLES.join(", ")}`,
+        });
+      }
+      where = "WHERE o.type = ?";
+      params.push(type);
+    }
+
+    const organizations = await runQuery(
+      `SELECT o.id, o.name, o.type, o.account_user_id, o.created_at,
+        (SELECT COUNT(*) FROM organization_members m
+          WHERE m.organization_id = o.id AND m.status = 'active') AS member_count
+      FROM organizations o
+      ${where}
+      ORDER BY o.name`,
+      params
+    );
+
+    res.json({
+      message: "Organizations retrieved successfully",
+      organizations,
+    });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /organizations/mine - Organizations I own or work for
+router.get("/mine", authenticateToken, async (req, res) => {
+  try {
+    const organizations = await runQuery(
+      `SELECT o.id, o.name, o.type, o.account_user_id,
+        IF(o.account_user_id = ?, 'account', m.org_role) AS org_role
+      FROM organizations o
+      LEFT JOIN organization_members m
+        ON m.organization_id = o.id AND m.user_id = ? AND m.status = 'active'
+      WHERE o.account_user_id = ? OR m.id IS NOT NULL
+      ORDER BY o.name`,
+      [req.user.id, req.user.id, req.user.id]
+    );
+
+    res.json({
+      message: "Organizations retrieved successfully",
+      organizations,
+    });
+  } catch (error) {
+    console.error("Error fetching own organizations:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /organizations/:id - Organization details (staff list for its managers)
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const organization = await fetchOrganization(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    const response = {
+      message: "Organization retrieved successfully",
+      organization,
+    };
+
+    if (await canManageMembers(req.user, organization.id)) {
+      response.members = await fetchMembers(organization.id);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Error fetching organization:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /organizations/:id/members - Add a staff member
+router.post("/:id/members", authenticateToken, async (req, res) => {
+  try {
+    const { user_id, org_role } = req.body;
+
+    if (!user_id || !org_role) {
+      return res.status(400).json({ error: "user_id and org_role are required" });
+    }
+
+    if (!ORG_ROLES.includes(org_role)) {
+      return res.status(400).json({
+        error: `org_role must be one of: ${ORG_ROLES.join(", ")}`,
+      });
+    }
+
+    const organization = await fetchOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    if (!(await canManageMembers(req.user, organization.id))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const users = await runQuery(
+      "SELECT id FROM users WHERE id = ? AND erased_at IS NULL",
+      [user_id]
+    );
+    if (users.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (users[0].id === organization.account_user_id) {
+      return res.status(400).json({
+        error: "The organization account cannot be added as its own staff member",
+      });
+    }
+
+    // Re-adding a removed member reactivates the existing row
+    await runQuery(
+      `INSERT INTO organization_members (organization_id, user_id, org_role, status, added_by, created_at)
+       VALUES (?, ?, ?, 'active', ?, NOW())
+       ON DUPLICATE KEY UPDATE org_role = VALUES(org_role), status = 'active',
+         added_by = VALUES(added_by), removed_at = NULL`,
+      [organization.id, users[0].id, org_role, req.user.id]
+    );
+
+    res.status(201).json({
+      message: "Staff member added successfully",
+      members: await fetchMembers(organization.id),
+    });
+  } catch (error) {
+    console.error("Error adding organization member:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /organizations/:id/members/:userId - Change a staff member's role
+router.put("/:id/members/:userId", authenticateToken, async (req, res) => {
+  try {
+    const { org_role } = req.body;
+
+    if (!ORG_ROLES.includes(org_role)) {
+      return res.status(400).json({
+        error: `org_role must be one of: ${ORG_ROLES.join(", ")}`,
+      });
+    }
+
+    if (!(await canManageMembers(req.user, req.params.id))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const result = await runQuery(
+      `UPDATE organization_members SET org_role = ?
+       WHERE organization_id = ? AND user_id = ? AND status = 'active'`,
+      [org_role, req.params.id, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Staff member not found" });
+    }
+
+    res.json({
+      message: "Staff member role updated successfully",
+      members: await fetchMembers(req.params.id),
+    });
+  } catch (error) {
+    console.error("Error updating organization member:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /organizations/:id/members/:userId - Remove a staff member
+router.delete("/:id/members/:userId", authenticateToken, async (req, res) => {
+  try {
+    if (!(await canManageMembers(req.user, req.params.id))) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const result = await runQuery(
+      `UPDATE organization_members SET status = 'removed', removed_at = NOW()
+       WHERE organization_id = ? AND user_id = ? AND status = 'active'`,
+      [req.params.id, req.params.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Staff member not found" });
+    }
+
+    res.json({
+      message: "Staff member removed successfully",
+    });
+  } catch (error) {
+    console.error("Error removing organization member:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isKnownPermission,
+  getEffectivePermissions,
+} = require("../utils/permissions.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const fetchUserPermissions = async (userId) => {
+  const users = await runQuery(
+    "SELECT id, username, email, role FROM users WHERE id = ?",
+    [userId]
+  );
+
+  if (users.length === 0) return null;
+
+  const user = users[0];
+  const overrides = await runQuery(
+    `SELECT up.permission, up.effect, up.created_at, granter.username AS granted_by_username
+     FROM user_permissions up
+     LEFT JOIN users granter ON up.granted_by = granter.id
+     WHERE up.user_id = ?
+     ORDER BY up.permission`,
+    [userId]
+  );
+
+  return {
+    user,
+    role_permissions: ROLE_PERMISSIONS[user.role] || [],
+    overrides,
+    effective_permissions: [...(await getEffectivePermissions(user))].sort(),
+  };
+};
+
+// GET /permissions/me - Effective permissions of the current user
+router.get("/me", authenticateToken, async (req, res) => {
+  try {
+    const permissions = await getEffectivePermissions(req.user);
+
+    res.json({
+      message: "Permissions retrieved successfully",
+      permissions: [...permissions].sort(),
+    });
+  } catch (error) {
+    console.error("Error fetching own permissions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /permissions - Registry of capabilities and role defaults
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("permissions:manage"),
+  (req, res) => {
+    res.json({
+      message: "Permission registry retrieved successfully",
+      permissions: PERMISSIONS,
+      roles: ROLE_PERMISSIONS,
+    });
+  }
+);
+
+// GET /permissions/users/:id - Role defaults, overrides and effective permissions
+router.get(
+  "/users/:id",
+  authenticateToken,
+  requirePermission("permissions:manage"),
+  async (req, res) => {
+    try {
+      const result = await fetchUserPermissions(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({
+        message: "User permissions retrieved successfully",
+        ...result,
+      });
+    } catch (error) {
+      console.error("Error fetching user permissions:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// PUT /permissions/users/:id - Grant or revoke a single permission for a user
+router.put(
+  "/users/:id",
+  authenticateToken,
+  requirePermission("permissions:manage"),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id, 10);
+      const { permission, effect } = req.body;
+
+      if (Number.isNaN(userId)) {
+        return res.status(400).json({ error: "Invalid user id" });
+      }
+
+      if (!permission || !isKnownPermission(permission)) {
+        return res.status(400).json({
+          error: `permission must be one of: ${Object.keys(PERMISSIONS).join(
+            ", "
+          )}`,
+        });
+      }
+
+      if (!["grant", "revoke"].includes(effect)) {
+        return res
+          .status(400)
+          .json({ error: "effect must be either 'grant' or 'revoke'" });
+      }
+
+      // Don't let an admin lock themselves out of permission management
+      if (
+        userId === req.user.id &&
+        permission === "permissions:manage" &&
+        effect === "revoke"
+      ) {
+        return res.status(400).json({
+          error: "You cannot revoke permissions:manage from yourself",
+        });
+      }
+
+      const users = await runQuery("SELECT id FROM users WHERE id = ?", [
+        userId,
+      ]);
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await runQuery(
+        `INSERT INTO user_permissions (user_id, permission, effect, granted_by, created_at)
+         VALUES (?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE effect = VALUES(effect), granted_by = VALUES(granted_by), created_at = NOW()`,
+        [userId, permission, effect, req.user.id]
+      );
+
+      const result = await fetchUserPermissions(userId);
+
+      res.json({
+        message: `Permission ${permission} ${
+          effect === "grant" ? "granted" : "revoked"
+        } successfully`,
+        ...result,
+      });
+    } catch (error) {
+      console.error("Error updating user permissions:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /permissions/users/:id/:permission - Remove an override (back to role default)
+router.delete(
+  "/users/:id/:permission",
+  authenticateToken,
+  requirePermission("permissions:manage"),
+  async (req, res) => {
+    try {
+      const { id, permission } = req.params;
+
+      const result = await runQuery(
+        "DELETE FROM user_permissions WHERE user_id = ? AND permission = ?",
+        [id, permission]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Permission override not found" });
+      }
+
+      res.json({
+        message: "Permission override removed successfully",
+      });
+    } catch (error) {
+      console.error("Error removing permission override:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
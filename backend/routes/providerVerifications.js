@@ -0,0 +1,369 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const requireRole = require("../middleware/roleCheck.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { hasPermission } = require("../utils/permissions.js");
+const { sendEmail, escapeHtml } = require("../utils/mailer.js");
+
+const PROVIDER_ROLES = ["doctor", "ngo", "hospital"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const fetchVerificationRequest = async (id) => {
+  const results = await runQuery(
+    `SELECT
+      vr.*,
+      u.username,
+      u.email,
+      u.role,
+      u.verification_status,
+      reviewer.username AS reviewer_username
+    FROM provider_verification_requests vr
+    JOIN users u ON vr.user_id = u.id
+    LEFT JOIN users reviewer ON vr.reviewed_by = reviewer.id
+    WHERE vr.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+const notifyProvider = (request, approved, reason) => {
+  const outcome = approved ? "approved" : "rejected";
+  const reasonText = reason ? ` Reason: ${reason}` : "";
+  sendEmail({
+    to: request.email,
+    subject: `[HealthPal] Verification request ${outcome}`,
+    text: `Hello ${request.username}, your provider verification request was ${outcome}.${reasonText}`,
+    html: `<p>Hello <strong>${escapeHtml(request.username)}</strong>,</p><p>Your provider verification request was <strong>${outcome}</strong>.</p>${
+      reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""
+    }`,
+  }).catch((err) =>
+    console.error("[providerVerifications] email notify error:", err?.message || err)
+  );
+};
+
+// POST /provider-verifications - Doctors, NGOs and hospitals submit a verification request
+router.post(
+  "/",
+  authenticateToken,
+  requireRole(...PROVIDER_ROLES),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const {
+        official_document_url,
+        registration_number,
+        document_urls,
+        notes,
+      } = req.body;
+
+      if (!official_document_url || !registration_number) {
+        return res.status(400).json({
+          error: "official_document_url and registration_number are required",
+        });
+      }
+
+      if (
+        document_urls !== undefined &&
+        (!Array.isArray(document_urls) ||
+          document_urls.some((url) => typeof url !== "string" || !url))
+      ) {
+        return res.status(400).json({
+          error: "document_urls must be an array of URLs",
+        });
+      }
+
+      const users = await runQuery(
+        "SELECT verification_status FROM users WHERE id = ?",
+        [userId]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (users[0].verification_status === "verified") {
+        return res.status(400).json({ error: "Your account is already verified" });
+      }
+
+      const pending = await runQuery(
+        "SELECT id FROM provider_verification_requests WHERE user_id = ? AND status = 'pending'",
+        [userId]
+      );
+
+      if (pending.length > 0) {
+        return res.status(409).json({
+          error: "You already have a pending verification request",
+          request_id: pending[0].id,
+        });
+      }
+
+      const result = await runQuery(
+        `INSERT INTO provider_verification_requests
+          (user_id, official_document_url, registration_number, document_urls, notes, status, created_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', NOW())`,
+        [
+          userId,
+          official_document_url,
+          registration_number,
+          JSON.stringify(document_urls || []),
+          notes || null,
+        ]
+      );
+
+      // Mirror the submitted documents on the user profile
+      await runQuery(
+        `UPDATE users
+         SET verification_status = 'requested',
+             verification_requested_at = NOW(),
+             official_document_url = ?,
+             registration_number = ?,
+             updated_at = NOW()
+         WHERE id = ?`,
+        [official_document_url, registration_number, userId]
+      );
+
+      const request = await fetchVerificationRequest(result.insertId);
+
+      res.status(201).json({
+        message: "Verification request submitted successfully",
+        request,
+      });
+    } catch (error) {
+      console.error("Error submitting verification request:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// GET /provider-verifications/mine - Own verification request history
+router.get("/mine", authenticateToken, async (req, res) => {
+  try {
+    const requests = await runQuery(
+      `SELECT vr.*, reviewer.username AS reviewer_username
+       FROM provider_verification_requests vr
+       LEFT JOIN users reviewer ON vr.reviewed_by = reviewer.id
+       WHERE vr.user_id = ?
+       ORDER BY vr.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      message: "Verification requests retrieved successfully",
+      requests,
+    });
+  } catch (error) {
+    console.error("Error fetching own verification requests:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /provider-verifications - Review queue, defaults to pending, oldest first (requires providers:verify)
+router.get("/", authenticateToken, requirePermission("providers:verify"), async (req, res) => {
+  try {
+    const { status = "pending", role, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (Number.isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Invalid page number" });
+    }
+    if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res
+        .status(400)
+        .json({ error: "Invalid limit. Must be between 1 and 100" });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (status !== "all") {
+      const allowedStatus = ["pending", "approved", "rejected"];
+      if (!allowedStatus.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Allowed: ${allowedStatus.join(", ")}, all`,
+        });
+      }
+      conditions.push("vr.status = ?");
+      params.push(status);
+    }
+
+    if (role) {
+      if (!PROVIDER_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Invalid role. Allowed: ${PROVIDER_ROLES.join(", ")}`,
+        });
+      }
+      conditions.push("u.role = ?");
+      params.push(role);
+    }
+
+    const whereClause =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const countResult = await runQuery(
+      `SELECT COUNT(*) AS total
+       FROM provider_verification_requests vr
+       JOIN users u ON vr.user_id = u.id
+       ${whereClause}`,
+      params
+    );
+    const total = countResult[0]?.total || 0;
+
+    const requests = await runQuery(
+      `SELECT
+        vr.*,
+        u.username,
+        u.email,
+        u.role,
+        u.specialty,
+        u.website_url,
+        reviewer.username AS reviewer_username
+      FROM provider_verification_requests vr
+      JOIN users u ON vr.user_id = u.id
+      LEFT JOIN users reviewer ON vr.reviewed_by = reviewer.id
+      ${whereClause}
+      ORDER BY vr.created_at ASC
+      LIMIT ?
+      OFFSET ?`,
+      [...params, limitNum, (pageNum - 1) * limitNum]
+    );
+
+    res.json({
+      message: "Verification requests retrieved successfully",
+      meta: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        total_pages: Math.ceil(total / limitNum),
+      },
+      requests,
+    });
+  } catch (error) {
+    console.error("Error fetching verification queue:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /provider-verifications/:id - Reviewers or the requesting provider
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const request = await fetchVerificationRequest(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ error: "Verification request not found" });
+    }
+
+    if (
+      request.user_id !== req.user.id &&
+      !(await hasPermission(req.user, "providers:verify"))
+    ) {
+      return res.status(403).json({
+        error: "You can only view your own verification requests",
+      });
+    }
+
+    res.json({
+      message: "Verification request retrieved successfully",
+      request,
+    });
+  } catch (error) {
+    console.error("Error fetching verification request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Shared handler for the admin approve / reject actions
+const reviewRequest = (approved) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!approved && (!reason || !String(reason).trim())) {
+      return res
+        .status(400)
+        .json({ error: "reason is required when rejecting a request" });
+    }
+
+    const request = await fetchVerificationRequest(id);
+
+    if (!request) {
+      return res.status(404).json({ error: "Verification request not found" });
+    }
+
+    if (request.status !== "pending") {
+      return res.status(400).json({
+        error: `Verification request has already been ${request.status}`,
+      });
+    }
+
+    // Only the first of two concurrent reviews applies (and emails the provider)
+    const reviewResult = await runQuery(
+      `UPDATE provider_verification_requests
+       SET status = ?, review_reason = ?, reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [approved ? "approved" : "rejected", reason || null, req.user.id, id]
+    );
+
+    if (reviewResult.affectedRows === 0) {
+      return res.status(409).json({
+        error: "Verification request has already been reviewed",
+      });
+    }
+
+    if (approved) {
+      await runQuery(
+        `UPDATE users
+         SET verification_status = 'verified', verified_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [request.user_id]
+      );
+    } else {
+      await runQuery(
+        `UPDATE users
+         SET verification_status = 'rejected', verified_at = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [request.user_id]
+      );
+    }
+
+    notifyProvider(request, approved, reason);
+
+    const updated = await fetchVerificationRequest(id);
+
+    res.json({
+      message: `Verification request ${approved ? "approved" : "rejected"} successfully`,
+      request: updated,
+    });
+  } catch (error) {
+    console.error("Error reviewing verification request:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// PUT /provider-verifications/:id/approve - Reviewer approves (optional reason)
+router.put(
+  "/:id/approve",
+  authenticateToken,
+  requirePermission("providers:verify"),
+  reviewRequest(true)
+);
+
+// PUT /provider-verifications/:id/reject - Reviewer rejects (reason required)
+router.put(
+  "/:id/reject",
+  authenticateToken,
+  requirePermission("providers:verify"),
+  reviewRequest(false)
+);
+
+module.exports = router;
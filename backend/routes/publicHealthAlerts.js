@@ -2,7 +2,11 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requireVerifiedEmail = require("../middleware/emailVerified.js");
+const requireVerifiedProvider = require("../middleware/providerVerified.js");
 const requireRole = require("../middleware/roleCheck.js");
+const { hasPermission } = require("../utils/permissions.js");
+const { canActForOrganization } = require("../utils/organizations.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -12,11 +16,6 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create public health alerts
-const canCreateAlert = (role) => {
-  return ["doctor", "hospital", "ngo", "admin"].includes(role);
-};
-
 // Helper to format date for MySQL
 const formatMySQLDate = (dateString) => {
   if (!dateString) return null;
@@ -25,20 +24,22 @@ const formatMySQLDate = (dateString) => {
   return date.toISOString().slice(0, 19).replace("T", " ");
 };
 
-// POST /public-health-alerts - Create public health alert (doctors, hospitals, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /public-health-alerts - Create public health alert (requires alerts:publish,
+// or org-admin staff of the organization_id it is published for)
+router.post("/", authenticateToken, requireVerifiedEmail, requireVerifiedProvider, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateAlert(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, hospitals, NGOs, and admins can create public health alerts",
-      });
-    }
 
-    const { title, message, alert_type, severity, country, city, expires_at } =
-      req.body;
+    const {
+      title,
+      message,
+      alert_type,
+      severity,
+      country,
+      city,
+      expires_at,
+      organization_id,
+    } = req.body;
 
     // Validate required fields
     if (!title || !message || !alert_type || !severity) {
@@ -86,10 +87,25 @@ router.post("/", authenticateToken, async (req, res) => {
       }
     }
 
+    // Publishing under an organization's name needs its account or org-admin staff;
+    // staff capabilities do not extend to alerts published in the member's own name
+    if (organization_id) {
+      if (!(await canActForOrganization(req.user, organization_id, "alerts:publish"))) {
+        return res.status(403).json({
+          error: "You cannot publish alerts for this organization",
+        });
+      }
+    } else if (!(await hasPermission(req.user, "alerts:publish"))) {
+      return res.status(403).json({
+        error:
+          "Access denied. Required permission: alerts:publish (organization staff must pass organization_id)",
+      });
+    }
+
     const sql = `
       INSERT INTO public_health_alerts 
-        (title, message, alert_type, severity, country, city, published_by, is_active, expires_at, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, true, ?, NOW())
+        (title, message, alert_type, severity, country, city, published_by, organization_id, is_active, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, true, ?, NOW())
     `;
 
     const result = await runQuery(sql, [
@@ -100,6 +116,7 @@ router.post("/", authenticateToken, async (req, res) => {
       country || null,
       city || null,
       userId,
+      organization_id || null,
       formattedExpiresAt,
     ]);
 
@@ -110,9 +127,11 @@ router.post("/", authenticateToken, async (req, res) => {
       `SELECT 
         pha.*,
         u.username as publisher_username,
-        u.email as publisher_email
+        u.email as publisher_email,
+        org.name as organization_name
       FROM public_health_alerts pha
       LEFT JOIN users u ON pha.published_by = u.id
+      LEFT JOIN organizations org ON pha.organization_id = org.id
       WHERE pha.id = ?`,
       [alertId]
     );
@@ -140,15 +159,18 @@ router.get("/", authenticateToken, async (req, res) => {
       is_active,
       my_alerts,
       active_only,
+      organization_id,
     } = req.query;
 
     let sql = `
       SELECT 
         pha.*,
         u.username as publisher_username,
-        u.email as publisher_email
+        u.email as publisher_email,
+        org.name as organization_name
       FROM public_health_alerts pha
       LEFT JOIN users u ON pha.published_by = u.id
+      LEFT JOIN organizations org ON pha.organization_id = org.id
       WHERE 1=1
     `;
 
@@ -193,6 +215,12 @@ router.get("/", authenticateToken, async (req, res) => {
       params.push(city);
     }
 
+    // Filter by publishing organization
+    if (organization_id) {
+      sql += " AND pha.organization_id = ?";
+      params.push(organization_id);
+    }
+
     // Filter by user's alerts
     if (my_alerts === "true") {
       sql += " AND pha.published_by = ?";
@@ -225,9 +253,11 @@ router.get("/:id", authenticateToken, async (req, res) => {
       SELECT 
         pha.*,
         u.username as publisher_username,
-        u.email as publisher_email
+        u.email as publisher_email,
+        org.name as organization_name
       FROM public_health_alerts pha
       LEFT JOIN users u ON pha.published_by = u.id
+      LEFT JOIN organizations org ON pha.organization_id = org.id
       WHERE pha.id = ?
     `;
 
@@ -378,9 +408,11 @@ router.put("/:id", authenticateToken, async (req, res) => {
       `SELECT 
         pha.*,
         u.username as publisher_username,
-        u.email as publisher_email
+        u.email as publisher_email,
+        org.name as organization_name
       FROM public_health_alerts pha
       LEFT JOIN users u ON pha.published_by = u.id
+      LEFT JOIN organizations org ON pha.organization_id = org.id
       WHERE pha.id = ?`,
       [id]
     );
@@ -2,7 +2,11 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
-const requireRole = require("../middleware/roleCheck.js");
+const {
+  isActiveGuardian,
+  recordGuardianAction,
+} = require("../utils/guardians.js");
+const { recordAccess } = require("../utils/accessAudit.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -111,6 +115,14 @@ router.post("/", authenticateToken, async (req, res) => {
       [result.insertId]
     );
 
+    recordAccess({
+      req,
+      patientId: recoveryUpdate[0].patient_id,
+      resourceType: "recovery_update",
+      resourceId: result.insertId,
+      action: "create",
+    });
+
     res.status(201).json({
       message: "Recovery update created successfully",
       data: recoveryUpdate[0],
@@ -153,6 +165,11 @@ router.get("/", authenticateToken, async (req, res) => {
 
     const recoveryUpdates = await runQuery(query, params);
 
+    // Listings are audited once per patient rather than per update
+    new Set(recoveryUpdates.map((update) => update.patient_id)).forEach((patientId) =>
+      recordAccess({ req, patientId, resourceType: "recovery_update" })
+    );
+
     res.status(200).json({
       message: "Recovery updates retrieved successfully",
       data: recoveryUpdates,
@@ -163,11 +180,11 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
-// GET /recovery-updates/patient/:patient_id - Get specific patient's recovery updates (doctor only)
-router.get("/patient/:patient_id", authenticateToken, requireRole("doctor"), async (req, res) => {
+// GET /recovery-updates/patient/:patient_id - Get specific patient's recovery updates (connected doctor or guardian)
+router.get("/patient/:patient_id", authenticateToken, async (req, res) => {
   try {
     const { patient_id } = req.params;
-    const doctorId = req.user.id;
+    const userId = req.user.id;
 
     // Check if patient exists
     const patient = await runQuery("SELECT id, role FROM users WHERE id = ?", [patient_id]);
@@ -178,15 +195,25 @@ router.get("/patient/:patient_id", authenticateToken, requireRole("doctor"), asy
       return res.status(400).json({ error: "patient_id must refer to a patient" });
     }
 
-    // Check if doctor has a connection with this patient
-    const connection = await runQuery(
-      "SELECT id FROM connections WHERE patient_id = ? AND doctor_id = ? AND status = 'active'",
-      [patient_id, doctorId]
-    );
-    if (connection.length === 0) {
-      return res.status(403).json({
-        error: "Doctor can only view recovery updates for connected patients",
-      });
+    const actingForDependent = await isActiveGuardian(userId, patient_id);
+
+    if (!actingForDependent) {
+      if (req.user.role !== "doctor") {
+        return res.status(403).json({
+          error: "Only connected doctors and guardians can view a patient's recovery updates",
+        });
+      }
+
+      // Check if doctor has a connection with this patient
+      const connection = await runQuery(
+        "SELECT id FROM connections WHERE patient_id = ? AND doctor_id = ? AND status = 'active'",
+        [patient_id, userId]
+      );
+      if (connection.length === 0) {
+        return res.status(403).json({
+          error: "Doctor can only view recovery updates for connected patients",
+        });
+      }
     }
 
     const recoveryUpdates = await runQuery(
@@ -194,6 +221,21 @@ router.get("/patient/:patient_id", authenticateToken, requireRole("doctor"), asy
       [patient_id]
     );
 
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: parseInt(patient_id),
+        action: "read_recovery_updates",
+        resourceType: "recovery_update",
+      });
+    }
+
+    recordAccess({
+      req,
+      patientId: parseInt(patient_id),
+      resourceType: "recovery_update",
+    });
+
     res.status(200).json({
       message: "Patient recovery updates retrieved successfully",
       data: recoveryUpdates,
@@ -223,7 +265,19 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const update = recoveryUpdate[0];
 
     // Authorization check
-    if (userRole === "patient") {
+    const actingForDependent =
+      parseInt(update.patient_id) !== userId &&
+      (await isActiveGuardian(userId, update.patient_id));
+
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: update.patient_id,
+        action: "read_recovery_update",
+        resourceType: "recovery_update",
+        resourceId: update.id,
+      });
+    } else if (userRole === "patient") {
       if (parseInt(update.patient_id) !== userId) {
         return res.status(403).json({
           error: "Access denied",
@@ -246,6 +300,13 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    recordAccess({
+      req,
+      patientId: update.patient_id,
+      resourceType: "recovery_update",
+      resourceId: update.id,
+    });
+
     res.status(200).json({
       message: "Recovery update retrieved successfully",
       data: update,
@@ -342,6 +403,14 @@ router.put("/:id", authenticateToken, async (req, res) => {
       [id]
     );
 
+    recordAccess({
+      req,
+      patientId: update.patient_id,
+      resourceType: "recovery_update",
+      resourceId: update.id,
+      action: "update",
+    });
+
     res.status(200).json({
       message: "Recovery update updated successfully",
       data: updated[0],
@@ -391,6 +460,14 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 
     await runQuery("DELETE FROM recovery_updates WHERE id = ?", [id]);
 
+    recordAccess({
+      req,
+      patientId: update.patient_id,
+      resourceType: "recovery_update",
+      resourceId: update.id,
+      action: "delete",
+    });
+
     res.status(200).json({
       message: "Recovery update deleted successfully",
     });
@@ -0,0 +1,307 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const {
+  isActiveGuardian,
+  recordGuardianAction,
+} = require("../utils/guardians.js");
+const { createNotification } = require("../utils/notifications.js");
+const { toPublicReview } = require("../utils/reviews.js");
+
+const MODERATION_STATUSES = ["published", "hidden"];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const fetchReview = async (id) => {
+  const results = await runQuery(
+    `SELECT r.*, p.username AS patient_username, d.username AS doctor_username
+     FROM doctor_reviews r
+     JOIN users p ON r.patient_id = p.id
+     JOIN users d ON r.doctor_id = d.id
+     WHERE r.id = ?`,
+    [id]
+  );
+  return results[0] || null;
+};
+
+// POST /reviews - Rate a completed consultation (patient or their guardian, once per consultation)
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { consultation_id, rating, review, anonymous } = req.body;
+
+    if (!consultation_id || rating === undefined) {
+      return res.status(400).json({ error: "consultation_id and rating are required" });
+    }
+
+    const ratingInt = Number(rating);
+    if (!Number.isInteger(ratingInt) || ratingInt < 1 || ratingInt > 5) {
+      return res.status(400).json({ error: "rating must be an integer from 1 to 5" });
+    }
+
+    if (review !== undefined && review !== null && typeof review !== "string") {
+      return res.status(400).json({ error: "review must be text" });
+    }
+    if (review && review.length > 2000) {
+      return res.status(400).json({ error: "review must be at most 2000 characters" });
+    }
+
+    const consultations = await runQuery(
+      `SELECT c.id, c.patient_id, c.doctor_id, c.status, mhc.anonymity
+       FROM consultations c
+       LEFT JOIN mental_health_consultations mhc ON mhc.consultation_id = c.id
+       WHERE c.id = ?`,
+      [consultation_id]
+    );
+    const consultation = consultations[0];
+
+    if (!consultation) {
+      return res.status(404).json({ error: "Consultation not found" });
+    }
+
+    const actingForDependent =
+      consultation.patient_id !== userId &&
+      (await isActiveGuardian(userId, consultation.patient_id));
+
+    if (consultation.patient_id !== userId && !actingForDependent) {
+      return res.status(403).json({
+        error: "You can only review your own consultations",
+      });
+    }
+
+    if (consultation.status !== "completed") {
+      return res.status(400).json({
+        error: "Only completed consultations can be reviewed",
+      });
+    }
+
+    const existing = await runQuery(
+      "SELECT id FROM doctor_reviews WHERE consultation_id = ?",
+      [consultation.id]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: "This consultation has already been reviewed",
+        review_id: existing[0].id,
+      });
+    }
+
+    // Anonymous mental health sessions always produce anonymous reviews
+    const isAnonymous = Boolean(consultation.anonymity) || Boolean(anonymous);
+
+    let result;
+    try {
+      result = await runQuery(
+        `INSERT INTO doctor_reviews
+          (consultation_id, doctor_id, patient_id, submitted_by, rating, review, is_anonymous, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'published', NOW())`,
+        [
+          consultation.id,
+          consultation.doctor_id,
+          consultation.patient_id,
+          userId,
+          ratingInt,
+          review ? review.trim() : null,
+          isAnonymous,
+        ]
+      );
+    } catch (err) {
+      // A concurrent submission for the same consultation got in first
+      if (err.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({
+          error: "This consultation has already been reviewed",
+        });
+      }
+      throw err;
+    }
+
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: consultation.patient_id,
+        action: "review_consultation",
+        resourceType: "doctor_review",
+        resourceId: result.insertId,
+      });
+    }
+
+    createNotification({
+      userId: consultation.doctor_id,
+      type: "review",
+      title: `New ${ratingInt}-star review`,
+      body: review ? review.trim().slice(0, 200) : null,
+      resourceType: "doctor_review",
+      resourceId: result.insertId,
+    }).catch((err) =>
+      console.error("[reviews] notification error:", err?.message || err)
+    );
+
+    const created = await fetchReview(result.insertId);
+
+    res.status(201).json({
+      message: "Review submitted successfully",
+      review: toPublicReview(created),
+    });
+  } catch (error) {
+    console.error("Error submitting review:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /reviews/:id/report - Flag a review as abusive for moderators
+router.post("/:id/report", authenticateToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    const review = await fetchReview(req.params.id);
+    if (!review || review.status !== "published") {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    await runQuery(
+      `UPDATE doctor_reviews
+       SET flagged_at = NOW(), flagged_by = ?, flag_reason = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [req.user.id, reason.trim().slice(0, 500), review.id]
+    );
+
+    res.json({ message: "Review reported for moderation" });
+  } catch (error) {
+    console.error("Error reporting review:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /reviews/moderation - Review queue (flagged by default) for moderators
+router.get(
+  "/moderation",
+  authenticateToken,
+  requirePermission("reviews:moderate"),
+  async (req, res) => {
+    try {
+      const { status = "flagged", doctor_id, page = 1, limit = 50 } = req.query;
+      const pageNum = parseInt(page, 10);
+      const limitNum = parseInt(limit, 10);
+
+      if (Number.isNaN(pageNum) || pageNum < 1) {
+        return res.status(400).json({ error: "Invalid page number" });
+      }
+      if (Number.isNaN(limitNum) || limitNum < 1 || limitNum > 200) {
+        return res.status(400).json({ error: "Invalid limit. Must be between 1 and 200" });
+      }
+
+      const conditions = [];
+      const params = [];
+
+      if (status === "flagged") {
+        conditions.push("r.flagged_at IS NOT NULL AND r.status = 'published'");
+      } else if (MODERATION_STATUSES.includes(status)) {
+        conditions.push("r.status = ?");
+        params.push(status);
+      } else {
+        return res.status(400).json({
+          error: `Invalid status. Allowed: flagged, ${MODERATION_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (doctor_id) {
+        conditions.push("r.doctor_id = ?");
+        params.push(doctor_id);
+      }
+
+      const whereClause = `WHERE ${conditions.join(" AND ")}`;
+
+      const countResult = await runQuery(
+        `SELECT COUNT(*) AS total FROM doctor_reviews r ${whereClause}`,
+        params
+      );
+      const total = countResult[0]?.total || 0;
+
+      // Moderators see authors even on anonymous reviews
+      const reviews = await runQuery(
+        `SELECT r.*, p.username AS patient_username, d.username AS doctor_username,
+           f.username AS flagged_by_username
+         FROM doctor_reviews r
+         JOIN users p ON r.patient_id = p.id
+         JOIN users d ON r.doctor_id = d.id
+         LEFT JOIN users f ON r.flagged_by = f.id
+         ${whereClause}
+         ORDER BY COALESCE(r.flagged_at, r.created_at) DESC
+         LIMIT ?
+         OFFSET ?`,
+        [...params, limitNum, (pageNum - 1) * limitNum]
+      );
+
+      res.json({
+        message: "Reviews retrieved successfully",
+        meta: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          total_pages: Math.ceil(total / limitNum),
+        },
+        reviews,
+      });
+    } catch (error) {
+      console.error("Error fetching review moderation queue:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// PUT /reviews/:id/moderation - Hide an abusive review or restore it
+router.put(
+  "/:id/moderation",
+  authenticateToken,
+  requirePermission("reviews:moderate"),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      if (!MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${MODERATION_STATUSES.join(", ")}`,
+        });
+      }
+      if (status === "hidden" && !reason) {
+        return res.status(400).json({ error: "reason is required when hiding a review" });
+      }
+
+      const review = await fetchReview(req.params.id);
+      if (!review) {
+        return res.status(404).json({ error: "Review not found" });
+      }
+
+      // Restoring a review also clears the report that put it in the queue
+      await runQuery(
+        `UPDATE doctor_reviews
+         SET status = ?, moderated_by = ?, moderated_at = NOW(), moderation_reason = ?,
+             flagged_at = IF(? = 'published', NULL, flagged_at), updated_at = NOW()
+         WHERE id = ?`,
+        [status, req.user.id, reason || null, status, review.id]
+      );
+
+      res.json({
+        message: status === "hidden" ? "Review hidden" : "Review published",
+        review: await fetchReview(review.id),
+      });
+    } catch (error) {
+      console.error("Error moderating review:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
 const requireRole = require("../middleware/roleCheck.js");
 
 const runQuery = (sql, params = []) =>
@@ -12,22 +13,10 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create support groups
-const canCreateSupportGroup = (role) => {
-  return ["doctor", "hospital", "ngo", "admin"].includes(role);
-};
-
-// POST /support-groups - Create support group (doctors, hospitals, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /support-groups - Create support group (requires support_groups:create)
+router.post("/", authenticateToken, requirePermission("support_groups:create"), async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateSupportGroup(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, hospitals, NGOs, and admins can create support groups",
-      });
-    }
 
     const { title, topic, description, mode, meeting_link, location, moderator_id, max_members } =
       req.body;
@@ -2,7 +2,15 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
 const requireRole = require("../middleware/roleCheck.js");
+const {
+  isValidTimeZone,
+  parseDateTimeInput,
+  toUtcDatetime,
+  withLocalTimes,
+  resolveEventTimeZone,
+} = require("../utils/timezones.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -12,30 +20,22 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create surgical missions
-const canCreateSurgicalMission = (role) => {
-  return ["doctor", "ngo", "admin"].includes(role);
+// Helper to format date for MySQL (stored as UTC; values without an offset are local to timeZone)
+const formatMySQLDate = (dateString, timeZone) => {
+  const date = parseDateTimeInput(dateString, timeZone);
+  return date ? toUtcDatetime(date) : null;
 };
 
-// Helper to format date for MySQL
-const formatMySQLDate = (dateString) => {
-  if (!dateString) return null;
-  const date = new Date(dateString);
-  if (Number.isNaN(date.getTime())) return null;
-  return date.toISOString().slice(0, 19).replace("T", " ");
-};
+const SURGICAL_MISSION_TIME_FIELDS = ["start_datetime", "end_datetime"];
+
+// Adds *_local times in the event's zone (or ?tz=)
+const localizeSurgicalMission = (row, req) =>
+  withLocalTimes(row, SURGICAL_MISSION_TIME_FIELDS, req.query.tz);
 
-// POST /surgical-missions - Create surgical mission (doctors, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /surgical-missions - Create surgical mission (requires surgical_missions:create)
+router.post("/", authenticateToken, requirePermission("surgical_missions:create"), async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateSurgicalMission(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, NGOs, and admins can create surgical missions",
-      });
-    }
 
     const {
       title,
@@ -45,6 +45,7 @@ router.post("/", authenticateToken, async (req, res) => {
       location,
       start_datetime,
       end_datetime,
+      timezone,
     } = req.body;
 
     // Validate required fields
@@ -91,8 +92,16 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Validate and format dates
-    const formattedStartDate = formatMySQLDate(start_datetime);
-    const formattedEndDate = formatMySQLDate(end_datetime);
+    const { timeZone, error: timeZoneError } = await resolveEventTimeZone(
+      timezone,
+      userId
+    );
+    if (timeZoneError) {
+      return res.status(400).json({ error: timeZoneError });
+    }
+
+    const formattedStartDate = formatMySQLDate(start_datetime, timeZone);
+    const formattedEndDate = formatMySQLDate(end_datetime, timeZone);
 
     if (!formattedStartDate || !formattedEndDate) {
       return res.status(400).json({
@@ -101,8 +110,8 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Validate date logic
-    const startDate = new Date(start_datetime);
-    const endDate = new Date(end_datetime);
+    const startDate = parseDateTimeInput(start_datetime, timeZone);
+    const endDate = parseDateTimeInput(end_datetime, timeZone);
     const now = new Date();
 
     if (startDate >= endDate) {
@@ -119,8 +128,8 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const sql = `
       INSERT INTO surgical_missions 
-        (title, description, doctor_id, ngo_id, location, start_datetime, end_datetime, status, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 'upcoming', NOW(), NOW())
+        (title, description, doctor_id, ngo_id, location, start_datetime, end_datetime, timezone, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'upcoming', NOW(), NOW())
     `;
 
     const result = await runQuery(sql, [
@@ -131,6 +140,7 @@ router.post("/", authenticateToken, async (req, res) => {
       location,
       formattedStartDate,
       formattedEndDate,
+      timeZone,
     ]);
 
     const surgicalMissionId = result.insertId;
@@ -152,7 +162,7 @@ router.post("/", authenticateToken, async (req, res) => {
 
     res.status(201).json({
       message: "Surgical mission created successfully",
-      surgical_mission: surgicalMission[0],
+      surgical_mission: localizeSurgicalMission(surgicalMission[0], req),
     });
   } catch (error) {
     console.error("Error creating surgical mission:", error);
@@ -224,7 +234,9 @@ router.get("/", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Surgical missions retrieved successfully",
-      surgical_missions: surgicalMissions,
+      surgical_missions: surgicalMissions.map((mission) =>
+        localizeSurgicalMission(mission, req)
+      ),
     });
   } catch (error) {
     console.error("Error fetching surgical missions:", error);
@@ -258,7 +270,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Surgical mission retrieved successfully",
-      surgical_mission: surgicalMission[0],
+      surgical_mission: localizeSurgicalMission(surgicalMission[0], req),
     });
   } catch (error) {
     console.error("Error fetching surgical mission:", error);
@@ -309,11 +321,23 @@ router.put("/:id", authenticateToken, async (req, res) => {
       start_datetime,
       end_datetime,
       status,
+      timezone,
     } = req.body;
 
     const updates = [];
     const params = [];
 
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+      updates.push("timezone = ?");
+      params.push(timezone);
+    }
+    const timeZone = timezone || existing[0].timezone;
+
     if (title !== undefined) {
       updates.push("title = ?");
       params.push(title);
@@ -359,7 +383,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
       params.push(location);
     }
     if (start_datetime !== undefined) {
-      const formattedStartDate = formatMySQLDate(start_datetime);
+      const formattedStartDate = formatMySQLDate(start_datetime, timeZone);
       if (!formattedStartDate) {
         return res.status(400).json({ error: "Invalid start_datetime format" });
       }
@@ -367,7 +391,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
       params.push(formattedStartDate);
     }
     if (end_datetime !== undefined) {
-      const formattedEndDate = formatMySQLDate(end_datetime);
+      const formattedEndDate = formatMySQLDate(end_datetime, timeZone);
       if (!formattedEndDate) {
         return res.status(400).json({ error: "Invalid end_datetime format" });
       }
@@ -413,7 +437,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Surgical mission updated successfully",
-      surgical_mission: updated[0],
+      surgical_mission: localizeSurgicalMission(updated[0], req),
     });
   } catch (error) {
     console.error("Error updating surgical mission:", error);
@@ -0,0 +1,388 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const bcrypt = require("bcrypt");
+const authenticateToken = require("../middleware/auth.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const {
+  createSession,
+  verifyChallengeToken,
+} = require("../utils/sessions.js");
+const {
+  TWO_FACTOR_ROLES,
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequiredForRole,
+} = require("../utils/twoFactor.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Accept either a normal access token or the enrollment mfa_token handed out
+// by /auth/login when a role policy requires 2FA and the user has none yet
+const authenticateForEnrollment = (req, res, next) => {
+  const mfaToken = req.body && req.body.mfa_token;
+  if (!mfaToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = verifyChallengeToken(mfaToken, "2fa_enroll");
+  if (!challenge) {
+    return res
+      .status(401)
+      .json({ error: "Invalid or expired mfa_token. Please log in again" });
+  }
+
+  req.user = { id: challenge.id, role: challenge.role };
+  req.enrollmentLogin = true;
+  next();
+};
+
+const ensureTwoFactorRole = (req, res, next) => {
+  if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      error: `Two-factor authentication is available for: ${TWO_FACTOR_ROLES.join(
+        ", "
+      )}`,
+    });
+  }
+  next();
+};
+
+// GET /auth/2fa/status - Current user's 2FA state
+router.get("/status", authenticateToken, async (req, res) => {
+  try {
+    const users = await runQuery(
+      "SELECT totp_enabled_at FROM users WHERE id = ?",
+      [req.user.id]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const remaining = await runQuery(
+      "SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+      [req.user.id]
+    );
+
+    res.json({
+      enabled: Boolean(users[0].totp_enabled_at),
+      enabled_at: users[0].totp_enabled_at,
+      recovery_codes_remaining: remaining[0].count,
+      required_for_role: await isTwoFactorRequiredForRole(req.user.role),
+    });
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /auth/2fa/setup - Start enrollment: generate a secret and provisioning URI
+router.post(
+  "/setup",
+  authenticateForEnrollment,
+  ensureTwoFactorRole,
+  async (req, res) => {
+    try {
+      const users = await runQuery(
+        "SELECT id, email, totp_enabled_at FROM users WHERE id = ?",
+        [req.user.id]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (users[0].totp_enabled_at) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const secret = generateSecret();
+
+      await runQuery(
+        "UPDATE users SET totp_secret = ?, totp_last_step = NULL, updated_at = NOW() WHERE id = ?",
+        [secret, req.user.id]
+      );
+
+      res.json({
+        message:
+          "Scan the otpauth URI as a QR code in your authenticator app, then confirm with POST /auth/2fa/enable",
+        secret,
+        otpauth_uri: buildOtpauthUri(secret, users[0].email),
+      });
+    } catch (error) {
+      console.error("2FA setup error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /auth/2fa/enable - Confirm enrollment with a code; returns recovery codes once
+router.post(
+  "/enable",
+  authenticateForEnrollment,
+  ensureTwoFactorRole,
+  async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({ error: "code is required" });
+      }
+
+      const users = await runQuery(
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, official_document_url, registration_number, website_url, verification_status, email_verified_at, totp_secret, totp_enabled_at, created_at, updated_at FROM users WHERE id = ?",
+        [req.user.id]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const user = users[0];
+
+      if (user.totp_enabled_at) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      if (!user.totp_secret) {
+        return res
+          .status(400)
+          .json({ error: "Start enrollment with POST /auth/2fa/setup first" });
+      }
+
+      const step = verifyTotp(user.totp_secret, code);
+      if (step === null) {
+        return res
+          .status(400)
+          .json({ error: "Invalid two-factor authentication code" });
+      }
+
+      await runQuery(
+        "UPDATE users SET totp_enabled_at = NOW(), totp_last_step = ?, updated_at = NOW() WHERE id = ?",
+        [step, user.id]
+      );
+
+      const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+      const response = {
+        message: "Two-factor authentication enabled",
+        recovery_codes: recoveryCodes,
+      };
+
+      // Enrollment that was forced at login finishes the login as well
+      if (req.enrollmentLogin) {
+        delete user.totp_secret;
+        delete user.totp_enabled_at;
+        Object.assign(response, await createSession(user, req), { user });
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error("2FA enable error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// POST /auth/2fa/disable - Turn 2FA off (password + code or recovery code)
+router.post("/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (!password || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: "password and either code or recovery_code are required",
+      });
+    }
+
+    if (await isTwoFactorRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        error: "Two-factor authentication is required for your role and cannot be disabled",
+      });
+    }
+
+    const users = await runQuery(
+      "SELECT password_hash, totp_enabled_at FROM users WHERE id = ?",
+      [req.user.id]
+    );
+
+    if (users.length === 0 || !users[0].totp_enabled_at) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const isPasswordValid = await bcrypt.compare(
+      password,
+      users[0].password_hash
+    );
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: "Invalid password" });
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, {
+      code,
+      recovery_code,
+    });
+    if (!isValid) {
+      return res
+        .status(401)
+        .json({ error: "Invalid two-factor authentication code" });
+    }
+
+    await runQuery(
+      "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW() WHERE id = ?",
+      [req.user.id]
+    );
+    await runQuery("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+      req.user.id,
+    ]);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /auth/2fa/recovery-codes - Regenerate recovery codes (requires a current code)
+router.post("/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "code is required" });
+    }
+
+    const users = await runQuery(
+      "SELECT totp_enabled_at FROM users WHERE id = ?",
+      [req.user.id]
+    );
+
+    if (users.length === 0 || !users[0].totp_enabled_at) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, { code });
+    if (!isValid) {
+      return res
+        .status(401)
+        .json({ error: "Invalid two-factor authentication code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: "Recovery codes regenerated. Previous codes no longer work",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /auth/2fa/policies - Which roles must use 2FA (requires auth:policy)
+router.get("/policies", authenticateToken, requirePermission("auth:policy"), async (req, res) => {
+  try {
+    const rows = await runQuery(
+      "SELECT role, required, updated_by, updated_at FROM two_factor_role_policies"
+    );
+
+    const policies = TWO_FACTOR_ROLES.map((role) => {
+      const row = rows.find((r) => r.role === role);
+      return {
+        role,
+        required: Boolean(row && row.required),
+        updated_by: row ? row.updated_by : null,
+        updated_at: row ? row.updated_at : null,
+      };
+    });
+
+    res.json({
+      message: "Two-factor policies retrieved successfully",
+      policies,
+    });
+  } catch (error) {
+    console.error("2FA policies error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /auth/2fa/policies/:role - Require or relax 2FA for a role (requires auth:policy)
+router.put(
+  "/policies/:role",
+  authenticateToken,
+  requirePermission("auth:policy"),
+  async (req, res) => {
+    try {
+      const { role } = req.params;
+      const { required } = req.body;
+
+      if (!TWO_FACTOR_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `role must be one of: ${TWO_FACTOR_ROLES.join(", ")}`,
+        });
+      }
+
+      if (typeof required !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: "required must be a boolean value" });
+      }
+
+      const wasRequired = await isTwoFactorRequiredForRole(role);
+
+      await runQuery(
+        `INSERT INTO two_factor_role_policies (role, required, updated_by, updated_at)
+         VALUES (?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE required = VALUES(required), updated_by = VALUES(updated_by), updated_at = NOW()`,
+        [role, required, req.user.id]
+      );
+
+      // Sessions opened without 2FA would otherwise keep refreshing forever;
+      // members of the role who have not enrolled log in again (and enroll)
+      let revokedSessions = 0;
+      if (required && !wasRequired) {
+        const result = await runQuery(
+          `UPDATE user_sessions s
+           JOIN users u ON s.user_id = u.id
+           SET s.revoked_at = NOW()
+           WHERE u.role = ? AND u.totp_enabled_at IS NULL
+             AND s.revoked_at IS NULL AND s.id <> ?`,
+          [role, req.user.sid || 0]
+        );
+        revokedSessions = result.affectedRows;
+      }
+
+      res.json({
+        message: `Two-factor authentication is now ${
+          required ? "required" : "optional"
+        } for ${role} accounts`,
+        policy: { role, required },
+        revoked_sessions: revokedSessions,
+      });
+    } catch (error) {
+      console.error("2FA policy update error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,12 +4,22 @@ const db = require("../db.js");
 const bcrypt = require("bcrypt");
 const authenticateToken = require("../middleware/auth.js");
 const requireRole = require("../middleware/roleCheck.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { eraseUser } = require("../utils/erasure.js");
+const { sendEmail } = require("../utils/mailer.js");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("../utils/timezones.js");
 
 // Validate that authenticateToken is a function
 if (typeof authenticateToken !== "function") {
   throw new Error("authenticateToken middleware must be a function");
 }
 
+// Profile columns safe to return to other users; credentials, 2FA secrets and
+// lockout counters stay server-side
+const PUBLIC_USER_COLUMNS = `id, username, email, contact_phone, role, specialty, language_pref, consultation_modes,
+  timezone, official_document_url, registration_number, website_url, verification_status,
+  verified_at, email_verified_at, created_at, updated_at`;
+
 // POST /users - Admin/Hospital only: Create new user (doctor or patient)
 router.post(
   "/",
@@ -28,8 +38,15 @@ router.post(
         official_document_url,
         registration_number,
         website_url,
+        timezone,
       } = req.body;
 
+      if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+
       // Validate required fields
       if (
         !username ||
@@ -107,13 +124,13 @@ router.post(
       const saltRounds = 10;
       const password_hash = await bcrypt.hash(password, saltRounds);
 
-      // Insert user into database with verification_status = 'verified'
+      // Insert user into database with verification_status = 'verified' (email trusted, created by staff)
       const insertQuery = `
       INSERT INTO users (
         username, email, contact_phone, password_hash, role, 
         language_pref, specialty, official_document_url, 
-        registration_number, website_url, verification_status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'verified')
+        registration_number, website_url, timezone, verification_status, email_verified_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'verified', NOW())
     `;
 
       const insertValues = [
@@ -127,6 +144,7 @@ router.post(
         official_document_url || null,
         registration_number || null,
         website_url || null,
+        timezone || DEFAULT_TIMEZONE,
       ];
 
       const insertResult = await new Promise((resolve, reject) => {
@@ -138,6 +156,21 @@ router.post(
 
       const userId = insertResult.insertId;
 
+      // Doctors created by a hospital join its organization's staff
+      if (req.user.role === "hospital" && role === "doctor") {
+        await new Promise((resolve, reject) => {
+          db.query(
+            `INSERT INTO organization_members (organization_id, user_id, org_role, status, added_by, created_at)
+             SELECT id, ?, 'doctor', 'active', ?, NOW() FROM organizations WHERE account_user_id = ?`,
+            [userId, req.user.id, req.user.id],
+            (err, results) => {
+              if (err) reject(err);
+              else resolve(results);
+            }
+          );
+        });
+      }
+
       // Fetch the created user (only username and email for admin to send to staff)
       const userResult = await new Promise((resolve, reject) => {
         db.query(
@@ -185,6 +218,8 @@ router.put("/", authenticateToken, async (req, res) => {
       official_document_url,
       registration_number,
       website_url,
+      timezone,
+      consultation_modes,
     } = req.body;
 
     // Prevent updating restricted fields
@@ -241,6 +276,10 @@ router.put("/", authenticateToken, async (req, res) => {
 
     // Allowed fields to update
     if (contact_phone !== undefined) {
+      // A new number has to be verified again before it can be used for OTP login.
+      // MySQL assigns left to right, so compare against the old number first.
+      updateFields.push("phone_verified_at = IF(contact_phone <=> ?, phone_verified_at, NULL)");
+      updateValues.push(contact_phone);
       updateFields.push("contact_phone = ?");
       updateValues.push(contact_phone);
     }
@@ -250,6 +289,36 @@ router.put("/", authenticateToken, async (req, res) => {
       updateValues.push(language_pref);
     }
 
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+      updateFields.push("timezone = ?");
+      updateValues.push(timezone);
+    }
+
+    if (consultation_modes !== undefined) {
+      const allowedModes = ["video", "audio", "chat"];
+      if (req.user.role !== "doctor") {
+        return res.status(400).json({
+          error: "Only doctors can set consultation_modes",
+        });
+      }
+      if (
+        !Array.isArray(consultation_modes) ||
+        consultation_modes.length === 0 ||
+        !consultation_modes.every((mode) => allowedModes.includes(mode))
+      ) {
+        return res.status(400).json({
+          error: `consultation_modes must be a non-empty array of: ${allowedModes.join(", ")}`,
+        });
+      }
+      updateFields.push("consultation_modes = ?");
+      updateValues.push([...new Set(consultation_modes)].join(","));
+    }
+
     if (specialty !== undefined) {
       updateFields.push("specialty = ?");
       updateValues.push(specialty || null);
@@ -296,7 +365,7 @@ router.put("/", authenticateToken, async (req, res) => {
     // Fetch updated user (without password_hash)
     const userResult = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT id, username, email, contact_phone, role, specialty, language_pref, official_document_url, registration_number, website_url, verification_status, verification_requested_at, verified_at, created_at, updated_at FROM users WHERE id = ?",
+        "SELECT id, username, email, contact_phone, role, specialty, language_pref, timezone, consultation_modes, official_document_url, registration_number, website_url, verification_status, verification_requested_at, verified_at, email_verified_at, phone_verified_at, created_at, updated_at FROM users WHERE id = ?",
         [userId],
         (err, results) => {
           if (err) reject(err);
@@ -321,7 +390,7 @@ router.put("/", authenticateToken, async (req, res) => {
 
 // GET all users
 router.get("/", (req, res) => {
-  db.query("SELECT * FROM users", (err, results) => {
+  db.query(`SELECT ${PUBLIC_USER_COLUMNS} FROM users WHERE erased_at IS NULL`, (err, results) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -440,7 +509,7 @@ router.delete("/", authenticateToken, async (req, res) => {
     // Fetch user with password hash
     const userResult = await new Promise((resolve, reject) => {
       db.query(
-        "SELECT id, password_hash FROM users WHERE id = ?",
+        "SELECT id, email, password_hash FROM users WHERE id = ?",
         [userId],
         (err, results) => {
           if (err) reject(err);
@@ -481,47 +550,77 @@ router.delete("/", authenticateToken, async (req, res) => {
       });
     }
 
-    // Attempt to delete user
-    // Note: This may fail due to foreign key constraints if there are related records
-    // The database will prevent deletion if foreign keys exist without ON DELETE CASCADE
-    await new Promise((resolve, reject) => {
-      db.query("DELETE FROM users WHERE id = ?", [userId], (err, results) => {
-        if (err) {
-          // Check if error is due to foreign key constraint
-          if (err.code === "ER_ROW_IS_REFERENCED_2" || err.errno === 1451) {
-            reject(
-              new Error(
-                "Cannot delete account due to existing related records. Please contact support."
-              )
-            );
-          } else {
-            reject(err);
-          }
-        } else {
-          resolve(results);
-        }
-      });
-    });
+    // Erase instead of deleting: related records keep their foreign keys but
+    // point to a pseudonymous user row; donations etc. are retained for audit
+    const report = await eraseUser(userId);
+
+    if (!report) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    sendEmail({
+      to: user.email,
+      subject: "[HealthPal] Your account has been deleted",
+      text: `Your HealthPal account and personal data have been erased. Redacted records: ${JSON.stringify(
+        report.redacted
+      )}. Financial and clinical records were kept in pseudonymized form for audit.`,
+    }).catch((err) =>
+      console.error("[users] erasure email error:", err?.message || err)
+    );
 
     res.status(200).json({
       message: "Account deleted successfully",
+      erasure_report: report,
     });
   } catch (error) {
     console.error("Account deletion error:", error);
-    if (error.message.includes("related records")) {
-      return res.status(403).json({ error: error.message });
-    }
     res
       .status(500)
       .json({ error: "Internal server error during account deletion" });
   }
 });
 
+// POST /users/:id/unlock - Clear a login lockout (requires users:manage)
+router.post(
+  "/:id/unlock",
+  authenticateToken,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const userId = req.params.id;
+
+      const result = await new Promise((resolve, reject) => {
+        db.query(
+          `UPDATE users
+           SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+           WHERE id = ?`,
+          [userId],
+          (err, results) => {
+            if (err) reject(err);
+            else resolve(results);
+          }
+        );
+      });
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.status(200).json({
+        message: "User account unlocked successfully",
+      });
+    } catch (error) {
+      console.error("Unlock user error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // GET user by ID with JWT authentication
 router.get("/:id", authenticateToken, (req, res) => {
   const userId = req.params.id;
 
-  db.query("SELECT * FROM users WHERE id = ?", [userId], (err, results) => {
+  db.query(`SELECT ${PUBLIC_USER_COLUMNS} FROM users WHERE id = ?`, [userId], (err, results) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -530,7 +629,6 @@ router.get("/:id", authenticateToken, (req, res) => {
       res.status(404).json({ error: "User not found" });
       return;
     }
-    console.log(results);
     res.json(results[0]);
   });
 });
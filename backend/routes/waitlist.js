@@ -0,0 +1,280 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db.js");
+const authenticateToken = require("../middleware/auth.js");
+const {
+  isActiveGuardian,
+  recordGuardianAction,
+} = require("../utils/guardians.js");
+const { releaseHold } = require("../utils/waitlist.js");
+const { isValidTimeZone, withLocalTimes } = require("../utils/timezones.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const ENTRY_SELECT = `
+  SELECT w.*, d.username AS doctor_username, p.username AS patient_username,
+    h.id AS hold_id, h.slot_id AS hold_slot_id, h.expires_at AS hold_expires_at,
+    s.start_datetime AS hold_start_datetime, s.end_datetime AS hold_end_datetime, s.timezone
+  FROM waitlist_entries w
+  JOIN users p ON w.patient_id = p.id
+  LEFT JOIN users d ON w.doctor_id = d.id
+  LEFT JOIN slot_holds h
+    ON h.waitlist_entry_id = w.id AND h.status = 'active' AND h.expires_at > NOW()
+  LEFT JOIN consultation_slots s ON h.slot_id = s.id`;
+
+const HOLD_TIME_FIELDS = ["hold_start_datetime", "hold_end_datetime", "hold_expires_at"];
+
+// Current hold (if any) is shown in the slot's zone unless ?tz= asks for another
+const localizeEntry = (entry, req) =>
+  withLocalTimes(
+    entry,
+    entry.hold_id ? HOLD_TIME_FIELDS : [],
+    isValidTimeZone(req.query.tz) ? req.query.tz : null
+  );
+
+// The patient themselves or whoever put them on the waitlist
+const canManageEntry = async (user, entry) =>
+  entry.patient_id === user.id ||
+  entry.requested_by === user.id ||
+  (await isActiveGuardian(user.id, entry.patient_id));
+
+// POST /waitlist - Join the waitlist of a doctor (doctor_id) or of a specialty
+router.post("/", authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { doctor_id, specialty, notes, patient_id } = req.body;
+
+  // Guardians join for a dependent by passing the dependent's patient_id
+  const actingForDependent =
+    patient_id !== undefined && patient_id !== null && Number(patient_id) !== userId;
+  const patientId = actingForDependent ? Number(patient_id) : userId;
+
+  try {
+    if (actingForDependent) {
+      if (!(await isActiveGuardian(userId, patientId))) {
+        return res.status(403).json({
+          error: "You are not an active guardian of this patient",
+        });
+      }
+    } else if (req.user.role !== "patient") {
+      return res.status(403).json({ error: "Only patients can join a waitlist" });
+    }
+
+    if ((!doctor_id && !specialty) || (doctor_id && specialty)) {
+      return res.status(400).json({
+        error: "Provide either doctor_id or specialty",
+      });
+    }
+
+    let doctorIds;
+    if (doctor_id) {
+      const doctors = await runQuery(
+        "SELECT id FROM users WHERE id = ? AND role = 'doctor' AND erased_at IS NULL",
+        [doctor_id]
+      );
+      if (doctors.length === 0) {
+        return res.status(400).json({
+          error: "Selected doctor does not exist or is not a doctor",
+        });
+      }
+      doctorIds = [doctors[0].id];
+    } else {
+      const doctors = await runQuery(
+        "SELECT id FROM users WHERE role = 'doctor' AND specialty = ? AND erased_at IS NULL",
+        [specialty]
+      );
+      if (doctors.length === 0) {
+        return res.status(400).json({ error: "No doctors found for this specialty" });
+      }
+      doctorIds = doctors.map((doctor) => doctor.id);
+    }
+
+    // The waitlist is for fully booked doctors only
+    const openSlots = await runQuery(
+      `SELECT COUNT(*) AS count FROM consultation_slots s
+       WHERE s.doctor_id IN (?) AND s.is_booked = FALSE AND s.consultation_id IS NULL
+         AND s.start_datetime > NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM slot_holds h
+           WHERE h.slot_id = s.id AND h.status = 'active' AND h.expires_at > NOW()
+         )`,
+      [doctorIds]
+    );
+    if (openSlots[0].count > 0) {
+      return res.status(409).json({
+        error: "Free slots are available; book one of them instead",
+        available_slots: openSlots[0].count,
+      });
+    }
+
+    const existing = await runQuery(
+      `SELECT id FROM waitlist_entries
+       WHERE patient_id = ? AND status = 'waiting'
+         AND ${doctor_id ? "doctor_id = ?" : "doctor_id IS NULL AND specialty = ?"}`,
+      [patientId, doctor_id || specialty]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: "Already on this waitlist",
+        waitlist_entry_id: existing[0].id,
+      });
+    }
+
+    const result = await runQuery(
+      `INSERT INTO waitlist_entries
+        (patient_id, requested_by, doctor_id, specialty, notes, status, created_at)
+       VALUES (?, ?, ?, ?, ?, 'waiting', NOW())`,
+      [patientId, userId, doctor_id || null, doctor_id ? null : specialty, notes || null]
+    );
+
+    if (actingForDependent) {
+      recordGuardianAction({
+        guardianId: userId,
+        dependentId: patientId,
+        action: "join_waitlist",
+        resourceType: "waitlist_entry",
+        resourceId: result.insertId,
+      });
+    }
+
+    const entries = await runQuery(`${ENTRY_SELECT} WHERE w.id = ?`, [result.insertId]);
+
+    res.status(201).json({
+      message: "Added to the waitlist",
+      entry: localizeEntry(entries[0], req),
+    });
+  } catch (error) {
+    console.error("Error joining waitlist:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /waitlist - My waitlist entries and those I manage for dependents
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const conditions = ["(w.patient_id = ? OR w.requested_by = ?)"];
+    const params = [req.user.id, req.user.id];
+
+    if (status) {
+      conditions.push("w.status = ?");
+      params.push(status);
+    }
+
+    const entries = await runQuery(
+      `${ENTRY_SELECT}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY w.created_at DESC`,
+      params
+    );
+
+    res.json({
+      message: "Waitlist entries retrieved successfully",
+      entries: entries.map((entry) => localizeEntry(entry, req)),
+    });
+  } catch (error) {
+    console.error("Error fetching waitlist entries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /waitlist/doctor - Patients waiting for the requesting doctor, in offer order
+router.get("/doctor", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== "doctor") {
+      return res.status(403).json({ error: "Only doctors can view their waitlist" });
+    }
+
+    const entries = await runQuery(
+      `${ENTRY_SELECT}
+       WHERE w.status = 'waiting'
+         AND (w.doctor_id = ?
+           OR (w.doctor_id IS NULL
+             AND w.specialty = (SELECT specialty FROM users WHERE id = ?)))
+       ORDER BY w.created_at ASC, w.id ASC`,
+      [req.user.id, req.user.id]
+    );
+
+    res.json({
+      message: "Waitlist retrieved successfully",
+      entries: entries.map((entry) => localizeEntry(entry, req)),
+    });
+  } catch (error) {
+    console.error("Error fetching doctor waitlist:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /waitlist/holds/:holdId/decline - Pass on a held slot but stay on the waitlist
+router.post("/holds/:holdId/decline", authenticateToken, async (req, res) => {
+  try {
+    const holds = await runQuery(
+      `SELECT h.*, w.requested_by FROM slot_holds h
+       JOIN waitlist_entries w ON h.waitlist_entry_id = w.id
+       WHERE h.id = ?`,
+      [req.params.holdId]
+    );
+    const hold = holds[0];
+
+    if (!hold) {
+      return res.status(404).json({ error: "Hold not found" });
+    }
+    if (!(await canManageEntry(req.user, hold))) {
+      return res.status(403).json({ error: "You cannot manage this hold" });
+    }
+    if (!(await releaseHold(hold, "declined"))) {
+      return res.status(400).json({ error: "Hold is no longer active" });
+    }
+
+    res.json({ message: "Slot declined; you stay on the waitlist" });
+  } catch (error) {
+    console.error("Error declining slot hold:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /waitlist/:id - Leave the waitlist (any held slot moves to the next patient)
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const entries = await runQuery("SELECT * FROM waitlist_entries WHERE id = ?", [
+      req.params.id,
+    ]);
+    const entry = entries[0];
+
+    if (!entry) {
+      return res.status(404).json({ error: "Waitlist entry not found" });
+    }
+    if (!(await canManageEntry(req.user, entry))) {
+      return res.status(403).json({ error: "You cannot manage this waitlist entry" });
+    }
+    if (entry.status !== "waiting") {
+      return res.status(400).json({ error: `Waitlist entry is already ${entry.status}` });
+    }
+
+    await runQuery(
+      `UPDATE waitlist_entries SET status = 'cancelled', updated_at = NOW()
+       WHERE id = ? AND status = 'waiting'`,
+      [entry.id]
+    );
+
+    const holds = await runQuery(
+      "SELECT * FROM slot_holds WHERE waitlist_entry_id = ? AND status = 'active'",
+      [entry.id]
+    );
+    for (const hold of holds) {
+      await releaseHold(hold);
+    }
+
+    res.json({ message: "Removed from the waitlist" });
+  } catch (error) {
+    console.error("Error leaving waitlist:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
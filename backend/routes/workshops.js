@@ -2,7 +2,15 @@ const express = require("express");
 const router = express.Router();
 const db = require("../db.js");
 const authenticateToken = require("../middleware/auth.js");
-const requireRole = require("../middleware/roleCheck.js");
+const requirePermission = require("../middleware/permissionCheck.js");
+const { hasPermission } = require("../utils/permissions.js");
+const {
+  isValidTimeZone,
+  parseDateTimeInput,
+  toUtcDatetime,
+  withLocalTimes,
+  resolveEventTimeZone,
+} = require("../utils/timezones.js");
 
 const runQuery = (sql, params = []) =>
   new Promise((resolve, reject) => {
@@ -12,32 +20,21 @@ const runQuery = (sql, params = []) =>
     });
   });
 
-// Helper to check if user can create workshops
-const canCreateWorkshop = (role) => {
-  return ["doctor", "hospital", "ngo", "admin"].includes(role);
+// Helper to format date for MySQL (stored as UTC; values without an offset are local to timeZone)
+const formatMySQLDate = (dateString, timeZone) => {
+  const date = parseDateTimeInput(dateString, timeZone);
+  return date ? toUtcDatetime(date) : null;
 };
 
-// Helper to format date for MySQL
-const formatMySQLDate = (dateString) => {
-  if (!dateString) return null;
-  const date = new Date(dateString);
-  if (Number.isNaN(date.getTime())) return null;
-  return date.toISOString().slice(0, 19).replace("T", " ");
-};
+// Adds date_local in the workshop's zone (or ?tz=)
+const localizeWorkshop = (row, req) => withLocalTimes(row, ["date"], req.query.tz);
 
-// POST /workshops - Create workshop (doctors, hospitals, NGOs, admins only)
-router.post("/", authenticateToken, async (req, res) => {
+// POST /workshops - Create workshop (requires workshops:create)
+router.post("/", authenticateToken, requirePermission("workshops:create"), async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!canCreateWorkshop(userRole)) {
-      return res.status(403).json({
-        error: "Only doctors, hospitals, NGOs, and admins can create workshops",
-      });
-    }
 
-    const { title, topic, description, mode, location, date, duration } =
+    const { title, topic, description, mode, location, date, duration, timezone } =
       req.body;
 
     // Validate required fields
@@ -71,7 +68,15 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Validate and format date
-    const formattedDate = formatMySQLDate(date);
+    const { timeZone, error: timeZoneError } = await resolveEventTimeZone(
+      timezone,
+      userId
+    );
+    if (timeZoneError) {
+      return res.status(400).json({ error: timeZoneError });
+    }
+
+    const formattedDate = formatMySQLDate(date, timeZone);
     if (!formattedDate) {
       return res.status(400).json({
         error: "Invalid date format",
@@ -79,7 +84,7 @@ router.post("/", authenticateToken, async (req, res) => {
     }
 
     // Check if date is in the future
-    const workshopDate = new Date(date);
+    const workshopDate = parseDateTimeInput(date, timeZone);
     if (workshopDate <= new Date()) {
       return res.status(400).json({
         error: "Workshop date must be in the future",
@@ -88,8 +93,8 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const sql = `
       INSERT INTO workshops 
-        (title, topic, description, mode, location, date, duration, created_by, approved, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, false, NOW(), NOW())
+        (title, topic, description, mode, location, date, timezone, duration, created_by, approved, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, false, NOW(), NOW())
     `;
 
     const result = await runQuery(sql, [
@@ -99,6 +104,7 @@ router.post("/", authenticateToken, async (req, res) => {
       mode,
       location || null,
       formattedDate,
+      timeZone,
       durationInt,
       userId,
     ]);
@@ -113,7 +119,7 @@ router.post("/", authenticateToken, async (req, res) => {
 
     res.status(201).json({
       message: "Workshop created successfully. Pending admin approval.",
-      workshop: workshop[0],
+      workshop: localizeWorkshop(workshop[0], req),
     });
   } catch (error) {
     console.error("Error creating workshop:", error);
@@ -125,7 +131,6 @@ router.post("/", authenticateToken, async (req, res) => {
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
     const { approved_only, created_by_me } = req.query;
 
     let sql = `
@@ -141,9 +146,10 @@ router.get("/", authenticateToken, async (req, res) => {
 
     const params = [];
 
-    // Admins can see all workshops
+    // Reviewers (admins or anyone granted workshops:approve) can see all workshops
     // Others see only approved workshops, unless they're the creator
-    if (userRole !== "admin") {
+    const canReview = await hasPermission(req.user, "workshops:approve");
+    if (!canReview) {
       if (created_by_me === "true") {
         // Show user's own workshops (approved or not)
         sql += " AND w.created_by = ?";
@@ -153,7 +159,7 @@ router.get("/", authenticateToken, async (req, res) => {
         sql += " AND w.approved = true";
       }
     } else if (approved_only === "false") {
-      // Admin can see all if explicitly requested
+      // Reviewers can see all if explicitly requested
       // Otherwise show approved by default
     } else {
       // Default: show approved workshops
@@ -166,7 +172,7 @@ router.get("/", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Workshops retrieved successfully",
-      workshops,
+      workshops: workshops.map((workshop) => localizeWorkshop(workshop, req)),
     });
   } catch (error) {
     console.error("Error fetching workshops:", error);
@@ -179,7 +185,6 @@ router.get("/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const sql = `
       SELECT 
@@ -200,11 +205,11 @@ router.get("/:id", authenticateToken, async (req, res) => {
     }
 
     // Check if user can view this workshop
-    // Admins and creators can see unapproved workshops
+    // Reviewers and creators can see unapproved workshops
     // Others can only see approved workshops
     if (
       !workshop[0].approved &&
-      userRole !== "admin" &&
+      !(await hasPermission(req.user, "workshops:approve")) &&
       workshop[0].created_by !== userId
     ) {
       return res.status(403).json({
@@ -214,7 +219,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Workshop retrieved successfully",
-      workshop: workshop[0],
+      workshop: localizeWorkshop(workshop[0], req),
     });
   } catch (error) {
     console.error("Error fetching workshop:", error);
@@ -253,12 +258,23 @@ router.put("/:id", authenticateToken, async (req, res) => {
       });
     }
 
-    const { title, topic, description, mode, location, date, duration } =
+    const { title, topic, description, mode, location, date, duration, timezone } =
       req.body;
 
     const updates = [];
     const params = [];
 
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          error: "timezone must be an IANA time zone such as Asia/Gaza",
+        });
+      }
+      updates.push("timezone = ?");
+      params.push(timezone);
+    }
+    const timeZone = timezone || existing[0].timezone;
+
     if (title !== undefined) {
       updates.push("title = ?");
       params.push(title);
@@ -292,7 +308,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
       params.push(location);
     }
     if (date !== undefined) {
-      const formattedDate = formatMySQLDate(date);
+      const formattedDate = formatMySQLDate(date, timeZone);
       if (!formattedDate) {
         return res.status(400).json({ error: "Invalid date format" });
       }
@@ -329,7 +345,7 @@ router.put("/:id", authenticateToken, async (req, res) => {
 
     res.json({
       message: "Workshop updated successfully",
-      workshop: updated[0],
+      workshop: localizeWorkshop(updated[0], req),
     });
   } catch (error) {
     console.error("Error updating workshop:", error);
@@ -337,8 +353,8 @@ router.put("/:id", authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /workshops/:id/approve - Approve/reject workshop (admin only)
-router.put("/:id/approve", authenticateToken, requireRole("admin"), async (req, res) => {
+// PUT /workshops/:id/approve - Approve/reject workshop (requires workshops:approve)
+router.put("/:id/approve", authenticateToken, requirePermission("workshops:approve"), async (req, res) => {
   try {
     const { id } = req.params;
     const adminId = req.user.id;
@@ -378,7 +394,7 @@ router.put("/:id/approve", authenticateToken, requireRole("admin"), async (req,
       message: approved
         ? "Workshop approved successfully"
         : "Workshop rejected successfully",
-      workshop: updated[0],
+      workshop: localizeWorkshop(updated[0], req),
     });
   } catch (error) {
     console.error("Error approving workshop:", error);
@@ -5,6 +5,18 @@ const jwt = require("jsonwebtoken");
 const app = express();
 const port = 3000;
 const db = require("./db.js");
+const { getTokenRejection } = require("./utils/sessions.js");
+const {
+  processPendingExports,
+  expireDataExports,
+} = require("./utils/dataExport.js");
+const { syncAllTemplateSlots } = require("./utils/availability.js");
+const { expireSlotHolds } = require("./utils/waitlist.js");
+const { sendDueReminders } = require("./utils/reminders.js");
+const {
+  attachNotificationSocket,
+  userRoom,
+} = require("./utils/notifications.js");
 require("dotenv").config();
 
 // Global base_url variable
@@ -32,16 +44,71 @@ const cleanupExpiredTokens = () => {
   );
 };
 
+// Clean up expired and revoked device sessions
+const cleanupExpiredSessions = () => {
+  db.query(
+    "DELETE FROM user_sessions WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL 30 DAY",
+    (err, results) => {
+      if (err) {
+        console.error("Error cleaning up expired sessions:", err);
+      } else if (results.affectedRows) {
+        console.log(`Cleaned up ${results.affectedRows} expired sessions`);
+      }
+    }
+  );
+};
+
+// Clean up expired password reset, email verification and SMS login codes
+const cleanupEmailedTokens = () => {
+  ["password_reset_tokens", "email_verification_tokens", "phone_otps"].forEach((table) => {
+    db.query(
+      `DELETE FROM ${table} WHERE expires_at < NOW() - INTERVAL 1 DAY`,
+      (err, results) => {
+        if (err) {
+          console.error(`Error cleaning up ${table}:`, err);
+        } else if (results.affectedRows) {
+          console.log(`Cleaned up ${results.affectedRows} rows from ${table}`);
+        }
+      }
+    );
+  });
+};
+
+// Forget per-IP login failure windows that are no longer relevant
+const cleanupLoginAttempts = () => {
+  db.query(
+    `DELETE FROM login_ip_attempts
+     WHERE window_started_at < NOW() - INTERVAL 1 DAY
+     AND (locked_until IS NULL OR locked_until < NOW())`,
+    (err, results) => {
+      if (err) {
+        console.error("Error cleaning up login attempts:", err);
+      } else if (results.affectedRows) {
+        console.log(`Cleaned up ${results.affectedRows} login attempt records`);
+      }
+    }
+  );
+};
+
 // Clean up expired tokens on server startup
 cleanupExpiredTokens();
+cleanupExpiredSessions();
+cleanupEmailedTokens();
+cleanupLoginAttempts();
 
 // Schedule cleanup every hour (optional - can be adjusted)
 setInterval(cleanupExpiredTokens, 60 * 60 * 1000);
+setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+setInterval(cleanupEmailedTokens, 60 * 60 * 1000);
+setInterval(cleanupLoginAttempts, 60 * 60 * 1000);
 
-// Clean up past, unbooked consultation slots
+// Clean up past, unbooked consultation slots. Slots a cancelled consultation
+// still points at stay, as the record of when it was scheduled.
 const cleanupExpiredSlots = () => {
   db.query(
-    "DELETE FROM consultation_slots WHERE is_booked = FALSE AND consultation_id IS NULL AND end_datetime < NOW()",
+    `DELETE FROM consultation_slots
+     WHERE is_booked = FALSE AND consultation_id IS NULL AND end_datetime < NOW()
+       AND NOT EXISTS (SELECT 1 FROM consultations c WHERE c.slot_id = consultation_slots.id)`,
     (err, results) => {
       if (err) {
         console.error("Error cleaning up expired slots:", err);
@@ -55,6 +122,48 @@ const cleanupExpiredSlots = () => {
 // Run slot cleanup every hour
 setInterval(cleanupExpiredSlots, 60 * 60 * 1000);
 
+// Keep slots from weekly availability templates generated a few weeks ahead.
+// Only future slots are generated, so this never fights cleanupExpiredSlots.
+const generateTemplateSlots = () => {
+  syncAllTemplateSlots()
+    .then((count) => {
+      if (count) {
+        console.log(`Generated ${count} slots from availability templates`);
+      }
+    })
+    .catch((err) => console.error("Error generating template slots:", err));
+};
+
+generateTemplateSlots();
+setInterval(generateTemplateSlots, 60 * 60 * 1000); // Every hour
+
+// Move unclaimed waitlist holds on to the next patient
+const expireWaitlistHolds = () => {
+  expireSlotHolds()
+    .then((count) => {
+      if (count) {
+        console.log(`Expired ${count} waitlist slot holds`);
+      }
+    })
+    .catch((err) => console.error("Error expiring waitlist holds:", err));
+};
+
+setInterval(expireWaitlistHolds, 60 * 1000); // Every minute
+
+// Email and in-app reminders before confirmed consultations, workshops and missions.
+// Sends are recorded in reminder_deliveries, so restarts never repeat one.
+const runReminders = () => {
+  sendDueReminders()
+    .then((count) => {
+      if (count) {
+        console.log(`Sent ${count} reminders`);
+      }
+    })
+    .catch((err) => console.error("Error sending reminders:", err));
+};
+
+setInterval(runReminders, 60 * 1000); // Every minute
+
 // Check and update expired medicines
 const checkExpiredMedicines = () => {
   db.query(
@@ -101,12 +210,35 @@ const deactivateExpiredAlerts = () => {
 deactivateExpiredAlerts();
 setInterval(deactivateExpiredAlerts, 60 * 60 * 1000); // Every hour
 
+// Build queued "download my data" exports and drop expired ZIP files
+const runDataExportQueue = () => {
+  processPendingExports().catch((err) =>
+    console.error("Error processing data exports:", err)
+  );
+};
+
+const cleanupDataExports = () => {
+  expireDataExports()
+    .then((count) => {
+      if (count) {
+        console.log(`Expired ${count} data exports`);
+      }
+    })
+    .catch((err) => console.error("Error expiring data exports:", err));
+};
+
+runDataExportQueue();
+cleanupDataExports();
+setInterval(runDataExportQueue, 60 * 1000); // Every minute
+setInterval(cleanupDataExports, 60 * 60 * 1000); // Every hour
+
 // Routes
 const usersRoutes = require("./routes/users.js");
 const consultationsRoutes = require("./routes/consultations.js");
 const consultationSlotsRoutes = require("./routes/consultationSlots.js");
 const mentalHealthRoutes = require("./routes/mentalHealthConsultations.js");
 const authRoutes = require("./routes/auth.js");
+const twoFactorRoutes = require("./routes/twoFactor.js");
 const connectionsRoutes = require("./routes/connections.js");
 const messagesRoutes = require("./routes/messages.js");
 const treatmentRequestsRoutes = require("./routes/treatmentRequests.js");
@@ -127,13 +259,31 @@ const missionRegistrationsRoutes = require("./routes/missionRegistrations.js");
 const surgicalMissionsRoutes = require("./routes/surgicalMissions.js");
 const healthGuidesRoutes = require("./routes/healthGuides.js");
 const publicHealthAlertsRoutes = require("./routes/publicHealthAlerts.js");
+const providerVerificationsRoutes = require("./routes/providerVerifications.js");
+const permissionsRoutes = require("./routes/permissions.js");
+const adminUsersRoutes = require("./routes/adminUsers.js");
+const dataExportsRoutes = require("./routes/dataExports.js");
+const guardianshipsRoutes = require("./routes/guardianships.js");
+const organizationsRoutes = require("./routes/organizations.js");
+const availabilityTemplatesRoutes = require("./routes/availabilityTemplates.js");
+const accessLogsRoutes = require("./routes/accessLogs.js");
+const waitlistRoutes = require("./routes/waitlist.js");
+const notificationsRoutes = require("./routes/notifications.js");
+const calendarRoutes = require("./routes/calendar.js");
+const doctorsRoutes = require("./routes/doctors.js");
+const reviewsRoutes = require("./routes/reviews.js");
+const consultationNotesRoutes = require("./routes/consultationNotes.js");
 
 // Use base_url in the route paths (already defined above for webhook)
 app.use(`${baseUrlPath}/users`, usersRoutes);
 app.use(`${baseUrlPath}/consultations`, consultationsRoutes);
 app.use(`${baseUrlPath}/consultation-slots`, consultationSlotsRoutes);
+app.use(`${baseUrlPath}/consultation-notes`, consultationNotesRoutes);
+app.use(`${baseUrlPath}/availability-templates`, availabilityTemplatesRoutes);
+app.use(`${baseUrlPath}/waitlist`, waitlistRoutes);
 app.use(`${baseUrlPath}/mental-health-consultations`, mentalHealthRoutes);
 app.use(`${baseUrlPath}/auth`, authRoutes);
+app.use(`${baseUrlPath}/auth/2fa`, twoFactorRoutes);
 app.use(`${baseUrlPath}/connections`, connectionsRoutes);
 app.use(`${baseUrlPath}/messages`, messagesRoutes);
 app.use(`${baseUrlPath}/treatment-requests`, treatmentRequestsRoutes);
@@ -157,6 +307,17 @@ app.use(`${baseUrlPath}/mission-registrations`, missionRegistrationsRoutes);
 app.use(`${baseUrlPath}/surgical-missions`, surgicalMissionsRoutes);
 app.use(`${baseUrlPath}/health-guides`, healthGuidesRoutes);
 app.use(`${baseUrlPath}/public-health-alerts`, publicHealthAlertsRoutes);
+app.use(`${baseUrlPath}/provider-verifications`, providerVerificationsRoutes);
+app.use(`${baseUrlPath}/permissions`, permissionsRoutes);
+app.use(`${baseUrlPath}/admin/users`, adminUsersRoutes);
+app.use(`${baseUrlPath}/data-exports`, dataExportsRoutes);
+app.use(`${baseUrlPath}/guardianships`, guardianshipsRoutes);
+app.use(`${baseUrlPath}/organizations`, organizationsRoutes);
+app.use(`${baseUrlPath}/access-logs`, accessLogsRoutes);
+app.use(`${baseUrlPath}/notifications`, notificationsRoutes);
+app.use(`${baseUrlPath}/calendar`, calendarRoutes);
+app.use(`${baseUrlPath}/doctors`, doctorsRoutes);
+app.use(`${baseUrlPath}/reviews`, reviewsRoutes);
 
 const server = http.createServer(app);
 
@@ -168,6 +329,24 @@ const io = new Server(server, {
 });
 
 app.set("io", io);
+attachNotificationSocket(io);
+
+// STUN/TURN servers handed to call participants (JSON array of RTCIceServer)
+const parseIceServers = () => {
+  try {
+    const servers = JSON.parse(process.env.WEBRTC_ICE_SERVERS || "[]");
+    if (Array.isArray(servers) && servers.length > 0) {
+      return servers;
+    }
+  } catch (error) {
+    console.error("Invalid WEBRTC_ICE_SERVERS, using the default STUN server");
+  }
+  return [{ urls: "stun:stun.l.google.com:19302" }];
+};
+const iceServers = parseIceServers();
+
+const CALL_MODES = ["video", "audio"];
+const callRoom = (consultationId) => `call_${consultationId}`;
 
 const verifyConnectionParticipant = (connectionId, userId) =>
   new Promise((resolve, reject) => {
@@ -204,6 +383,99 @@ const verifyConnectionParticipant = (connectionId, userId) =>
     );
   });
 
+// Only the patient and doctor of a confirmed video/audio consultation may join its call
+const verifyCallParticipant = (consultationId, userId) =>
+  new Promise((resolve, reject) => {
+    db.query(
+      "SELECT id, patient_id, doctor_id, status, mode FROM consultations WHERE id = ?",
+      [consultationId],
+      (err, results) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        if (results.length === 0) {
+          resolve({ error: "Consultation not found" });
+          return;
+        }
+
+        const consultation = results[0];
+        if (
+          consultation.patient_id !== userId &&
+          consultation.doctor_id !== userId
+        ) {
+          resolve({ error: "You are not a participant of this consultation" });
+          return;
+        }
+
+        if (consultation.status !== "confirmed") {
+          resolve({ error: "Calls are only available for confirmed consultations" });
+          return;
+        }
+
+        if (!CALL_MODES.includes(consultation.mode)) {
+          resolve({ error: "This consultation is not a video or audio consultation" });
+          return;
+        }
+
+        resolve({ consultation });
+      }
+    );
+  });
+
+// Distinct users currently in a call room (a user may have several sockets open)
+const callParticipants = (consultationId) => {
+  const socketIds = io.sockets.adapter.rooms.get(callRoom(consultationId)) || [];
+  const userIds = new Set();
+  for (const socketId of socketIds) {
+    const participant = io.sockets.sockets.get(socketId);
+    if (participant) {
+      userIds.add(participant.user.id);
+    }
+  }
+  return [...userIds];
+};
+
+const updateCallTimestamps = (sql, consultationId) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, [consultationId], (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const leaveCall = async (socket, consultationId) => {
+  const room = callRoom(consultationId);
+  if (!socket.rooms.has(room)) {
+    return;
+  }
+
+  socket.leave(room);
+  const remaining = callParticipants(consultationId);
+
+  if (!remaining.includes(socket.user.id)) {
+    socket.to(room).emit("call:peer_left", {
+      consultation_id: consultationId,
+      user_id: socket.user.id,
+      participants: remaining,
+    });
+  }
+
+  // The call ends when the last participant hangs up; a rejoin reopens it
+  if (remaining.length === 0) {
+    try {
+      await updateCallTimestamps(
+        `UPDATE consultations SET call_ended_at = NOW()
+         WHERE id = ? AND call_started_at IS NOT NULL`,
+        consultationId
+      );
+    } catch (error) {
+      console.error("Error recording call end:", error);
+    }
+  }
+};
+
 io.use((socket, next) => {
   const token =
     socket.handshake.auth?.token || socket.handshake.headers?.authorization;
@@ -217,10 +489,22 @@ io.use((socket, next) => {
   jwt.verify(
     bearerToken,
     process.env.JWT_SECRET || "your-secret-key",
-    (err, user) => {
+    async (err, user) => {
       if (err) {
         return next(new Error("Authentication error: invalid token"));
       }
+
+      try {
+        // Suspended/banned accounts and revoked sessions cannot connect
+        const rejection = await getTokenRejection(user);
+        if (rejection) {
+          return next(new Error(`Authentication error: ${rejection}`));
+        }
+      } catch (sessionError) {
+        console.error("Socket session check error:", sessionError);
+        return next(new Error("Authentication error"));
+      }
+
       socket.user = user;
       next();
     }
@@ -228,6 +512,9 @@ io.use((socket, next) => {
 });
 
 io.on("connection", (socket) => {
+  // Personal room for in-app notifications
+  socket.join(userRoom(socket.user.id));
+
   socket.on("join_connection", async (connectionId, callback) => {
     try {
       const connection = await verifyConnectionParticipant(
@@ -322,6 +609,100 @@ io.on("connection", (socket) => {
   socket.on("leave_support_group", (groupId) => {
     socket.leave(`support_group_${groupId}`);
   });
+
+  // WebRTC call signaling for video and audio consultations
+  socket.on("join_call", async (consultationId, callback) => {
+    try {
+      const id = Number(consultationId);
+      const { consultation, error } = await verifyCallParticipant(
+        id,
+        socket.user.id
+      );
+
+      if (error) {
+        if (callback) {
+          callback({ error });
+        }
+        return;
+      }
+
+      const room = callRoom(id);
+      const alreadyPresent = callParticipants(id).includes(socket.user.id);
+      socket.join(room);
+      const participants = callParticipants(id);
+
+      if (!alreadyPresent) {
+        socket.to(room).emit("call:peer_joined", {
+          consultation_id: id,
+          user_id: socket.user.id,
+          role: socket.user.id === consultation.doctor_id ? "doctor" : "patient",
+          participants,
+        });
+      }
+
+      // The call starts once both the patient and the doctor are in the room
+      if (
+        participants.includes(consultation.patient_id) &&
+        participants.includes(consultation.doctor_id)
+      ) {
+        await updateCallTimestamps(
+          `UPDATE consultations
+           SET call_started_at = COALESCE(call_started_at, NOW()), call_ended_at = NULL
+           WHERE id = ?`,
+          id
+        );
+        io.to(room).emit("call:started", { consultation_id: id });
+      }
+
+      if (callback) {
+        callback({
+          success: true,
+          consultation_id: id,
+          mode: consultation.mode,
+          participants,
+          ice_servers: iceServers,
+        });
+      }
+    } catch (error) {
+      console.error("join_call error:", error);
+      if (callback) {
+        callback({ error: "Failed to join call" });
+      }
+    }
+  });
+
+  // Offers, answers and ICE candidates are relayed to the other side unchanged
+  const relayToCall = (event, field) => {
+    socket.on(event, (payload = {}) => {
+      const id = Number(payload.consultation_id);
+      const room = callRoom(id);
+      if (!socket.rooms.has(room) || payload[field] === undefined) {
+        return;
+      }
+
+      socket.to(room).emit(event, {
+        consultation_id: id,
+        from_user_id: socket.user.id,
+        [field]: payload[field],
+      });
+    });
+  };
+  relayToCall("call:offer", "description");
+  relayToCall("call:answer", "description");
+  relayToCall("call:ice_candidate", "candidate");
+
+  socket.on("leave_call", (consultationId) => {
+    leaveCall(socket, Number(consultationId));
+  });
+
+  // Closing the tab or losing the connection counts as hanging up
+  socket.on("disconnecting", () => {
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith("call_")) {
+        leaveCall(socket, Number(room.slice("call_".length)));
+      }
+    }
+  });
 });
 
 server.listen(port, () => {
@@ -0,0 +1,61 @@
+const db = require("../db.js");
+
+const ACCESS_ACTIONS = ["read", "create", "update", "delete"];
+const ACCESS_RESOURCE_TYPES = [
+  "mental_health_consultation",
+  "recovery_update",
+  "message",
+  "clinical_note",
+];
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+/**
+ * Record that the requesting user touched a patient-linked resource.
+ * Pass resourceId for a single record, or leave it null for listings
+ * (e.g. all recovery updates of a patient). Like recordGuardianAction,
+ * failures are logged but never fail the request itself.
+ */
+const recordAccess = async ({
+  req,
+  patientId,
+  resourceType,
+  resourceId = null,
+  action = "read",
+}) => {
+  if (!req.user || !patientId) return;
+
+  try {
+    await runQuery(
+      `INSERT INTO record_access_logs
+       (actor_id, actor_role, patient_id, resource_type, resource_id, action,
+        request_method, request_path, ip_address, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        req.user.id,
+        req.user.role,
+        patientId,
+        resourceType,
+        resourceId,
+        action,
+        req.method,
+        String(req.originalUrl || "").slice(0, 255),
+        req.ip || null,
+      ]
+    );
+  } catch (error) {
+    console.error("[access-audit] failed to record access:", error);
+  }
+};
+
+module.exports = {
+  ACCESS_ACTIONS,
+  ACCESS_RESOURCE_TYPES,
+  recordAccess,
+};
@@ -0,0 +1,408 @@
+const db = require("../db.js");
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("./timezones.js");
+const { offerOpenSlotsForDoctor } = require("./waitlist.js");
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const getConnection = () =>
+  new Promise((resolve, reject) => {
+    db.getConnection((err, connection) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+
+const queryConnection = (connection, sql, params = []) =>
+  new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// "09:30" -> 570; null when not a valid HH:MM time
+const parseTimeOfDay = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const isIsoDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) &&
+  !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// MySQL JSON columns come back parsed from mysql2, but be lenient with strings
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Validate and normalize template fields from a request body.
+ * Returns { values } or { error }. With partial = true only the fields
+ * present are checked (for updates).
+ */
+const normalizeTemplateInput = (body, { partial = false } = {}) => {
+  const values = {};
+
+  if (body.name !== undefined) {
+    values.name = body.name ? String(body.name).trim().slice(0, 255) : null;
+  }
+
+  if (body.days_of_week !== undefined || !partial) {
+    if (!Array.isArray(body.days_of_week) || body.days_of_week.length === 0) {
+      return { error: "days_of_week must be a non-empty array (0-6 or sun-sat)" };
+    }
+    const days = new Set();
+    for (const day of body.days_of_week) {
+      const index =
+        typeof day === "number" ? day : DAY_NAMES.indexOf(String(day).toLowerCase().slice(0, 3));
+      if (!Number.isInteger(index) || index < 0 || index > 6) {
+        return { error: `Invalid day of week: ${day}` };
+      }
+      days.add(index);
+    }
+    values.days_of_week = [...days].sort();
+  }
+
+  if (body.time_ranges !== undefined || !partial) {
+    if (!Array.isArray(body.time_ranges) || body.time_ranges.length === 0) {
+      return { error: "time_ranges must be a non-empty array of { start, end } (HH:MM)" };
+    }
+    const ranges = [];
+    for (const range of body.time_ranges) {
+      const start = parseTimeOfDay(range?.start);
+      const end = parseTimeOfDay(range?.end);
+      if (start === null || end === null || end <= start) {
+        return { error: "Each time range needs start and end as HH:MM with end after start" };
+      }
+      ranges.push({ start: range.start, end: range.end, startMinutes: start, endMinutes: end });
+    }
+    ranges.sort((a, b) => a.startMinutes - b.startMinutes);
+    for (let i = 1; i < ranges.length; i += 1) {
+      if (ranges[i].startMinutes < ranges[i - 1].endMinutes) {
+        return { error: "time_ranges must not overlap" };
+      }
+    }
+    values.time_ranges = ranges.map(({ start, end }) => ({ start, end }));
+  }
+
+  if (body.slot_minutes !== undefined || !partial) {
+    const slotMinutes = parseInt(body.slot_minutes, 10);
+    if (Number.isNaN(slotMinutes) || slotMinutes < 5 || slotMinutes > 480) {
+      return { error: "slot_minutes must be between 5 and 480" };
+    }
+    values.slot_minutes = slotMinutes;
+  }
+
+  if (body.buffer_minutes !== undefined) {
+    const bufferMinutes = parseInt(body.buffer_minutes, 10);
+    if (Number.isNaN(bufferMinutes) || bufferMinutes < 0 || bufferMinutes > 240) {
+      return { error: "buffer_minutes must be between 0 and 240" };
+    }
+    values.buffer_minutes = bufferMinutes;
+  }
+
+  if (body.weeks_ahead !== undefined) {
+    const weeksAhead = parseInt(body.weeks_ahead, 10);
+    if (Number.isNaN(weeksAhead) || weeksAhead < 1 || weeksAhead > 12) {
+      return { error: "weeks_ahead must be between 1 and 12" };
+    }
+    values.weeks_ahead = weeksAhead;
+  }
+
+  if (body.exception_dates !== undefined) {
+    if (!Array.isArray(body.exception_dates) || !body.exception_dates.every(isIsoDate)) {
+      return { error: "exception_dates must be an array of YYYY-MM-DD dates" };
+    }
+    values.exception_dates = [...new Set(body.exception_dates)].sort();
+  }
+
+  for (const field of ["valid_from", "valid_until"]) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && !isIsoDate(body[field])) {
+        return { error: `${field} must be a YYYY-MM-DD date` };
+      }
+      values[field] = body[field];
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      return { error: "timezone must be an IANA time zone such as Asia/Gaza" };
+    }
+    values.timezone = body.timezone;
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = Boolean(body.is_active);
+  }
+
+  return { values };
+};
+
+/**
+ * The slots a template should have from now until weeks_ahead weeks out.
+ * Days, time ranges and exception dates are read in the template's zone.
+ */
+const buildTemplateSlots = (template, now = new Date()) => {
+  const days = parseJsonColumn(template.days_of_week, []);
+  const ranges = parseJsonColumn(template.time_ranges, []);
+  const exceptions = new Set(parseJsonColumn(template.exception_dates, []));
+  const skipped = new Set(parseJsonColumn(template.skipped_slot_starts, []));
+  const stepMs = (template.slot_minutes + (template.buffer_minutes || 0)) * 60 * 1000;
+  const slotMs = template.slot_minutes * 60 * 1000;
+  const timeZone = isValidTimeZone(template.timezone) ? template.timezone : "UTC";
+
+  const horizon = new Date(now.getTime() + template.weeks_ahead * 7 * DAY_MS);
+  const today = getZonedParts(now, timeZone);
+  const validFrom = template.valid_from ? toIsoDate(new Date(template.valid_from)) : null;
+  const validUntil = template.valid_until ? toIsoDate(new Date(template.valid_until)) : null;
+
+  const slots = [];
+  // Walk local calendar days; the extra day covers zones ahead of UTC
+  for (let offset = 0; offset <= template.weeks_ahead * 7 + 1; offset += 1) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const isoDay = toIsoDate(day);
+    if (!days.includes(day.getUTCDay()) || exceptions.has(isoDay)) continue;
+    if ((validFrom && isoDay < validFrom) || (validUntil && isoDay > validUntil)) continue;
+
+    const date = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    };
+
+    ranges.forEach((range) => {
+      const rangeEnd = zonedTimeToUtc(
+        { ...date, minute: parseTimeOfDay(range.end) },
+        timeZone
+      ).getTime();
+      let cursor = zonedTimeToUtc(
+        { ...date, minute: parseTimeOfDay(range.start) },
+        timeZone
+      ).getTime();
+      for (; cursor + slotMs <= rangeEnd; cursor += stepMs) {
+        const isSkipped = skipped.has(new Date(cursor).toISOString());
+        if (cursor > now.getTime() && cursor < horizon.getTime() && !isSkipped) {
+          slots.push({ start: new Date(cursor), end: new Date(cursor + slotMs) });
+        }
+      }
+    });
+  }
+
+  return slots;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Bring a template's future slots in line with its current settings: unbooked
+ * generated slots that no longer fit are deleted, missing ones are created,
+ * and booked slots are never touched. A new slot is skipped if it would
+ * overlap any other slot of the doctor (manual or from another template).
+ * Past slots are left to the hourly cleanupExpiredSlots job.
+ * Returns { created, removed }.
+ */
+const syncTemplateSlots = async (templateId) => {
+  const connection = await getConnection();
+
+  try {
+    await queryConnection(connection, "START TRANSACTION");
+
+    // Locking the template serializes the request handlers and the background job
+    const templates = await queryConnection(
+      connection,
+      "SELECT * FROM availability_templates WHERE id = ? FOR UPDATE",
+      [templateId]
+    );
+    const template = templates[0];
+
+    if (!template) {
+      await queryConnection(connection, "ROLLBACK");
+      return { created: 0, removed: 0 };
+    }
+
+    const existing = await queryConnection(
+      connection,
+      `SELECT id, template_id, start_datetime, end_datetime, is_booked, consultation_id
+       FROM consultation_slots
+       WHERE doctor_id = ? AND end_datetime > NOW()
+       FOR UPDATE`,
+      [template.doctor_id]
+    );
+
+    const desired = template.is_active ? buildTemplateSlots(template) : [];
+    const desiredKeys = new Set(desired.map((slot) => `${slot.start.getTime()}-${slot.end.getTime()}`));
+
+    const existingSlots = existing.map((row) => ({
+      ...row,
+      start: new Date(row.start_datetime),
+      end: new Date(row.end_datetime),
+      key: `${new Date(row.start_datetime).getTime()}-${new Date(row.end_datetime).getTime()}`,
+    }));
+
+    const stale = existingSlots.filter(
+      (slot) =>
+        slot.template_id === template.id &&
+        !slot.is_booked &&
+        !slot.consultation_id &&
+        slot.start > new Date() &&
+        !desiredKeys.has(slot.key)
+    );
+    const staleIds = new Set(stale.map((slot) => slot.id));
+
+    await removeSlots(connection, [...staleIds]);
+
+    const kept = existingSlots.filter((slot) => !staleIds.has(slot.id));
+    const keptKeys = new Set(
+      kept.filter((slot) => slot.template_id === template.id).map((slot) => slot.key)
+    );
+
+    const toCreate = desired.filter(
+      (slot) =>
+        !keptKeys.has(`${slot.start.getTime()}-${slot.end.getTime()}`) &&
+        !kept.some((other) => overlaps(slot, other))
+    );
+
+    if (toCreate.length > 0) {
+      await queryConnection(
+        connection,
+        `INSERT INTO consultation_slots
+          (doctor_id, template_id, start_datetime, end_datetime, timezone, is_booked, consultation_id, created_at, updated_at)
+        VALUES ?`,
+        [
+          toCreate.map((slot) => [
+            template.doctor_id,
+            template.id,
+            slot.start,
+            slot.end,
+            template.timezone,
+            false,
+            null,
+            new Date(),
+            null,
+          ]),
+        ]
+      );
+    }
+
+    // Skipped slots in the past no longer matter
+    const skipped = parseJsonColumn(template.skipped_slot_starts, []).filter(
+      (start) => new Date(start) > new Date()
+    );
+
+    await queryConnection(
+      connection,
+      "UPDATE availability_templates SET skipped_slot_starts = ?, last_generated_at = NOW() WHERE id = ?",
+      [JSON.stringify(skipped), template.id]
+    );
+
+    await queryConnection(connection, "COMMIT");
+    return { created: toCreate.length, removed: stale.length };
+  } catch (error) {
+    await queryConnection(connection, "ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Take slots off the schedule on the caller's connection. Slots a consultation
+ * still points at (cancelled bookings keep their slot_id) cannot be deleted, so
+ * those are retired instead: booked with no consultation, so nobody can take them.
+ * Returns the number of slots removed either way.
+ */
+const removeSlots = async (connection, slotIds) => {
+  if (slotIds.length === 0) return 0;
+
+  await queryConnection(
+    connection,
+    `UPDATE slot_holds SET status = 'released', updated_at = NOW()
+     WHERE slot_id IN (?) AND status = 'active'`,
+    [slotIds]
+  );
+
+  const retired = await queryConnection(
+    connection,
+    `UPDATE consultation_slots s
+     SET s.is_booked = TRUE, s.consultation_id = NULL, s.updated_at = NOW()
+     WHERE s.id IN (?) AND EXISTS (SELECT 1 FROM consultations c WHERE c.slot_id = s.id)`,
+    [slotIds]
+  );
+
+  const deleted = await queryConnection(
+    connection,
+    `DELETE FROM consultation_slots
+     WHERE id IN (?)
+       AND NOT EXISTS (SELECT 1 FROM consultations c WHERE c.slot_id = consultation_slots.id)`,
+    [slotIds]
+  );
+
+  return retired.affectedRows + deleted.affectedRows;
+};
+
+/**
+ * Remember that a doctor removed or moved one generated slot by hand, so
+ * regenerating the template does not bring it back.
+ */
+const skipTemplateSlot = async (templateId, start) => {
+  await runQuery(
+    `UPDATE availability_templates
+     SET skipped_slot_starts = JSON_ARRAY_APPEND(COALESCE(skipped_slot_starts, JSON_ARRAY()), '$', ?)
+     WHERE id = ?`,
+    [new Date(start).toISOString(), templateId]
+  );
+};
+
+// Roll every active template's window forward (run periodically from server.js)
+const syncAllTemplateSlots = async () => {
+  const templates = await runQuery(
+    "SELECT id, doctor_id FROM availability_templates WHERE is_active = TRUE"
+  );
+
+  let created = 0;
+  for (const { id, doctor_id } of templates) {
+    try {
+      const generation = await syncTemplateSlots(id);
+      created += generation.created;
+      // Rolled-forward slots go to the doctor's waitlist first
+      if (generation.created > 0) {
+        await offerOpenSlotsForDoctor(doctor_id);
+      }
+    } catch (error) {
+      console.error(`[availability] failed to generate slots for template ${id}:`, error);
+    }
+  }
+  return created;
+};
+
+module.exports = {
+  DAY_NAMES,
+  normalizeTemplateInput,
+  buildTemplateSlots,
+  syncTemplateSlots,
+  syncAllTemplateSlots,
+  skipTemplateSlot,
+  removeSlots,
+};
@@ -0,0 +1,55 @@
+const CONSULTATION_STATUSES = ["pending", "confirmed", "completed", "cancelled"];
+
+// Status changes each role may make, keyed by the current status.
+// completed and cancelled are final.
+const STATUS_TRANSITIONS = {
+  patient: {
+    pending: ["cancelled"],
+    confirmed: ["cancelled"],
+  },
+  doctor: {
+    pending: ["confirmed", "cancelled"],
+    confirmed: ["completed", "cancelled"],
+  },
+};
+
+const REASON_REQUIRED = ["cancelled"];
+const MAX_REASON_LENGTH = 500;
+
+const allowedTransitions = (role, fromStatus) =>
+  STATUS_TRANSITIONS[role]?.[fromStatus] || [];
+
+const canTransition = (role, fromStatus, toStatus) =>
+  allowedTransitions(role, fromStatus).includes(toStatus);
+
+/**
+ * Append a row to consultation_status_history. Runs on the caller's
+ * connection so the entry commits or rolls back with the status change.
+ * changedBy is null for changes made by the system.
+ */
+const recordStatusChange = (
+  connection,
+  { consultationId, fromStatus = null, toStatus, changedBy = null, reason = null }
+) =>
+  new Promise((resolve, reject) => {
+    connection.query(
+      `INSERT INTO consultation_status_history
+        (consultation_id, from_status, to_status, changed_by, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [consultationId, fromStatus, toStatus, changedBy, reason],
+      (err, results) => {
+        if (err) reject(err);
+        else resolve(results);
+      }
+    );
+  });
+
+module.exports = {
+  CONSULTATION_STATUSES,
+  STATUS_TRANSITIONS,
+  REASON_REQUIRED,
+  MAX_REASON_LENGTH,
+  allowedTransitions,
+  canTransition,
+  recordStatusChange,
+};
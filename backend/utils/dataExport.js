@@ -0,0 +1,279 @@
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const db = require("../db.js");
+const { sendEmail } = require("./mailer.js");
+require("dotenv").config();
+
+const EXPORTS_DIR =
+  process.env.DATA_EXPORTS_DIR || path.join(__dirname, "..", "exports");
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 72;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Everything linked to the user, one JSON + one CSV file per dataset
+const EXPORT_DATASETS = {
+  consultations: {
+    sql: `SELECT id, patient_id, doctor_id, specialty, status, mode, slot_id, booked_by,
+        call_started_at, call_ended_at, created_at, updated_at
+      FROM consultations WHERE patient_id = ? ORDER BY created_at`,
+    params: (userId) => [userId],
+  },
+  mental_health_consultations: {
+    sql: `SELECT mhc.*
+      FROM mental_health_consultations mhc
+      JOIN consultations c ON mhc.consultation_id = c.id
+      WHERE c.patient_id = ?
+      ORDER BY mhc.created_at`,
+    params: (userId) => [userId],
+  },
+  // Only revisions the doctor signed off; drafts are not part of the record yet
+  clinical_notes: {
+    sql: `SELECT n.consultation_id, r.revision, r.subjective, r.objective, r.assessment,
+        r.plan, r.diagnosis_codes, n.signed_at
+      FROM consultation_notes n
+      JOIN consultations c ON n.consultation_id = c.id
+      JOIN consultation_note_revisions r ON r.id = n.signed_revision_id
+      WHERE c.patient_id = ?
+      ORDER BY n.signed_at`,
+    params: (userId) => [userId],
+  },
+  messages: {
+    sql: `SELECT * FROM messages
+      WHERE sender_id = ? OR receiver_id = ?
+      ORDER BY created_at`,
+    params: (userId) => [userId, userId],
+  },
+  treatment_requests: {
+    sql: "SELECT * FROM treatment_requests WHERE patient_id = ? ORDER BY created_at",
+    params: (userId) => [userId],
+  },
+  recovery_updates: {
+    sql: "SELECT * FROM recovery_updates WHERE patient_id = ? ORDER BY created_at",
+    params: (userId) => [userId],
+  },
+  medicine_requests: {
+    sql: "SELECT * FROM medicine_requests WHERE patient_id = ? ORDER BY created_at",
+    params: (userId) => [userId],
+  },
+  donations: {
+    sql: "SELECT * FROM donations WHERE donor_id = ? ORDER BY donated_at",
+    params: (userId) => [userId],
+  },
+  workshop_registrations: {
+    sql: `SELECT wr.*, w.title AS workshop_title
+      FROM workshop_registrations wr
+      LEFT JOIN workshops w ON wr.workshop_id = w.id
+      WHERE wr.user_id = ?`,
+    params: (userId) => [userId],
+  },
+  mission_registrations: {
+    sql: `SELECT mr.*, m.title AS mission_title
+      FROM mission_registrations mr
+      LEFT JOIN missions m ON mr.mission_id = m.id
+      WHERE mr.patient_id = ?`,
+    params: (userId) => [userId],
+  },
+  support_group_memberships: {
+    sql: `SELECT sgm.*, sg.title AS group_title
+      FROM support_group_members sgm
+      LEFT JOIN support_groups sg ON sgm.group_id = sg.id
+      WHERE sgm.user_id = ?`,
+    params: (userId) => [userId],
+  },
+  record_access_log: {
+    sql: `SELECT l.created_at, actor.username AS actor_username, l.actor_role,
+        l.resource_type, l.resource_id, l.action
+      FROM record_access_logs l
+      JOIN users actor ON l.actor_id = actor.id
+      WHERE l.patient_id = ? AND l.actor_id != ?
+      ORDER BY l.created_at`,
+    params: (userId) => [userId, userId],
+  },
+};
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Buffer.isBuffer(value)) text = value.toString("utf8");
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.map(toCsvValue).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => toCsvValue(row[column])).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+const writeZip = (filePath, files) =>
+  new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", () => resolve(archive.pointer()));
+    output.on("error", reject);
+    archive.on("error", reject);
+
+    archive.pipe(output);
+    files.forEach(({ name, content }) => archive.append(content, { name }));
+    archive.finalize();
+  });
+
+const collectUserData = async (userId) => {
+  const profiles = await runQuery(
+    `SELECT id, username, email, contact_phone, role, specialty, language_pref,
+      verification_status, email_verified_at, created_at, updated_at
+    FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  const datasets = {};
+  for (const [name, { sql, params }] of Object.entries(EXPORT_DATASETS)) {
+    datasets[name] = await runQuery(sql, params(userId));
+  }
+
+  return { profile: profiles[0] || null, datasets };
+};
+
+/**
+ * Build the ZIP for a pending export and email the owner when it is ready.
+ * The job is claimed with a conditional UPDATE so it is only processed once,
+ * even if the request handler and the background sweep race for it.
+ */
+const processDataExport = async (exportId) => {
+  const claim = await runQuery(
+    "UPDATE data_exports SET status = 'processing', started_at = NOW() WHERE id = ? AND status = 'pending'",
+    [exportId]
+  );
+  if (claim.affectedRows === 0) return;
+
+  const jobs = await runQuery(
+    `SELECT de.id, de.user_id, u.email, u.username
+     FROM data_exports de
+     JOIN users u ON de.user_id = u.id
+     WHERE de.id = ?`,
+    [exportId]
+  );
+  const job = jobs[0];
+
+  try {
+    const { profile, datasets } = await collectUserData(job.user_id);
+    const exportedAt = new Date().toISOString();
+
+    const files = [
+      {
+        name: "manifest.json",
+        content: JSON.stringify(
+          {
+            exported_at: exportedAt,
+            user_id: job.user_id,
+            datasets: Object.fromEntries(
+              Object.entries(datasets).map(([name, rows]) => [name, rows.length])
+            ),
+          },
+          null,
+          2
+        ),
+      },
+      { name: "profile.json", content: JSON.stringify(profile, null, 2) },
+    ];
+
+    Object.entries(datasets).forEach(([name, rows]) => {
+      files.push({ name: `json/${name}.json`, content: JSON.stringify(rows, null, 2) });
+      files.push({ name: `csv/${name}.csv`, content: toCsv(rows) });
+    });
+
+    await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+    const fileName = `healthpal-export-${job.user_id}-${job.id}.zip`;
+    const fileSize = await writeZip(path.join(EXPORTS_DIR, fileName), files);
+
+    const completed = await runQuery(
+      `UPDATE data_exports
+       SET status = 'ready', file_name = ?, file_size = ?, completed_at = NOW(),
+           expires_at = NOW() + INTERVAL ? HOUR
+       WHERE id = ? AND status = 'processing'`,
+      [fileName, fileSize, EXPORT_TTL_HOURS, job.id]
+    );
+
+    // The account was erased while the ZIP was being written
+    if (completed.affectedRows === 0) {
+      await deleteExportFiles([fileName]);
+      return;
+    }
+
+    sendEmail({
+      to: job.email,
+      subject: "[HealthPal] Your data export is ready",
+      text: `Hi ${job.username}, your HealthPal data export is ready. Download it while logged in from ${global.base_url}/data-exports/${job.id}/download within ${EXPORT_TTL_HOURS} hours.`,
+    }).catch((err) =>
+      console.error("[dataExport] email notify error:", err?.message || err)
+    );
+  } catch (error) {
+    console.error(`[dataExport] export ${exportId} failed:`, error);
+    await runQuery(
+      "UPDATE data_exports SET status = 'failed', error = ?, completed_at = NOW() WHERE id = ?",
+      [String(error.message || error).slice(0, 500), exportId]
+    );
+  }
+};
+
+// Pick up exports queued while the server was down or busy
+const processPendingExports = async () => {
+  // A job still "processing" after an hour was interrupted by a restart
+  await runQuery(
+    `UPDATE data_exports SET status = 'pending'
+     WHERE status = 'processing' AND started_at < NOW() - INTERVAL 1 HOUR`
+  );
+
+  const pending = await runQuery(
+    "SELECT id FROM data_exports WHERE status = 'pending' ORDER BY created_at LIMIT 5"
+  );
+  for (const { id } of pending) {
+    await processDataExport(id);
+  }
+};
+
+// Remove ZIP files past their download window
+const deleteExportFiles = async (fileNames) => {
+  for (const fileName of fileNames) {
+    await fs.promises.unlink(path.join(EXPORTS_DIR, fileName)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+};
+
+const expireDataExports = async () => {
+  const expired = await runQuery(
+    "SELECT id, file_name FROM data_exports WHERE status = 'ready' AND expires_at < NOW()"
+  );
+
+  for (const { id, file_name } of expired) {
+    await deleteExportFiles([file_name]);
+    await runQuery("UPDATE data_exports SET status = 'expired' WHERE id = ?", [id]);
+  }
+
+  return expired.length;
+};
+
+const getExportFilePath = (fileName) => path.join(EXPORTS_DIR, fileName);
+
+module.exports = {
+  processDataExport,
+  processPendingExports,
+  expireDataExports,
+  deleteExportFiles,
+  getExportFilePath,
+};
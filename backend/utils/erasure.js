@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const db = require("../db.js");
+const { deleteExportFiles } = require("./dataExport.js");
+const { removeSlots } = require("./availability.js");
+
+const REDACTED_TEXT = "[removed at the author's request]";
+
+const getConnection = () =>
+  new Promise((resolve, reject) => {
+    db.getConnection((err, connection) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+
+const queryConnection = (connection, sql, params = []) =>
+  new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const countRows = async (connection, sql, params) => {
+  const results = await queryConnection(connection, sql, params);
+  return results[0].count;
+};
+
+/**
+ * Erase a user's personal data without breaking foreign keys.
+ *
+ * The users row is kept but pseudonymized; free text the user authored
+ * (consultation messages, recovery updates, support group posts) is redacted;
+ * credentials, sessions and memberships are removed. Donations, consultations
+ * and treatment requests are retained for audit and now point to the
+ * pseudonymous row. Runs in a single transaction and stores the resulting
+ * report in account_erasures.
+ *
+ * Returns the report, or null if the user does not exist or is already erased.
+ */
+const eraseUser = async (userId, requestedBy = userId) => {
+  let connection;
+
+  try {
+    connection = await getConnection();
+    await queryConnection(connection, "START TRANSACTION");
+
+    const users = await queryConnection(
+      connection,
+      "SELECT id, role, erased_at FROM users WHERE id = ? FOR UPDATE",
+      [userId]
+    );
+
+    if (users.length === 0 || users[0].erased_at) {
+      await queryConnection(connection, "ROLLBACK");
+      return null;
+    }
+
+    const user = users[0];
+    const pseudonym = `deleted-user-${crypto.randomBytes(6).toString("hex")}`;
+
+    const redacted = {};
+    const deactivated = {};
+    const deleted = {};
+    const retained = {};
+
+    let result = await queryConnection(
+      connection,
+      "UPDATE messages SET message_text = ?, translated_text = NULL WHERE sender_id = ?",
+      [REDACTED_TEXT, userId]
+    );
+    redacted.messages = result.affectedRows;
+
+    result = await queryConnection(
+      connection,
+      "UPDATE recovery_updates SET content = ?, file_url = NULL WHERE patient_id = ?",
+      [REDACTED_TEXT, userId]
+    );
+    redacted.recovery_updates = result.affectedRows;
+
+    result = await queryConnection(
+      connection,
+      "UPDATE support_group_messages SET message_text = ? WHERE sender_id = ?",
+      [REDACTED_TEXT, userId]
+    );
+    redacted.support_group_messages = result.affectedRows;
+
+    // Ratings stay in the doctor's average; the written text goes
+    result = await queryConnection(
+      connection,
+      `UPDATE doctor_reviews SET review = ?
+       WHERE (patient_id = ? OR submitted_by = ?) AND review IS NOT NULL`,
+      [REDACTED_TEXT, userId, userId]
+    );
+    redacted.doctor_reviews = result.affectedRows;
+
+    result = await queryConnection(
+      connection,
+      "UPDATE support_group_members SET is_active = false WHERE user_id = ? AND is_active = true",
+      [userId]
+    );
+    deactivated.support_group_memberships = result.affectedRows;
+
+    result = await queryConnection(
+      connection,
+      `UPDATE guardianships SET status = 'revoked', revoked_at = NOW()
+       WHERE (guardian_id = ? OR dependent_id = ?) AND status IN ('pending', 'active')`,
+      [userId, userId]
+    );
+    deactivated.guardianships = result.affectedRows;
+
+    result = await queryConnection(
+      connection,
+      `UPDATE organization_members SET status = 'removed', removed_at = NOW()
+       WHERE user_id = ? AND status = 'active'`,
+      [userId]
+    );
+    deactivated.organization_memberships = result.affectedRows;
+
+    // Any slot still held for the user is passed on when the hold lapses
+    result = await queryConnection(
+      connection,
+      `UPDATE waitlist_entries SET status = 'cancelled', updated_at = NOW()
+       WHERE patient_id = ? AND status = 'waiting'`,
+      [userId]
+    );
+    deactivated.waitlist_entries = result.affectedRows;
+
+    // "Download my data" ZIPs hold a full copy of the data; their files go after the commit
+    const exportFiles = (
+      await queryConnection(
+        connection,
+        "SELECT file_name FROM data_exports WHERE user_id = ? AND file_name IS NOT NULL",
+        [userId]
+      )
+    ).map(({ file_name }) => file_name);
+    result = await queryConnection(connection, "DELETE FROM data_exports WHERE user_id = ?", [
+      userId,
+    ]);
+    deleted.data_exports = result.affectedRows;
+
+    // Unbooked future slots would otherwise keep offering the erased doctor
+    const openSlots = await queryConnection(
+      connection,
+      `SELECT id FROM consultation_slots
+       WHERE doctor_id = ? AND is_booked = false AND start_datetime > NOW()
+       FOR UPDATE`,
+      [userId]
+    );
+    deleted.open_consultation_slots = await removeSlots(
+      connection,
+      openSlots.map((slot) => slot.id)
+    );
+
+    const ownedTables = [
+      "user_sessions",
+      "password_reset_tokens",
+      "email_verification_tokens",
+      "two_factor_recovery_codes",
+      "user_permissions",
+      "phone_otps",
+      "notifications",
+      "calendar_feeds",
+    ];
+    for (const table of ownedTables) {
+      result = await queryConnection(
+        connection,
+        `DELETE FROM ${table} WHERE user_id = ?`,
+        [userId]
+      );
+      deleted[table] = result.affectedRows;
+    }
+
+    retained.donations = await countRows(
+      connection,
+      "SELECT COUNT(*) AS count FROM donations WHERE donor_id = ?",
+      [userId]
+    );
+    retained.consultations = await countRows(
+      connection,
+      "SELECT COUNT(*) AS count FROM consultations WHERE patient_id = ? OR doctor_id = ?",
+      [userId, userId]
+    );
+    retained.treatment_requests = await countRows(
+      connection,
+      "SELECT COUNT(*) AS count FROM treatment_requests WHERE patient_id = ? OR doctor_id = ?",
+      [userId, userId]
+    );
+    retained.medicine_requests = await countRows(
+      connection,
+      "SELECT COUNT(*) AS count FROM medicine_requests WHERE patient_id = ?",
+      [userId]
+    );
+
+    // Random, never-issued hash: nobody can log in as the pseudonym
+    await queryConnection(
+      connection,
+      `UPDATE users
+       SET username = ?, email = ?, contact_phone = NULL, phone_verified_at = NULL,
+           password_hash = ?, language_pref = NULL, specialty = NULL,
+           official_document_url = NULL, registration_number = NULL, website_url = NULL,
+           totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+           status_reason = NULL, erased_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [
+        pseudonym,
+        `${pseudonym}@erased.invalid`,
+        crypto.randomBytes(32).toString("hex"),
+        userId,
+      ]
+    );
+
+    const report = {
+      user_id: user.id,
+      role: user.role,
+      pseudonym,
+      erased_at: new Date().toISOString(),
+      redacted,
+      deactivated,
+      deleted,
+      retained,
+    };
+
+    await queryConnection(
+      connection,
+      `INSERT INTO account_erasures (user_id, requested_by, pseudonym, report, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [userId, requestedBy, pseudonym, JSON.stringify(report)]
+    );
+
+    await queryConnection(connection, "COMMIT");
+
+    await deleteExportFiles(exportFiles).catch((err) =>
+      console.error("[erasure] failed to delete export files:", err)
+    );
+
+    return report;
+  } catch (error) {
+    if (connection) {
+      try {
+        await queryConnection(connection, "ROLLBACK");
+      } catch (rollbackError) {
+        console.error("[erasure] rollback error:", rollbackError);
+      }
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+module.exports = { eraseUser };
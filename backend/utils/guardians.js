@@ -0,0 +1,47 @@
+const db = require("../db.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// True when guardianId holds an active, consented guardianship over dependentId
+const isActiveGuardian = async (guardianId, dependentId) => {
+  const results = await runQuery(
+    `SELECT id FROM guardianships
+     WHERE guardian_id = ? AND dependent_id = ? AND status = 'active'`,
+    [guardianId, dependentId]
+  );
+  return results.length > 0;
+};
+
+/**
+ * Attribute an action taken on a dependent's behalf to the acting guardian.
+ * Logging failures are reported but never fail the request itself.
+ */
+const recordGuardianAction = async ({
+  guardianId,
+  dependentId,
+  action,
+  resourceType,
+  resourceId = null,
+}) => {
+  try {
+    await runQuery(
+      `INSERT INTO guardian_actions
+       (guardian_id, dependent_id, action, resource_type, resource_id, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [guardianId, dependentId, action, resourceType, resourceId]
+    );
+  } catch (error) {
+    console.error("[guardians] failed to record guardian action:", error);
+  }
+};
+
+module.exports = {
+  isActiveGuardian,
+  recordGuardianAction,
+};
@@ -0,0 +1,84 @@
+// Minimal iCalendar (RFC 5545) writer for the calendar feeds
+
+const PRODUCT_ID = "-//HealthPal//Calendar Feed//EN";
+const UID_DOMAIN = "healthpal";
+
+// 20261019T070000Z
+const formatUtc = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+/**
+ * One VEVENT. `uid` must stay the same for the life of the event so that
+ * calendar apps update it in place when it is moved or cancelled;
+ * `updatedAt` drives SEQUENCE and LAST-MODIFIED.
+ */
+const buildEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  status = "CONFIRMED",
+  transparent = false,
+  updatedAt,
+}) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${status}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (transparent) lines.push("TRANSP:TRANSPARENT");
+  if (updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(updatedAt)}`);
+    lines.push(`SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+const buildCalendar = (name, events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => buildEvent(event)),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  buildCalendar,
+};
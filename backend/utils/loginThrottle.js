@@ -0,0 +1,144 @@
+const db = require("../db.js");
+const { sendEmail } = require("./mailer.js");
+
+// Failed attempts before each further attempt must wait (progressive delay)
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+// Failed attempts before the account is temporarily locked
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MINUTES = 15;
+// Failed attempts from one IP (any account) within the window
+const IP_MAX_FAILURES = 50;
+const IP_WINDOW_MINUTES = 15;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+const delayForFailures = (count) =>
+  count < DELAY_AFTER_FAILURES
+    ? 0
+    : Math.min(MAX_DELAY_SECONDS, 2 ** (count - DELAY_AFTER_FAILURES));
+
+/**
+ * Decide whether a login attempt may proceed. `user` is the row matched by
+ * the identifier (or null) and must include failed_login_attempts,
+ * last_failed_login_at and locked_until.
+ * Returns null when allowed, otherwise { status, error, retryAfter }.
+ */
+const checkLoginAllowed = async ({ user, ip }) => {
+  if (ip) {
+    const ipRows = await runQuery(
+      "SELECT locked_until FROM login_ip_attempts WHERE ip_address = ?",
+      [ip]
+    );
+    if (ipRows[0]?.locked_until && new Date(ipRows[0].locked_until) > new Date()) {
+      return {
+        status: 429,
+        error: "Too many failed login attempts from this network. Try again later",
+        retryAfter: secondsUntil(ipRows[0].locked_until),
+      };
+    }
+  }
+
+  if (!user) return null;
+
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    return {
+      status: 423,
+      error: "Account is temporarily locked due to repeated failed logins",
+      retryAfter: secondsUntil(user.locked_until),
+    };
+  }
+
+  const delay = delayForFailures(user.failed_login_attempts || 0);
+  if (delay && user.last_failed_login_at) {
+    const nextAllowed =
+      new Date(user.last_failed_login_at).getTime() + delay * 1000;
+    if (nextAllowed > Date.now()) {
+      return {
+        status: 429,
+        error: "Too many failed login attempts. Please wait before retrying",
+        retryAfter: secondsUntil(nextAllowed),
+      };
+    }
+  }
+
+  return null;
+};
+
+const notifyLockout = (user, ip) =>
+  sendEmail({
+    to: user.email,
+    subject: "[HealthPal] Your account was temporarily locked",
+    priority: "security",
+    text: `We locked your HealthPal account for ${LOCKOUT_MINUTES} minutes after ${LOCKOUT_THRESHOLD} failed login attempts${
+      ip ? ` (last from ${ip})` : ""
+    }. If this wasn't you, reset your password with "forgot password" or contact an administrator.`,
+    html: `<p>We locked your HealthPal account for <strong>${LOCKOUT_MINUTES} minutes</strong> after ${LOCKOUT_THRESHOLD} failed login attempts${
+      ip ? ` (last from ${ip})` : ""
+    }.</p><p>If this wasn't you, reset your password with "forgot password" or contact an administrator.</p>`,
+  }).catch((err) =>
+    console.error("[loginThrottle] lockout email error:", err?.message || err)
+  );
+
+// Record a failed password or 2FA attempt for the account and the IP
+const recordLoginFailure = async ({ user, ip }) => {
+  if (ip) {
+    await runQuery(
+      `INSERT INTO login_ip_attempts (ip_address, failed_count, window_started_at, locked_until)
+       VALUES (?, 1, NOW(), NULL)
+       ON DUPLICATE KEY UPDATE
+         failed_count = IF(window_started_at < NOW() - INTERVAL ? MINUTE, 1, failed_count + 1),
+         window_started_at = IF(window_started_at < NOW() - INTERVAL ? MINUTE, NOW(), window_started_at)`,
+      [ip, IP_WINDOW_MINUTES, IP_WINDOW_MINUTES]
+    );
+    await runQuery(
+      `UPDATE login_ip_attempts
+       SET locked_until = NOW() + INTERVAL ? MINUTE, failed_count = 0, window_started_at = NOW()
+       WHERE ip_address = ? AND failed_count >= ?`,
+      [IP_WINDOW_MINUTES, ip, IP_MAX_FAILURES]
+    );
+  }
+
+  if (!user) return;
+
+  await runQuery(
+    `UPDATE users
+     SET failed_login_attempts = failed_login_attempts + 1, last_failed_login_at = NOW()
+     WHERE id = ?`,
+    [user.id]
+  );
+
+  const locked = await runQuery(
+    `UPDATE users
+     SET locked_until = NOW() + INTERVAL ? MINUTE, failed_login_attempts = 0
+     WHERE id = ? AND failed_login_attempts >= ?`,
+    [LOCKOUT_MINUTES, user.id, LOCKOUT_THRESHOLD]
+  );
+
+  if (locked.affectedRows > 0 && user.email) {
+    notifyLockout(user, ip);
+  }
+};
+
+const recordLoginSuccess = ({ user }) =>
+  runQuery(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = ?`,
+    [user.id]
+  );
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
@@ -1,7 +1,14 @@
 const postmark = require("postmark");
 require("dotenv").config();
-const SEND_LIMIT_PER_DAY = 3; // per-recipient guardrail
-const dailyCounts = new Map();
+// Per-recipient daily allowance for each priority. Security mail (verification
+// and reset links, lockout notices) has its own, larger allowance so it is not
+// crowded out by normal mail but can't be used to flood an inbox. High-priority
+// mail (appointment reminders, time-bound waitlist offers) is not limited.
+const SEND_LIMITS_PER_DAY = {
+  normal: 3,
+  security: 10,
+};
+const dailyCounts = new Map(); // "<priority>:<recipient>" -> count
 
 const resetDailyCounts = () => {
   dailyCounts.clear();
@@ -33,27 +40,34 @@ const ensureInit = () => {
   return initialized;
 };
 
-const canSend = (recipient) => {
-  const count = dailyCounts.get(recipient) || 0;
-  return count < SEND_LIMIT_PER_DAY;
+const canSend = (recipient, priority) => {
+  const limit = SEND_LIMITS_PER_DAY[priority];
+  if (limit === undefined) return true;
+  return (dailyCounts.get(`${priority}:${recipient}`) || 0) < limit;
 };
 
-const bumpCount = (recipient) => {
-  const count = dailyCounts.get(recipient) || 0;
-  dailyCounts.set(recipient, count + 1);
+const bumpCount = (recipient, priority) => {
+  if (SEND_LIMITS_PER_DAY[priority] === undefined) return;
+  const key = `${priority}:${recipient}`;
+  dailyCounts.set(key, (dailyCounts.get(key) || 0) + 1);
 };
 
+// For user-supplied text interpolated into html bodies
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
 /**
  * Send an email via Postmark with simple rate limiting.
  * Falls back to log-only mode if not configured.
+ * `priority` is "normal", "security" or "high" (see SEND_LIMITS_PER_DAY).
  */
-const sendEmail = async ({ to, subject, text, html }) => {
+const sendEmail = async ({ to, subject, text, html, priority = "normal" }) => {
   if (!to) {
     console.warn("[mailer] Missing recipient email; skipping send");
     return { skipped: true, reason: "missing-recipient" };
   }
 
-  if (!canSend(to)) {
+  if (!canSend(to, priority)) {
     console.warn(`[mailer] Daily limit reached for ${to}; skipping`);
     return { skipped: true, reason: "rate-limited" };
   }
@@ -82,7 +96,7 @@ const sendEmail = async ({ to, subject, text, html }) => {
       TextBody: text,
       HtmlBody: html,
     });
-    bumpCount(to);
+    bumpCount(to, priority);
     return { sent: true };
   } catch (err) {
     const errorMsg = err?.message || err;
@@ -103,4 +117,5 @@ const sendEmail = async ({ to, subject, text, html }) => {
 
 module.exports = {
   sendEmail,
+  escapeHtml,
 };
@@ -0,0 +1,58 @@
+const db = require("../db.js");
+
+// Socket.io server, set once by server.js; notifications are stored either way
+let io = null;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const attachNotificationSocket = (socketServer) => {
+  io = socketServer;
+};
+
+// Every authenticated socket joins its user's room on connect
+const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Store an in-app notification and push it to the user's open sockets.
+ * Returns the new notification id.
+ */
+const createNotification = async ({
+  userId,
+  type,
+  title,
+  body = null,
+  resourceType = null,
+  resourceId = null,
+}) => {
+  const result = await runQuery(
+    `INSERT INTO notifications (user_id, type, title, body, resource_type, resource_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [userId, type, title, body, resourceType, resourceId]
+  );
+
+  if (io) {
+    io.to(userRoom(userId)).emit("notification:new", {
+      id: result.insertId,
+      type,
+      title,
+      body,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  return result.insertId;
+};
+
+module.exports = {
+  attachNotificationSocket,
+  userRoom,
+  createNotification,
+};
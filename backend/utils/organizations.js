@@ -0,0 +1,81 @@
+const db = require("../db.js");
+
+// What each staff role may do for its organization. These never join the
+// member's global permissions: check them with canActForSource /
+// canActForOrganization against the organization being acted for.
+const ORG_ROLE_CAPABILITIES = {
+  org_admin: [
+    "members:manage",
+    "inventory:manage",
+    "medicine_requests:fulfill",
+    "alerts:publish",
+  ],
+  pharmacist: ["inventory:manage", "medicine_requests:fulfill"],
+  doctor: [],
+};
+
+const ORG_ROLES = Object.keys(ORG_ROLE_CAPABILITIES);
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const rolesWithCapability = (capability) =>
+  ORG_ROLES.filter((role) => ORG_ROLE_CAPABILITIES[role].includes(capability));
+
+/**
+ * Account user ids of the organizations the user may act for with a capability.
+ * Inventory rows and medicine requests still reference the organization's
+ * account (source_id / assigned_source_id), so staff act through that id.
+ */
+const getActingSourceIds = async (userId, capability) => {
+  const roles = rolesWithCapability(capability);
+  if (roles.length === 0) return [];
+
+  const results = await runQuery(
+    `SELECT o.account_user_id
+     FROM organization_members m
+     JOIN organizations o ON m.organization_id = o.id
+     WHERE m.user_id = ? AND m.status = 'active' AND m.org_role IN (?)`,
+    [userId, roles]
+  );
+  return results.map((row) => row.account_user_id);
+};
+
+// The source account itself, or active staff holding the capability for it
+const canActForSource = async (user, sourceId, capability) => {
+  if (sourceId === null || sourceId === undefined) return false;
+  if (Number(sourceId) === user.id) return true;
+  return (await getActingSourceIds(user.id, capability)).includes(Number(sourceId));
+};
+
+// Same check by organization id (the organization's account counts as staff)
+const canActForOrganization = async (user, organizationId, capability) => {
+  const results = await runQuery(
+    `SELECT o.account_user_id, m.org_role
+     FROM organizations o
+     LEFT JOIN organization_members m
+       ON m.organization_id = o.id AND m.user_id = ? AND m.status = 'active'
+     WHERE o.id = ?`,
+    [user.id, organizationId]
+  );
+
+  const organization = results[0];
+  if (!organization) return false;
+  return (
+    organization.account_user_id === user.id ||
+    rolesWithCapability(capability).includes(organization.org_role)
+  );
+};
+
+module.exports = {
+  ORG_ROLES,
+  ORG_ROLE_CAPABILITIES,
+  getActingSourceIds,
+  canActForSource,
+  canActForOrganization,
+};
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const db = require("../db.js");
+const { hashToken } = require("./sessions.js");
+const { sendEmail, escapeHtml } = require("./mailer.js");
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Page the emailed link opens: the frontend's reset page if there is one,
+// otherwise the backend's own form at GET /auth/reset-password
+const resetPageUrl = () =>
+  process.env.PASSWORD_RESET_URL || `${global.base_url}/auth/reset-password`;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+/**
+ * Issue a single-use password reset token for the user and email the link.
+ * Any earlier unused tokens are invalidated first. Resolves with the
+ * mailer result.
+ */
+const sendPasswordResetEmail = async (user) => {
+  await runQuery(
+    "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  await runQuery(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+    [user.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const resetUrl = `${resetPageUrl()}?token=${resetToken}`;
+
+  return sendEmail({
+    to: user.email,
+    subject: "[HealthPal] Reset your password",
+    priority: "security",
+    text: `Hello ${user.username}, use this link to reset your password: ${resetUrl} . It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not request this, you can ignore this email.`,
+    html: `<p>Hello <strong>${escapeHtml(user.username)}</strong>,</p><p><a href="${resetUrl}">Reset your password</a></p><p>This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not request this, you can ignore this email.</p>`,
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,81 @@
+const db = require("../db.js");
+
+// Every named capability the API checks, with a short description
+const PERMISSIONS = {
+  "alerts:publish": "Publish public health alerts",
+  "guides:create": "Create health guides",
+  "guides:approve": "Approve or reject health guides and see pending ones",
+  "workshops:create": "Create workshops",
+  "workshops:approve": "Approve or reject workshops and see pending ones",
+  "missions:create": "Create medical missions",
+  "surgical_missions:create": "Create surgical missions",
+  "support_groups:create": "Create support groups",
+  "permissions:manage": "Grant or revoke permissions for individual users",
+  "users:manage": "Manage user accounts: suspend, ban, change roles, force logout",
+  "audit:read": "Query the patient-record access audit log",
+  "reviews:moderate": "Hide or restore doctor reviews and see reported ones",
+  "providers:verify": "Review provider verification requests",
+  "auth:policy": "Set which roles must use two-factor authentication",
+  "consultations:manage": "See all consultations and their history, delete consultations",
+};
+
+const PROVIDER_PERMISSIONS = [
+  "alerts:publish",
+  "guides:create",
+  "workshops:create",
+  "support_groups:create",
+];
+
+// Default capabilities per role; per-user grants/revocations live in user_permissions
+const ROLE_PERMISSIONS = {
+  patient: [],
+  donor: [],
+  doctor: [...PROVIDER_PERMISSIONS, "missions:create", "surgical_missions:create"],
+  ngo: [...PROVIDER_PERMISSIONS, "missions:create", "surgical_missions:create"],
+  hospital: [...PROVIDER_PERMISSIONS],
+  admin: Object.keys(PERMISSIONS),
+};
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Resolve a user's effective permissions: role defaults plus explicit grants,
+ * minus explicit revocations. Organization staff capabilities are not included;
+ * they only apply to their organization (see utils/organizations.js).
+ * Returns a Set of permission names.
+ */
+const getEffectivePermissions = async (user) => {
+  const effective = new Set(ROLE_PERMISSIONS[user.role] || []);
+
+  const overrides = await runQuery(
+    "SELECT permission, effect FROM user_permissions WHERE user_id = ?",
+    [user.id]
+  );
+
+  overrides.forEach(({ permission, effect }) => {
+    if (effect === "grant") effective.add(permission);
+    else effective.delete(permission);
+  });
+
+  return effective;
+};
+
+const hasPermission = async (user, permission) =>
+  (await getEffectivePermissions(user)).has(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isKnownPermission,
+  getEffectivePermissions,
+  hasPermission,
+};
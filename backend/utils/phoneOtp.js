@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const db = require("../db.js");
+const { sendSms } = require("./sms.js");
+const { hashToken } = require("./sessions.js");
+
+const OTP_TTL_MINUTES = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+// Send limits: one code per phone per minute, a few per hour per phone and per IP
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_PHONE_PER_HOUR = 5;
+const MAX_SENDS_PER_IP_PER_HOUR = 20;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Strip formatting and turn a 00 prefix into +; returns null if not a phone number
+const normalizePhone = (raw) => {
+  if (!raw) return null;
+  let phone = String(raw).replace(/[\s\-().]/g, "");
+  if (phone.startsWith("00")) phone = `+${phone.slice(2)}`;
+  return /^\+?\d{7,15}$/.test(phone) ? phone : null;
+};
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Rate-limit OTP sends. Returns null when allowed, otherwise
+ * { status, error, retryAfter } (same shape as the login throttle).
+ */
+const checkOtpSendAllowed = async ({ phone, ip }) => {
+  const phoneRows = await runQuery(
+    `SELECT COUNT(*) AS sent, MAX(created_at) AS last_sent_at,
+      MIN(created_at) AS first_sent_at
+    FROM phone_otps
+    WHERE phone = ? AND created_at > NOW() - INTERVAL 1 HOUR`,
+    [phone]
+  );
+  const { sent, last_sent_at, first_sent_at } = phoneRows[0];
+
+  if (last_sent_at) {
+    const cooldownEnds = new Date(
+      new Date(last_sent_at).getTime() + RESEND_COOLDOWN_SECONDS * 1000
+    );
+    if (cooldownEnds > new Date()) {
+      return {
+        status: 429,
+        error: "A code was just sent. Please wait before requesting another",
+        retryAfter: secondsUntil(cooldownEnds),
+      };
+    }
+  }
+
+  if (sent >= MAX_SENDS_PER_PHONE_PER_HOUR) {
+    return {
+      status: 429,
+      error: "Too many codes requested for this phone number. Try again later",
+      retryAfter: secondsUntil(new Date(new Date(first_sent_at).getTime() + 60 * 60 * 1000)),
+    };
+  }
+
+  if (ip) {
+    const ipRows = await runQuery(
+      `SELECT COUNT(*) AS sent FROM phone_otps
+       WHERE ip_address = ? AND created_at > NOW() - INTERVAL 1 HOUR`,
+      [ip]
+    );
+    if (ipRows[0].sent >= MAX_SENDS_PER_IP_PER_HOUR) {
+      return {
+        status: 429,
+        error: "Too many codes requested from this network. Try again later",
+        retryAfter: 60 * 60,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate a one-time code for (user, purpose), replacing any earlier
+ * unused code, and text it to the phone. Only the hash is stored.
+ */
+const issueOtp = async ({ userId, phone, purpose, ip }) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  await runQuery(
+    `UPDATE phone_otps SET consumed_at = NOW()
+     WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await runQuery(
+    `INSERT INTO phone_otps (user_id, phone, purpose, code_hash, ip_address, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? MINUTE, NOW())`,
+    [userId, phone, purpose, hashToken(code), ip || null, OTP_TTL_MINUTES]
+  );
+
+  return sendSms({
+    to: phone,
+    body: `Your HealthPal code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it.`,
+  });
+};
+
+/**
+ * Check a code against the user's latest unused, unexpired code for the
+ * purpose. Each code allows MAX_VERIFY_ATTEMPTS guesses and is single-use.
+ */
+const verifyOtp = async ({ userId, phone, purpose, code }) => {
+  if (!/^\d{6}$/.test(String(code || ""))) return false;
+
+  const rows = await runQuery(
+    `SELECT id, code_hash, attempts FROM phone_otps
+     WHERE user_id = ? AND phone = ? AND purpose = ?
+       AND consumed_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId, phone, purpose]
+  );
+
+  const otp = rows[0];
+  if (!otp) return false;
+
+  // Claim a guess before comparing, so parallel guesses can't exceed the limit
+  const claimed = await runQuery(
+    "UPDATE phone_otps SET attempts = attempts + 1 WHERE id = ? AND attempts < ?",
+    [otp.id, MAX_VERIFY_ATTEMPTS]
+  );
+  if (claimed.affectedRows === 0) return false;
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(otp.code_hash),
+    Buffer.from(hashToken(String(code)))
+  );
+  if (!matches) return false;
+
+  // Conditional update so a code cannot be redeemed twice concurrently
+  const result = await runQuery(
+    "UPDATE phone_otps SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL",
+    [otp.id]
+  );
+  return result.affectedRows === 1;
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  normalizePhone,
+  checkOtpSendAllowed,
+  issueOtp,
+  verifyOtp,
+};
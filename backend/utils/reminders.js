@@ -0,0 +1,169 @@
+const db = require("../db.js");
+const { sendEmail, escapeHtml } = require("./mailer.js");
+const { createNotification } = require("./notifications.js");
+const { formatForDisplay } = require("./timezones.js");
+require("dotenv").config();
+
+// Minutes before an event to remind, e.g. "1440,60" for 24 hours and 1 hour
+const REMINDER_OFFSETS_MINUTES = [
+  ...new Set(
+    (process.env.REMINDER_OFFSETS_MINUTES || "1440,60")
+      .split(",")
+      .map((value) => parseInt(value, 10))
+      .filter((value) => value > 0)
+  ),
+].sort((a, b) => b - a);
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+/**
+ * One row per person to remind: event_id, user_id, starts_at, label and,
+ * for dependents without an inbox, proxy_user_id (the guardian who booked).
+ * Every SELECT in a query takes the window bounds (after, until) once.
+ */
+const REMINDER_SOURCES = {
+  consultation: `
+    SELECT c.id AS event_id, c.patient_id AS user_id, c.booked_by AS proxy_user_id,
+      s.start_datetime AS starts_at, CONCAT('Consultation with Dr. ', d.username) AS label
+    FROM consultations c
+    JOIN consultation_slots s ON c.slot_id = s.id
+    JOIN users d ON c.doctor_id = d.id
+    WHERE c.status = 'confirmed' AND s.start_datetime > ? AND s.start_datetime <= ?
+    UNION ALL
+    SELECT c.id, c.doctor_id, NULL, s.start_datetime, CONCAT('Consultation with ', p.username)
+    FROM consultations c
+    JOIN consultation_slots s ON c.slot_id = s.id
+    JOIN users p ON c.patient_id = p.id
+    WHERE c.status = 'confirmed' AND s.start_datetime > ? AND s.start_datetime <= ?`,
+  workshop: `
+    SELECT w.id AS event_id, r.user_id, NULL AS proxy_user_id, w.date AS starts_at,
+      CONCAT('Workshop: ', w.title) AS label
+    FROM workshop_registrations r
+    JOIN workshops w ON r.workshop_id = w.id
+    WHERE w.approved = TRUE AND w.date > ? AND w.date <= ?`,
+  mission: `
+    SELECT m.id AS event_id, r.patient_id AS user_id, NULL AS proxy_user_id,
+      m.start_datetime AS starts_at, CONCAT('Medical mission: ', m.title) AS label
+    FROM mission_registrations r
+    JOIN missions m ON r.mission_id = m.id
+    WHERE m.status = 'upcoming' AND m.start_datetime > ? AND m.start_datetime <= ?`,
+};
+
+// "24 hours", "1 hour", "2 days", "30 minutes"
+const describeOffset = (minutes) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+  if (minutes % 1440 === 0 && minutes > 1440) return plural(minutes / 1440, "day");
+  if (minutes % 60 === 0) return plural(minutes / 60, "hour");
+  return plural(minutes, "minute");
+};
+
+const getRecipient = async (userId) => {
+  const results = await runQuery(
+    "SELECT id, username, email, timezone FROM users WHERE id = ? AND erased_at IS NULL",
+    [userId]
+  );
+  return results[0] || null;
+};
+
+/**
+ * Claim, then deliver one reminder. The unique key on reminder_deliveries
+ * (event, user, offset, start time) makes the claim the guard against
+ * double sends across restarts; a moved event is reminded again.
+ */
+const deliverReminder = async (eventType, row, offsetMinutes) => {
+  const claim = await runQuery(
+    `INSERT IGNORE INTO reminder_deliveries
+      (event_type, event_id, user_id, offset_minutes, starts_at, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [eventType, row.event_id, row.user_id, offsetMinutes, row.starts_at]
+  );
+  if (claim.affectedRows === 0) return false;
+
+  let recipient = await getRecipient(row.user_id);
+  if (!recipient) return false;
+  if (!recipient.email && row.proxy_user_id && row.proxy_user_id !== row.user_id) {
+    recipient = (await getRecipient(row.proxy_user_id)) || recipient;
+  }
+
+  const when = formatForDisplay(row.starts_at, recipient.timezone);
+  const inTime = describeOffset(offsetMinutes);
+  const title = `Reminder: ${row.label} in ${inTime}`;
+  const body = `${row.label} starts on ${when}.`;
+
+  let emailStatus = "skipped";
+  if (recipient.email) {
+    const result = await sendEmail({
+      to: recipient.email,
+      subject: `[HealthPal] ${title}`,
+      text: `Hello ${recipient.username}, ${body} If you cannot make it, please cancel or reschedule so the time can go to someone else.`,
+      html: `<p>Hello <strong>${escapeHtml(recipient.username)}</strong>,</p><p><strong>${escapeHtml(row.label)}</strong> starts on <strong>${when}</strong>.</p><p>If you cannot make it, please cancel or reschedule so the time can go to someone else.</p>`,
+      priority: "high",
+    });
+    if (result.sent) emailStatus = "sent";
+    else if (result.logged) emailStatus = "logged";
+    else if (result.error) emailStatus = "failed";
+  }
+
+  await createNotification({
+    userId: recipient.id,
+    type: "reminder",
+    title,
+    body,
+    resourceType: eventType,
+    resourceId: row.event_id,
+  });
+
+  await runQuery(
+    `UPDATE reminder_deliveries SET delivered_to = ?, email_status = ?
+     WHERE event_type = ? AND event_id = ? AND user_id = ? AND offset_minutes = ? AND starts_at = ?`,
+    [recipient.id, emailStatus, eventType, row.event_id, row.user_id, offsetMinutes, row.starts_at]
+  );
+  return true;
+};
+
+/**
+ * Send every reminder that is due (run periodically from server.js).
+ * An offset is due once the event is that close, but only until the next
+ * smaller offset takes over, so a late start never sends a stale
+ * "in 24 hours" next to the "in 1 hour" one. Returns the number sent.
+ */
+const sendDueReminders = async () => {
+  const now = Date.now();
+  let sent = 0;
+
+  for (const [index, offsetMinutes] of REMINDER_OFFSETS_MINUTES.entries()) {
+    const nextOffset = REMINDER_OFFSETS_MINUTES[index + 1] || 0;
+    const windowStart = new Date(now + nextOffset * 60 * 1000);
+    const windowEnd = new Date(now + offsetMinutes * 60 * 1000);
+
+    for (const [eventType, sql] of Object.entries(REMINDER_SOURCES)) {
+      const selects = (sql.match(/\?/g) || []).length / 2;
+      const params = Array.from({ length: selects }).flatMap(() => [windowStart, windowEnd]);
+      const rows = await runQuery(sql, params);
+
+      for (const row of rows) {
+        try {
+          if (await deliverReminder(eventType, row, offsetMinutes)) sent += 1;
+        } catch (error) {
+          console.error(
+            `[reminders] failed to remind user ${row.user_id} of ${eventType} ${row.event_id}:`,
+            error
+          );
+        }
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  REMINDER_OFFSETS_MINUTES,
+  sendDueReminders,
+};
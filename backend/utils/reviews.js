@@ -0,0 +1,59 @@
+const db = require("../db.js");
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Per-doctor aggregate over published reviews, for joining into doctor listings
+const RATINGS_SUBQUERY = `
+  SELECT doctor_id, ROUND(AVG(rating), 2) AS rating_average, COUNT(*) AS review_count
+  FROM doctor_reviews
+  WHERE status = 'published'
+  GROUP BY doctor_id`;
+
+// Average, count and 1-5 star distribution of a doctor's published reviews
+const getDoctorRatingSummary = async (doctorId) => {
+  const rows = await runQuery(
+    `SELECT rating, COUNT(*) AS count
+     FROM doctor_reviews
+     WHERE doctor_id = ? AND status = 'published'
+     GROUP BY rating`,
+    [doctorId]
+  );
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let sum = 0;
+  rows.forEach(({ rating, count }) => {
+    distribution[rating] = count;
+    total += count;
+    sum += rating * count;
+  });
+
+  return {
+    average: total > 0 ? Math.round((sum / total) * 100) / 100 : null,
+    count: total,
+    distribution,
+  };
+};
+
+// Anonymous reviews never reveal who wrote them outside moderation
+const toPublicReview = (review) => ({
+  id: review.id,
+  doctor_id: review.doctor_id,
+  rating: review.rating,
+  review: review.review,
+  is_anonymous: Boolean(review.is_anonymous),
+  patient_username: review.is_anonymous ? null : review.patient_username,
+  created_at: review.created_at,
+});
+
+module.exports = {
+  RATINGS_SUBQUERY,
+  getDoctorRatingSummary,
+  toPublicReview,
+};
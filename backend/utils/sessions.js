@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../db.js");
+require("dotenv").config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens look like "<session_id>.<secret>" so the session row can be
+// found by primary key; only the hash of the secret is stored.
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  const id = parseInt(sessionId, 10);
+  if (Number.isNaN(id) || !secret) return null;
+  return { sessionId: id, secret };
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET || "your-secret-key",
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Short-lived tokens for half-finished logins (e.g. awaiting a 2FA code).
+// Signed with a separate secret so they are never accepted as access tokens.
+const CHALLENGE_SECRET = `${process.env.JWT_SECRET || "your-secret-key"}:challenge`;
+
+const signChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user.id, role: user.role, purpose }, CHALLENGE_SECRET, {
+    expiresIn: "5m",
+  });
+
+// Returns the payload, or null if the token is invalid or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, CHALLENGE_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const getClientInfo = (req) => ({
+  device_name: (req.body && req.body.device_name) || null,
+  user_agent: req.headers["user-agent"] || null,
+  ip_address: req.ip || null,
+});
+
+/**
+ * Create a new device session for the user and issue an access token
+ * plus a refresh token bound to that session.
+ */
+const createSession = async (user, req) => {
+  const { device_name, user_agent, ip_address } = getClientInfo(req);
+
+  const result = await runQuery(
+    `INSERT INTO user_sessions
+      (user_id, refresh_token_hash, device_name, user_agent, ip_address, created_at, last_used_at, expires_at)
+     VALUES (?, '', ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [user.id, device_name, user_agent, ip_address, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const sessionId = result.insertId;
+  const refresh = buildRefreshToken(sessionId);
+
+  await runQuery("UPDATE user_sessions SET refresh_token_hash = ? WHERE id = ?", [
+    refresh.hash,
+    sessionId,
+  ]);
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refresh.token,
+    token_expires_in: ACCESS_TOKEN_TTL,
+    session_id: sessionId,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented
+ * refresh token is invalidated; presenting a stale one revokes the session,
+ * since that means the token was copied.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    const error = new Error("Invalid refresh token");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const sessions = await runQuery(
+    `SELECT s.*, u.email, u.role, u.account_status, u.suspended_until
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = ?`,
+    [parsed.sessionId]
+  );
+
+  const session = sessions[0];
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    const error = new Error("Session expired or revoked");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const blockReason = getAccountBlockReason(session);
+  if (blockReason) {
+    const error = new Error(blockReason);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const reuseDetected = async () => {
+    await revokeSession(session.id);
+    const error = new Error("Refresh token reuse detected; session revoked");
+    error.statusCode = 401;
+    return error;
+  };
+
+  const presentedHash = hashToken(parsed.secret);
+  if (session.refresh_token_hash !== presentedHash) {
+    throw await reuseDetected();
+  }
+
+  // The swap only succeeds for the request that still holds the current hash;
+  // a concurrent refresh with the same token loses and is treated as reuse
+  const refresh = buildRefreshToken(session.id);
+  const result = await runQuery(
+    `UPDATE user_sessions
+     SET refresh_token_hash = ?, last_used_at = NOW(), ip_address = ?, user_agent = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      refresh.hash,
+      req.ip || session.ip_address,
+      req.headers["user-agent"] || session.user_agent,
+      session.id,
+      presentedHash,
+    ]
+  );
+
+  if (result.affectedRows === 0) {
+    throw await reuseDetected();
+  }
+
+  const user = { id: session.user_id, email: session.email, role: session.role };
+
+  return {
+    token: signAccessToken(user, session.id),
+    refresh_token: refresh.token,
+    token_expires_in: ACCESS_TOKEN_TTL,
+    session_id: session.id,
+  };
+};
+
+const revokeSession = (sessionId) =>
+  runQuery(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+
+const revokeUserSessions = (userId, exceptSessionId = null) =>
+  runQuery(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [userId, exceptSessionId || 0]
+  );
+
+// Returns a reason string when a suspended or banned account must be refused
+const getAccountBlockReason = (account) => {
+  if (account.erased_at) {
+    return "Account has been deleted";
+  }
+  if (account.account_status === "banned") {
+    return "Account has been banned";
+  }
+  if (
+    account.account_status === "suspended" &&
+    (!account.suspended_until || new Date(account.suspended_until) > new Date())
+  ) {
+    return "Account is suspended";
+  }
+  return null;
+};
+
+/**
+ * Check a verified access-token payload against the database: the account
+ * must exist and not be erased, suspended or banned, and a session-bound token's
+ * session must still be live. Returns a reason string, or null if allowed.
+ */
+const getTokenRejection = async (tokenUser) => {
+  const results = await runQuery(
+    `SELECT u.account_status, u.suspended_until, u.erased_at, s.id AS session_id
+     FROM users u
+     LEFT JOIN user_sessions s
+       ON s.id = ? AND s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+     WHERE u.id = ?`,
+    [tokenUser.sid || 0, tokenUser.id]
+  );
+
+  const account = results[0];
+  if (!account) return "User not found";
+  if (tokenUser.sid && !account.session_id) return "Session has been revoked";
+  return getAccountBlockReason(account);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  getAccountBlockReason,
+  getTokenRejection,
+  hashToken,
+  signChallengeToken,
+  verifyChallengeToken,
+};
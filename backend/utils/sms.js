@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * SMS transports share one interface: an object with
+ *   async send({ to, body }) -> { sent: true, id? } | { logged: true }
+ * Pick one with SMS_TRANSPORT; a real provider (Twilio, Vonage, a local
+ * gateway, ...) plugs in through registerSmsTransport(name, transport).
+ * The log and file transports write message bodies (OTP codes included)
+ * in the clear, so they are refused when NODE_ENV=production.
+ */
+const transports = {
+  // Development default, like the mailer's log-only mode
+  log: {
+    send: async ({ to, body }) => {
+      console.info(`[sms][log-only] to=${to} body="${body}"`);
+      return { logged: true };
+    },
+  },
+
+  // Appends one JSON line per message; handy for local testing of OTP flows
+  file: {
+    send: async ({ to, body }) => {
+      const file =
+        process.env.SMS_LOG_FILE || path.join(__dirname, "..", "logs", "sms.log");
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(
+        file,
+        `${JSON.stringify({ to, body, sent_at: new Date().toISOString() })}\n`
+      );
+      return { logged: true };
+    },
+  },
+};
+
+const DEV_ONLY_TRANSPORTS = ["log", "file"];
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+const registerSmsTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`SMS transport "${name}" must implement send({ to, body })`);
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.SMS_TRANSPORT || "log";
+  if (isProduction() && DEV_ONLY_TRANSPORTS.includes(name)) {
+    throw new Error(
+      `SMS_TRANSPORT "${name}" is for development only; register a provider transport`
+    );
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    if (isProduction()) {
+      throw new Error(`Unknown SMS_TRANSPORT "${name}"`);
+    }
+    console.warn(`[sms] Unknown SMS_TRANSPORT "${name}"; falling back to log-only`);
+    return transports.log;
+  }
+  return transport;
+};
+
+if (isProduction() && DEV_ONLY_TRANSPORTS.includes(process.env.SMS_TRANSPORT || "log")) {
+  console.warn(
+    "[sms] No production SMS transport configured; phone verification and OTP login codes will not be sent"
+  );
+}
+
+/**
+ * Send a text message through the configured transport.
+ * Never throws: failures are reported in the result like sendEmail.
+ */
+const sendSms = async ({ to, body }) => {
+  if (!to) {
+    console.warn("[sms] Missing recipient phone; skipping send");
+    return { skipped: true, reason: "missing-recipient" };
+  }
+
+  try {
+    return await getTransport().send({ to, body });
+  } catch (err) {
+    console.error("[sms] transport error:", err?.message || err);
+    return { error: true, message: err?.message || String(err) };
+  }
+};
+
+module.exports = {
+  sendSms,
+  registerSmsTransport,
+};
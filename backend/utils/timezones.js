@@ -0,0 +1,198 @@
+const db = require("../db.js");
+require("dotenv").config();
+
+// Zone for events and users that never set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+
+const OFFSET_SUFFIX = /(Z|[+-]\d{2}:?\d{2})$/i;
+const NAIVE_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = Number(value);
+    });
+  return parts;
+};
+
+// Minutes the zone is ahead of UTC at that instant (e.g. 120 for UTC+2)
+const getOffsetMinutes = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant at which the wall clock in timeZone shows the given time.
+ * Times skipped by a DST jump resolve to the later offset.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+  const actualOffset = getOffsetMinutes(new Date(result), timeZone);
+  if (actualOffset !== offset) {
+    result = guess - actualOffset * 60000;
+  }
+  return new Date(result);
+};
+
+// Date parsing rolls impossible values over (Feb 31 -> Mar 3); round-trip the
+// parts so such values are rejected instead
+const parseNaiveParts = (text) => {
+  const match = NAIVE_DATETIME.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((part, i) =>
+    i === 0 || part === undefined ? part : Number(part)
+  );
+  const probe = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  const roundTrips =
+    probe.getUTCFullYear() === year &&
+    probe.getUTCMonth() === month - 1 &&
+    probe.getUTCDate() === day &&
+    probe.getUTCHours() === hour &&
+    probe.getUTCMinutes() === minute &&
+    probe.getUTCSeconds() === second;
+
+  return roundTrips ? { year, month, day, hour, minute, second } : null;
+};
+
+/**
+ * Parse an API date-time. ISO-8601 values with an offset ("Z", "+03:00")
+ * are taken as-is; values without one are wall-clock times in timeZone.
+ * Returns a Date, or null when the value is not a valid date-time.
+ */
+const parseDateTimeInput = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  if (OFFSET_SUFFIX.test(text)) {
+    if (!parseNaiveParts(text.replace(OFFSET_SUFFIX, ""))) return null;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const parts = parseNaiveParts(text);
+  if (!parts) return null;
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+
+  return zonedTimeToUtc(parts, zone);
+};
+
+// DATETIME columns hold UTC (see db.js)
+const toUtcDatetime = (date) => date.toISOString().slice(0, 19).replace("T", " ");
+
+// "2026-10-19T14:00:00+03:00"
+const formatIsoInTimeZone = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const p = getZonedParts(date, zone);
+  const offset = getOffsetMinutes(date, zone);
+  const pad = (n) => String(Math.abs(n)).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`
+  );
+};
+
+// Human-readable local time for emails, e.g. "Mon, 19 Oct 2026, 14:00 (Asia/Gaza)"
+const formatForDisplay = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === null || value === undefined) return "";
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const text = new Intl.DateTimeFormat("en-GB", {
+    timeZone: zone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(new Date(value));
+  return `${text} (${zone})`;
+};
+
+/**
+ * Add `<field>_local` ISO strings with offsets next to UTC date fields.
+ * The event's own zone is used unless the caller asked for another one.
+ */
+const withLocalTimes = (row, fields, timeZone) => {
+  if (!row) return row;
+  const zone = isValidTimeZone(timeZone) ? timeZone : row.timezone || DEFAULT_TIMEZONE;
+  const localized = { ...row };
+  fields.forEach((field) => {
+    if (row[field] !== undefined) {
+      localized[`${field}_local`] = formatIsoInTimeZone(row[field], zone);
+    }
+  });
+  return localized;
+};
+
+// Preferred zone of a user, falling back to the platform default
+const getUserTimeZone = async (userId) => {
+  const results = await new Promise((resolve, reject) => {
+    db.query("SELECT timezone FROM users WHERE id = ?", [userId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+  const timeZone = results[0]?.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Zone for a new event: an explicit `timezone` from the request, else the
+ * creator's. Returns { timeZone } or { error }.
+ */
+const resolveEventTimeZone = async (requested, userId) => {
+  if (requested !== undefined && requested !== null && requested !== "") {
+    if (!isValidTimeZone(requested)) {
+      return { error: "timezone must be an IANA time zone such as Asia/Gaza" };
+    }
+    return { timeZone: requested };
+  }
+  return { timeZone: await getUserTimeZone(userId) };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTimeInput,
+  toUtcDatetime,
+  formatIsoInTimeZone,
+  formatForDisplay,
+  withLocalTimes,
+  getUserTimeZone,
+  resolveEventTimeZone,
+};
@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const db = require("../db.js");
+const { hashToken } = require("./sessions.js");
+
+const TWO_FACTOR_ROLES = ["doctor", "hospital", "admin"];
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || "HealthPal";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) value for a given counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a TOTP code (RFC 6238) allowing one step of clock drift.
+ * Returns the matched time step, or null when the code is wrong.
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ""))) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -window; drift <= window; drift += 1) {
+    const expected = Buffer.from(hotp(secret, currentStep + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+    ISSUER
+  )}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+// Replace the user's recovery codes; plaintext codes are returned once
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await runQuery("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+    userId,
+  ]);
+  await runQuery(
+    "INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at) VALUES ?",
+    [codes.map((code) => [userId, hashToken(code), new Date()])]
+  );
+
+  return codes;
+};
+
+/**
+ * Verify a second factor for a user with 2FA enabled: either a TOTP `code`
+ * or a one-time `recovery_code`. Accepted TOTP steps and recovery codes are
+ * burned so they cannot be replayed.
+ */
+const verifySecondFactor = async (userId, { code, recovery_code }) => {
+  const users = await runQuery(
+    "SELECT totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?",
+    [userId]
+  );
+  const user = users[0];
+  if (!user || !user.totp_secret) return false;
+
+  if (code) {
+    const step = verifyTotp(user.totp_secret, code);
+    if (step === null) return false;
+
+    // Compare-and-set, so two requests racing with the same code can't both pass
+    const result = await runQuery(
+      `UPDATE users SET totp_last_step = ?
+       WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows === 1;
+  }
+
+  if (recovery_code && user.totp_enabled_at) {
+    const result = await runQuery(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashToken(String(recovery_code).trim().toLowerCase())]
+    );
+    return result.affectedRows > 0;
+  }
+
+  return false;
+};
+
+const isTwoFactorRequiredForRole = async (role) => {
+  const results = await runQuery(
+    "SELECT required FROM two_factor_role_policies WHERE role = ?",
+    [role]
+  );
+  return results.length > 0 && Boolean(results[0].required);
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequiredForRole,
+};
@@ -0,0 +1,283 @@
+const db = require("../db.js");
+const { sendEmail } = require("./mailer.js");
+const { formatForDisplay } = require("./timezones.js");
+require("dotenv").config();
+
+// How long a waitlisted patient has to book the slot offered to them
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+// Entries that let this many offers lapse drop off the waitlist
+const MAX_MISSED_OFFERS = 3;
+
+const runQuery = (sql, params = []) =>
+  new Promise((resolve, reject) => {
+    db.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+const getConnection = () =>
+  new Promise((resolve, reject) => {
+    db.getConnection((err, connection) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+
+const queryConnection = (connection, sql, params = []) =>
+  new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, results) => {
+      if (err) reject(err);
+      else resolve(results);
+    });
+  });
+
+// Unexpired hold on a slot, locked on the caller's transaction
+const getActiveHold = async (connection, slotId) => {
+  const holds = await queryConnection(
+    connection,
+    `SELECT * FROM slot_holds
+     WHERE slot_id = ? AND status = 'active' AND expires_at > NOW()
+     FOR UPDATE`,
+    [slotId]
+  );
+  return holds[0] || null;
+};
+
+// Booking a held slot claims the hold and takes the entry off the waitlist
+const markHoldClaimed = async (connection, hold, consultationId) => {
+  await queryConnection(
+    connection,
+    `UPDATE slot_holds SET status = 'claimed', consultation_id = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [consultationId, hold.id]
+  );
+  await queryConnection(
+    connection,
+    "UPDATE waitlist_entries SET status = 'booked', updated_at = NOW() WHERE id = ?",
+    [hold.waitlist_entry_id]
+  );
+};
+
+const notifyOffer = async (hold, slot) => {
+  const patients = await runQuery(
+    "SELECT id, username, email, timezone FROM users WHERE id = ?",
+    [hold.patient_id]
+  );
+  const doctors = await runQuery(
+    "SELECT username FROM users WHERE id = ?",
+    [slot.doctor_id]
+  );
+  const patient = patients[0];
+
+  // Dependents without their own email are reached through whoever joined for them
+  let recipient = patient;
+  if (!patient?.email && hold.requested_by) {
+    const requesters = await runQuery(
+      "SELECT id, username, email, timezone FROM users WHERE id = ?",
+      [hold.requested_by]
+    );
+    recipient = requesters[0];
+  }
+  if (!recipient?.email) return;
+
+  const doctorName = doctors[0]?.username || slot.doctor_id;
+  const when = formatForDisplay(slot.start_datetime, recipient.timezone);
+  const until = formatForDisplay(hold.expires_at, recipient.timezone);
+
+  await sendEmail({
+    to: recipient.email,
+    subject: "[HealthPal] A consultation slot opened up",
+    priority: "high",
+    text: `A slot with Dr. ${doctorName} on ${when} is being held for ${patient?.username || "you"} until ${until}. Book slot #${slot.id} before then or it moves to the next patient on the waitlist.`,
+    html: `<p>A slot with Dr. <strong>${doctorName}</strong> on <strong>${when}</strong> is being held for ${patient?.username || "you"} until <strong>${until}</strong>.</p><p>Book slot <strong>#${slot.id}</strong> before then or it moves to the next patient on the waitlist.</p>`,
+  });
+};
+
+/**
+ * Hold a free future slot for the longest-waiting matching patient: entries
+ * for the slot's doctor, or for the doctor's specialty when no doctor was
+ * chosen. Entries holding another slot right now, or that already had a
+ * hold on this one, are skipped.
+ * Returns the new hold, or null when the slot is taken, held, past, or
+ * nobody is waiting.
+ */
+const offerSlotToWaitlist = async (slotId) => {
+  const connection = await getConnection();
+  let hold = null;
+  let slot = null;
+
+  try {
+    await queryConnection(connection, "START TRANSACTION");
+
+    const slots = await queryConnection(
+      connection,
+      `SELECT s.id, s.doctor_id, s.start_datetime, s.is_booked, s.consultation_id, u.specialty
+       FROM consultation_slots s
+       JOIN users u ON s.doctor_id = u.id
+       WHERE s.id = ? AND s.start_datetime > NOW()
+       FOR UPDATE`,
+      [slotId]
+    );
+    slot = slots[0];
+
+    const taken = !slot || slot.is_booked || slot.consultation_id;
+    if (taken || (await getActiveHold(connection, slotId))) {
+      await queryConnection(connection, "ROLLBACK");
+      return null;
+    }
+
+    const entries = await queryConnection(
+      connection,
+      `SELECT w.* FROM waitlist_entries w
+       WHERE w.status = 'waiting'
+         AND (w.doctor_id = ? OR (w.doctor_id IS NULL AND w.specialty = ?))
+         AND NOT EXISTS (
+           SELECT 1 FROM slot_holds h
+           WHERE h.waitlist_entry_id = w.id
+             AND (h.slot_id = ? OR (h.status = 'active' AND h.expires_at > NOW()))
+         )
+       ORDER BY w.created_at ASC, w.id ASC
+       LIMIT 1
+       FOR UPDATE`,
+      [slot.doctor_id, slot.specialty, slotId]
+    );
+    const entry = entries[0];
+
+    if (!entry) {
+      await queryConnection(connection, "ROLLBACK");
+      return null;
+    }
+
+    // Never hold a slot past its own start
+    const expiresAt = new Date(
+      Math.min(
+        Date.now() + HOLD_MINUTES * 60 * 1000,
+        new Date(slot.start_datetime).getTime()
+      )
+    );
+
+    const result = await queryConnection(
+      connection,
+      `INSERT INTO slot_holds (slot_id, waitlist_entry_id, patient_id, status, expires_at, created_at)
+       VALUES (?, ?, ?, 'active', ?, NOW())`,
+      [slotId, entry.id, entry.patient_id, expiresAt]
+    );
+    await queryConnection(connection, "COMMIT");
+
+    hold = {
+      id: result.insertId,
+      slot_id: slotId,
+      waitlist_entry_id: entry.id,
+      patient_id: entry.patient_id,
+      requested_by: entry.requested_by,
+      expires_at: expiresAt,
+    };
+  } catch (error) {
+    await queryConnection(connection, "ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  notifyOffer(hold, slot).catch((err) =>
+    console.error("[waitlist] offer email error:", err?.message || err)
+  );
+  return hold;
+};
+
+// Offer every free, unheld future slot of a doctor to its waitlist (new slots, template runs)
+const offerOpenSlotsForDoctor = async (doctorId) => {
+  const waiting = await runQuery(
+    `SELECT COUNT(*) AS count FROM waitlist_entries w
+     WHERE w.status = 'waiting'
+       AND (w.doctor_id = ?
+         OR (w.doctor_id IS NULL AND w.specialty = (SELECT specialty FROM users WHERE id = ?)))`,
+    [doctorId, doctorId]
+  );
+  if (waiting[0].count === 0) return 0;
+
+  const slots = await runQuery(
+    `SELECT s.id FROM consultation_slots s
+     WHERE s.doctor_id = ? AND s.is_booked = FALSE AND s.consultation_id IS NULL
+       AND s.start_datetime > NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM slot_holds h
+         WHERE h.slot_id = s.id AND h.status = 'active' AND h.expires_at > NOW()
+       )
+     ORDER BY s.start_datetime ASC`,
+    [doctorId]
+  );
+
+  let offered = 0;
+  for (const { id } of slots) {
+    if (await offerSlotToWaitlist(id)) offered += 1;
+  }
+  return offered;
+};
+
+// Fire-and-forget wrapper for request handlers
+const offerSlotsInBackground = (offer) => {
+  offer().catch((err) =>
+    console.error("[waitlist] failed to offer slot:", err?.message || err)
+  );
+};
+
+// Give up a hold (declined, or the patient left the waitlist) and pass the slot on
+const releaseHold = async (hold, holdStatus = "released") => {
+  const result = await runQuery(
+    `UPDATE slot_holds SET status = ?, updated_at = NOW()
+     WHERE id = ? AND status = 'active' AND expires_at > NOW()`,
+    [holdStatus, hold.id]
+  );
+  if (result.affectedRows === 0) return false;
+
+  offerSlotsInBackground(() => offerSlotToWaitlist(hold.slot_id));
+  return true;
+};
+
+/**
+ * Lapse holds nobody claimed in time and move each slot on to the next
+ * patient (run periodically from server.js). Returns the number expired.
+ */
+const expireSlotHolds = async () => {
+  const expired = await runQuery(
+    "SELECT * FROM slot_holds WHERE status = 'active' AND expires_at <= NOW()"
+  );
+
+  for (const hold of expired) {
+    const result = await runQuery(
+      "UPDATE slot_holds SET status = 'expired', updated_at = NOW() WHERE id = ? AND status = 'active'",
+      [hold.id]
+    );
+    if (result.affectedRows === 0) continue;
+
+    await runQuery(
+      `UPDATE waitlist_entries
+       SET missed_offers = missed_offers + 1,
+           status = IF(missed_offers >= ?, 'expired', status),
+           updated_at = NOW()
+       WHERE id = ? AND status = 'waiting'`,
+      [MAX_MISSED_OFFERS, hold.waitlist_entry_id]
+    );
+
+    try {
+      await offerSlotToWaitlist(hold.slot_id);
+    } catch (error) {
+      console.error(`[waitlist] failed to re-offer slot ${hold.slot_id}:`, error);
+    }
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  getActiveHold,
+  markHoldClaimed,
+  offerSlotToWaitlist,
+  offerOpenSlotsForDoctor,
+  offerSlotsInBackground,
+  releaseHold,
+  expireSlotHolds,
+};
@@ -27,6 +27,7 @@ async function generateAdminSQL() {
   role,
   language_pref,
   verification_status,
+  email_verified_at,
   created_at
 ) VALUES (
   '${adminConfig.username}',
@@ -36,6 +37,7 @@ async function generateAdminSQL() {
   'admin',
   '${adminConfig.language_pref}',
   'verified',
+  NOW(),
   NOW()
 );`;
 
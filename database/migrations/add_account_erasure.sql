@@ -0,0 +1,17 @@
+-- Account erasure: pseudonymize users instead of deleting rows
+ALTER TABLE `users`
+ADD COLUMN `erased_at` timestamp NULL AFTER `status_reason`;
+
+CREATE TABLE `account_erasures` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `requested_by` int,
+  `pseudonym` varchar(255),
+  `report` json,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_account_erasures_user` (`user_id`)
+);
+
+ALTER TABLE `account_erasures` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `account_erasures` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
@@ -0,0 +1,5 @@
+-- Admin suspension / ban of user accounts
+ALTER TABLE `users`
+ADD COLUMN `account_status` enum('active','suspended','banned') DEFAULT 'active' AFTER `locked_until`,
+ADD COLUMN `suspended_until` timestamp NULL AFTER `account_status`,
+ADD COLUMN `status_reason` text AFTER `suspended_until`;
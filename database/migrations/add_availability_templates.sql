@@ -0,0 +1,27 @@
+-- Weekly availability templates that generate consultation slots
+CREATE TABLE `availability_templates` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `name` varchar(255),
+  `days_of_week` json NOT NULL, -- 0 (Sunday) .. 6 (Saturday)
+  `time_ranges` json NOT NULL, -- [{ "start": "09:00", "end": "12:00" }]
+  `slot_minutes` int NOT NULL,
+  `buffer_minutes` int DEFAULT 0,
+  `weeks_ahead` int DEFAULT 4,
+  `exception_dates` json, -- YYYY-MM-DD dates with no slots
+  `skipped_slot_starts` json, -- generated slots the doctor removed or moved by hand
+  `valid_from` date,
+  `valid_until` date,
+  `is_active` boolean DEFAULT true,
+  `last_generated_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_availability_templates_doctor` (`doctor_id`)
+);
+
+ALTER TABLE `consultation_slots`
+ADD COLUMN `template_id` int AFTER `consultation_id`;
+
+ALTER TABLE `availability_templates` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_slots` ADD FOREIGN KEY (`template_id`) REFERENCES `availability_templates` (`id`);
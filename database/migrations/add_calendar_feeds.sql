@@ -0,0 +1,10 @@
+-- Private tokenized iCalendar feed URLs
+CREATE TABLE `calendar_feeds` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int UNIQUE NOT NULL, -- one feed URL per user; rotating replaces it
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the token in the .ics URL
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `last_accessed_at` timestamp NULL
+);
+
+ALTER TABLE `calendar_feeds` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
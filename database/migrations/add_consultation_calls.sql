@@ -0,0 +1,4 @@
+-- Video/audio call timestamps written by the Socket.io signaling server
+ALTER TABLE `consultations`
+ADD COLUMN `call_started_at` timestamp NULL AFTER `booked_by`,
+ADD COLUMN `call_ended_at` timestamp NULL AFTER `call_started_at`;
@@ -0,0 +1,59 @@
+-- Structured SOAP notes per consultation; content lives in immutable revisions
+CREATE TABLE `consultation_notes` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int UNIQUE NOT NULL,
+  `current_revision_id` int, -- latest revision, what the doctor sees
+  `current_revision` int NOT NULL DEFAULT 0,
+  `signed_revision_id` int, -- last signed-off revision, the only one the patient sees
+  `signed_revision` int,
+  `signed_by` int,
+  `signed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL
+);
+
+-- Every save adds a row; rows are never updated or deleted
+CREATE TABLE `consultation_note_revisions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `note_id` int NOT NULL,
+  `revision` int NOT NULL, -- 1, 2, 3... per note
+  `subjective` text,
+  `objective` text,
+  `assessment` text,
+  `plan` text,
+  `diagnosis_codes` json, -- ICD-10 codes, e.g. ["E11.9"]
+  `author_id` int NOT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_note_revision` (`note_id`, `revision`)
+);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`current_revision_id`) REFERENCES `consultation_note_revisions` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`signed_revision_id`) REFERENCES `consultation_note_revisions` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`signed_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_note_revisions` ADD FOREIGN KEY (`note_id`) REFERENCES `consultation_notes` (`id`);
+
+ALTER TABLE `consultation_note_revisions` ADD FOREIGN KEY (`author_id`) REFERENCES `users` (`id`);
+
+-- Existing free-text notes become revision 1 of an unsigned note, authored by the
+-- consultation's doctor; consultations.notes is no longer returned by the API
+INSERT INTO `consultation_notes` (`consultation_id`, `current_revision`, `created_at`, `updated_at`)
+SELECT `id`, 1, NOW(), NOW() FROM `consultations`
+WHERE `notes` IS NOT NULL AND `notes` <> '' AND `doctor_id` IS NOT NULL;
+
+INSERT INTO `consultation_note_revisions` (`note_id`, `revision`, `subjective`, `author_id`, `created_at`)
+SELECT n.`id`, 1, c.`notes`, c.`doctor_id`, NOW()
+FROM `consultation_notes` n
+JOIN `consultations` c ON c.`id` = n.`consultation_id`;
+
+UPDATE `consultation_notes` n
+JOIN `consultation_note_revisions` r ON r.`note_id` = n.`id` AND r.`revision` = 1
+SET n.`current_revision_id` = r.`id`;
+
+-- Reads and edits of clinical notes are audited like other patient records
+ALTER TABLE `record_access_logs`
+MODIFY COLUMN `resource_type` enum('mental_health_consultation','recovery_update','message','clinical_note') NOT NULL;
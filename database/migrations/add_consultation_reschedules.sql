@@ -0,0 +1,17 @@
+-- Moving a consultation to another slot keeps the row and logs the move
+CREATE TABLE `consultation_reschedules` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int NOT NULL,
+  `from_slot_id` int, -- plain ids: past slots are cleaned up hourly
+  `to_slot_id` int,
+  `from_start_datetime` datetime,
+  `to_start_datetime` datetime NOT NULL,
+  `rescheduled_by` int NOT NULL,
+  `reason` text,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_consultation_reschedules_consultation` (`consultation_id`)
+);
+
+ALTER TABLE `consultation_reschedules` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `consultation_reschedules` ADD FOREIGN KEY (`rescheduled_by`) REFERENCES `users` (`id`);
@@ -0,0 +1,21 @@
+-- Every consultation status change, with who made it and why
+CREATE TABLE `consultation_status_history` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int NOT NULL,
+  `from_status` enum('pending','confirmed','completed','cancelled'), -- NULL for the booking itself
+  `to_status` enum('pending','confirmed','completed','cancelled') NOT NULL,
+  `changed_by` int, -- NULL for changes made by the system
+  `reason` varchar(500), -- required for cancellations
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_consultation_status_history` (`consultation_id`, `created_at`)
+);
+
+ALTER TABLE `consultation_status_history` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `consultation_status_history` ADD FOREIGN KEY (`changed_by`) REFERENCES `users` (`id`);
+
+-- Existing consultations start their timeline at their current status
+INSERT INTO `consultation_status_history` (`consultation_id`, `from_status`, `to_status`, `changed_by`, `reason`, `created_at`)
+SELECT `id`, NULL, `status`, NULL, 'Status before history was recorded', COALESCE(`updated_at`, `created_at`)
+FROM `consultations`
+WHERE `status` IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Asynchronous "download my data" exports
+CREATE TABLE `data_exports` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `status` enum('pending','processing','ready','failed','expired') DEFAULT 'pending',
+  `file_name` varchar(255), -- ZIP file under DATA_EXPORTS_DIR
+  `file_size` int,
+  `error` varchar(500),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `started_at` timestamp NULL,
+  `completed_at` timestamp NULL,
+  `expires_at` timestamp NULL,
+  INDEX `idx_data_exports_user` (`user_id`),
+  INDEX `idx_data_exports_status` (`status`)
+);
+
+ALTER TABLE `data_exports` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
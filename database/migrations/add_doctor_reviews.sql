@@ -0,0 +1,33 @@
+-- Post-consultation ratings; one per completed consultation
+CREATE TABLE `doctor_reviews` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int UNIQUE NOT NULL,
+  `doctor_id` int NOT NULL,
+  `patient_id` int NOT NULL,
+  `submitted_by` int NOT NULL, -- the patient, or the guardian acting for them
+  `rating` tinyint NOT NULL, -- 1 to 5
+  `review` text,
+  `is_anonymous` boolean NOT NULL DEFAULT false, -- always set for anonymous mental health sessions
+  `status` enum('published','hidden') NOT NULL DEFAULT 'published',
+  `flagged_at` timestamp NULL, -- reported as abusive and waiting for a moderator
+  `flagged_by` int,
+  `flag_reason` varchar(500),
+  `moderated_by` int,
+  `moderated_at` timestamp NULL,
+  `moderation_reason` text,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_doctor_reviews_doctor_status` (`doctor_id`, `status`)
+);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`submitted_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`flagged_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`moderated_by`) REFERENCES `users` (`id`);
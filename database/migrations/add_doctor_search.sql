@@ -0,0 +1,7 @@
+-- Doctor directory search: offered consultation modes and a lookup index
+ALTER TABLE `users`
+ADD COLUMN `consultation_modes` set('video','audio','chat') DEFAULT 'video,audio,chat' AFTER `timezone`;
+
+CREATE INDEX `idx_users_role_specialty` ON `users` (`role`, `specialty`);
+
+CREATE INDEX `idx_consultation_slots_doctor_start` ON `consultation_slots` (`doctor_id`, `start_datetime`);
@@ -0,0 +1,17 @@
+-- Email address verification
+ALTER TABLE `users` ADD COLUMN `email_verified_at` timestamp NULL AFTER `verified_at`;
+
+-- Accounts that existed before verification was introduced are trusted
+UPDATE `users` SET `email_verified_at` = NOW() WHERE `email_verified_at` IS NULL;
+
+CREATE TABLE `email_verification_tokens` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  `expires_at` timestamp NOT NULL,
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_email_verification_user` (`user_id`)
+);
+
+ALTER TABLE `email_verification_tokens` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
@@ -0,0 +1,64 @@
+-- Guardian / caregiver proxy access for dependents, with consent records
+ALTER TABLE `consultations`
+ADD COLUMN `booked_by` int AFTER `slot_id`;
+
+ALTER TABLE `medicine_requests`
+ADD COLUMN `requested_by` int AFTER `notes`;
+
+-- Existing rows were filed by the patient themselves
+UPDATE `consultations` SET `booked_by` = `patient_id` WHERE `booked_by` IS NULL;
+
+UPDATE `medicine_requests` SET `requested_by` = `patient_id` WHERE `requested_by` IS NULL;
+
+CREATE TABLE `guardianships` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardian_id` int NOT NULL,
+  `dependent_id` int NOT NULL, -- patient the guardian acts for
+  `relationship` enum('parent','legal_guardian','caregiver','other') NOT NULL,
+  `status` enum('pending','active','declined','revoked') DEFAULT 'pending',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `activated_at` timestamp NULL,
+  `revoked_at` timestamp NULL,
+  INDEX `idx_guardianships_guardian` (`guardian_id`),
+  INDEX `idx_guardianships_dependent` (`dependent_id`)
+);
+
+CREATE TABLE `guardian_consents` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardianship_id` int NOT NULL,
+  `event` enum('requested','granted','declined','revoked') NOT NULL,
+  `recorded_by` int,
+  `method` enum('dependent_login','guardian_attestation','admin') NOT NULL,
+  `document_url` varchar(255), -- e.g. birth certificate or court order
+  `notes` text,
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_guardian_consents_guardianship` (`guardianship_id`)
+);
+
+CREATE TABLE `guardian_actions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardian_id` int NOT NULL,
+  `dependent_id` int NOT NULL,
+  `action` varchar(100) NOT NULL, -- e.g. 'book_consultation', 'read_recovery_updates'
+  `resource_type` varchar(100),
+  `resource_id` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_guardian_actions_pair` (`guardian_id`, `dependent_id`)
+);
+
+ALTER TABLE `consultations` ADD FOREIGN KEY (`booked_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `medicine_requests` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardianships` ADD FOREIGN KEY (`guardian_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardianships` ADD FOREIGN KEY (`dependent_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_consents` ADD FOREIGN KEY (`guardianship_id`) REFERENCES `guardianships` (`id`);
+
+ALTER TABLE `guardian_consents` ADD FOREIGN KEY (`recorded_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_actions` ADD FOREIGN KEY (`guardian_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_actions` ADD FOREIGN KEY (`dependent_id`) REFERENCES `users` (`id`);
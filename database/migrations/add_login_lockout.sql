@@ -0,0 +1,12 @@
+-- Brute-force protection for /auth/login
+ALTER TABLE `users`
+ADD COLUMN `failed_login_attempts` int DEFAULT 0 AFTER `totp_last_step`,
+ADD COLUMN `last_failed_login_at` timestamp NULL AFTER `failed_login_attempts`,
+ADD COLUMN `locked_until` timestamp NULL AFTER `last_failed_login_at`;
+
+CREATE TABLE `login_ip_attempts` (
+  `ip_address` varchar(45) PRIMARY KEY,
+  `failed_count` int DEFAULT 0,
+  `window_started_at` timestamp NULL,
+  `locked_until` timestamp NULL
+);
@@ -0,0 +1,42 @@
+-- Hospital / NGO organizations with staff memberships
+CREATE TABLE `organizations` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `type` enum('hospital','ngo') NOT NULL,
+  `account_user_id` int UNIQUE NOT NULL, -- the hospital/NGO login; inventory source_id and assigned_source_id point here
+  `created_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp
+);
+
+CREATE TABLE `organization_members` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `organization_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `org_role` enum('org_admin','pharmacist','doctor') NOT NULL,
+  `status` enum('active','removed') DEFAULT 'active',
+  `added_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `removed_at` timestamp NULL,
+  UNIQUE KEY `uq_organization_member` (`organization_id`, `user_id`),
+  INDEX `idx_organization_members_user` (`user_id`)
+);
+
+ALTER TABLE `public_health_alerts`
+ADD COLUMN `organization_id` int AFTER `published_by`;
+
+-- One organization per existing hospital/NGO account
+INSERT INTO `organizations` (`name`, `type`, `account_user_id`, `created_by`, `created_at`)
+SELECT `username`, `role`, `id`, `id`, NOW() FROM `users` WHERE `role` IN ('hospital', 'ngo');
+
+ALTER TABLE `organizations` ADD FOREIGN KEY (`account_user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organizations` ADD FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`added_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `public_health_alerts` ADD FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`);
@@ -0,0 +1,12 @@
+-- Single-use, expiring password reset tokens (only hashes are stored)
+CREATE TABLE `password_reset_tokens` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  `expires_at` timestamp NOT NULL,
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_password_reset_user` (`user_id`)
+);
+
+ALTER TABLE `password_reset_tokens` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
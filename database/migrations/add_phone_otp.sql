@@ -0,0 +1,21 @@
+-- Phone verification and SMS one-time-code login
+ALTER TABLE `users`
+ADD COLUMN `phone_verified_at` timestamp NULL AFTER `erased_at`;
+
+CREATE TABLE `phone_otps` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `phone` varchar(20) NOT NULL,
+  `purpose` enum('login','verify_phone') NOT NULL,
+  `code_hash` varchar(64) NOT NULL, -- SHA-256 of the 6-digit code
+  `attempts` int DEFAULT 0,
+  `ip_address` varchar(45),
+  `expires_at` timestamp NOT NULL,
+  `consumed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_phone_otps_phone` (`phone`, `created_at`),
+  INDEX `idx_phone_otps_user` (`user_id`, `purpose`),
+  INDEX `idx_phone_otps_ip` (`ip_address`, `created_at`)
+);
+
+ALTER TABLE `phone_otps` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
@@ -0,0 +1,19 @@
+-- Provider (doctor / NGO / hospital) verification review workflow
+CREATE TABLE `provider_verification_requests` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `official_document_url` varchar(255),
+  `registration_number` varchar(255),
+  `document_urls` json, -- additional supporting document urls
+  `notes` text,
+  `status` enum('pending','approved','rejected') DEFAULT 'pending',
+  `review_reason` text,
+  `reviewed_by` int,
+  `reviewed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_provider_verification_status` (`status`)
+);
+
+ALTER TABLE `provider_verification_requests` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `provider_verification_requests` ADD FOREIGN KEY (`reviewed_by`) REFERENCES `users` (`id`);
@@ -0,0 +1,21 @@
+-- Audit trail of who read or changed patient-linked records
+CREATE TABLE `record_access_logs` (
+  `id` bigint PRIMARY KEY AUTO_INCREMENT,
+  `actor_id` int NOT NULL,
+  `actor_role` varchar(20) NOT NULL, -- role at the time of access
+  `patient_id` int NOT NULL, -- whose record was touched
+  `resource_type` enum('mental_health_consultation','recovery_update','message') NOT NULL,
+  `resource_id` int, -- NULL when a listing was read
+  `action` enum('read','create','update','delete') NOT NULL,
+  `request_method` varchar(10),
+  `request_path` varchar(255),
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_record_access_patient` (`patient_id`, `created_at`),
+  INDEX `idx_record_access_actor` (`actor_id`, `created_at`),
+  INDEX `idx_record_access_resource` (`resource_type`, `resource_id`)
+);
+
+ALTER TABLE `record_access_logs` ADD FOREIGN KEY (`actor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `record_access_logs` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
@@ -0,0 +1,28 @@
+-- In-app notifications and a record of sent appointment reminders
+CREATE TABLE `notifications` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `type` varchar(50) NOT NULL, -- e.g. 'reminder'
+  `title` varchar(255) NOT NULL,
+  `body` text,
+  `resource_type` varchar(50), -- what the notification is about, e.g. 'consultation'
+  `resource_id` int,
+  `read_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_notifications_user` (`user_id`, `read_at`, `created_at`)
+);
+
+CREATE TABLE `reminder_deliveries` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `event_type` enum('consultation','workshop','mission') NOT NULL,
+  `event_id` int NOT NULL,
+  `user_id` int NOT NULL, -- who the reminder is for
+  `offset_minutes` int NOT NULL, -- minutes before the start, e.g. 1440 or 60
+  `starts_at` datetime NOT NULL, -- event start the reminder was for; a moved event is reminded again
+  `delivered_to` int, -- differs from user_id when a guardian receives it for a dependent
+  `email_status` enum('sent','logged','skipped','failed'),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_reminder_delivery` (`event_type`, `event_id`, `user_id`, `offset_minutes`, `starts_at`)
+);
+
+ALTER TABLE `notifications` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
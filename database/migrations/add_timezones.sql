@@ -0,0 +1,19 @@
+-- Time zone support: DATETIME columns hold UTC, zones are stored per user and per event.
+-- Existing rows default to UTC; convert their datetimes first if they were saved in server-local time.
+ALTER TABLE `users`
+ADD COLUMN `timezone` varchar(64) DEFAULT 'UTC' AFTER `phone_verified_at`;
+
+ALTER TABLE `consultation_slots`
+ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `template_id`;
+
+ALTER TABLE `availability_templates`
+ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `valid_until`;
+
+ALTER TABLE `missions`
+ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `status`;
+
+ALTER TABLE `surgical_missions`
+ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `status`;
+
+ALTER TABLE `workshops`
+ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'UTC' AFTER `approved_by`;
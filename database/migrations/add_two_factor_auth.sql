@@ -0,0 +1,25 @@
+-- TOTP two-factor authentication
+ALTER TABLE `users`
+ADD COLUMN `totp_secret` varchar(64) AFTER `email_verified_at`,
+ADD COLUMN `totp_enabled_at` timestamp NULL AFTER `totp_secret`,
+ADD COLUMN `totp_last_step` bigint AFTER `totp_enabled_at`;
+
+CREATE TABLE `two_factor_recovery_codes` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `code_hash` varchar(64) NOT NULL, -- sha256 of the recovery code
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_recovery_codes_user` (`user_id`)
+);
+
+CREATE TABLE `two_factor_role_policies` (
+  `role` enum('doctor','hospital','admin') PRIMARY KEY,
+  `required` bool DEFAULT false,
+  `updated_by` int,
+  `updated_at` timestamp
+);
+
+ALTER TABLE `two_factor_recovery_codes` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `two_factor_role_policies` ADD FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`);
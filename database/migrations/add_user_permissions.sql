@@ -0,0 +1,14 @@
+-- Per-user capability grants and revocations on top of role defaults
+CREATE TABLE `user_permissions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `permission` varchar(100) NOT NULL, -- capability name, e.g. 'guides:approve'
+  `effect` enum('grant','revoke') NOT NULL, -- adds to or removes from the role defaults
+  `granted_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_user_permission` (`user_id`, `permission`)
+);
+
+ALTER TABLE `user_permissions` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `user_permissions` ADD FOREIGN KEY (`granted_by`) REFERENCES `users` (`id`);
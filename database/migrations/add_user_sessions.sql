@@ -0,0 +1,17 @@
+-- Per-device sessions backing rotating refresh tokens
+CREATE TABLE `user_sessions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `refresh_token_hash` varchar(64) NOT NULL,
+  `device_name` varchar(255),
+  `user_agent` varchar(500),
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `last_used_at` timestamp,
+  `expires_at` timestamp NOT NULL,
+  `revoked_at` timestamp NULL,
+  INDEX `idx_user_sessions_user` (`user_id`),
+  INDEX `idx_user_sessions_expires_at` (`expires_at`)
+);
+
+ALTER TABLE `user_sessions` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
@@ -0,0 +1,43 @@
+-- Waitlists for fully booked doctors and time-limited holds on freed slots
+CREATE TABLE `waitlist_entries` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `patient_id` int NOT NULL,
+  `requested_by` int, -- the patient, or the guardian who joined for them
+  `doctor_id` int, -- set for a doctor's waitlist
+  `specialty` varchar(255), -- set for a specialty waitlist (any doctor with it)
+  `notes` text,
+  `status` enum('waiting','booked','cancelled','expired') DEFAULT 'waiting',
+  `missed_offers` int DEFAULT 0, -- holds that lapsed unclaimed; 3 drop the entry
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_waitlist_entries_doctor` (`status`, `doctor_id`),
+  INDEX `idx_waitlist_entries_specialty` (`status`, `specialty`)
+);
+
+CREATE TABLE `slot_holds` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `slot_id` int NOT NULL,
+  `waitlist_entry_id` int NOT NULL,
+  `patient_id` int NOT NULL,
+  `status` enum('active','claimed','declined','released','expired') DEFAULT 'active',
+  `expires_at` datetime NOT NULL,
+  `consultation_id` int, -- set when the hold was claimed by booking
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_slot_holds_slot` (`slot_id`, `status`),
+  INDEX `idx_slot_holds_expiry` (`status`, `expires_at`)
+);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`slot_id`) REFERENCES `consultation_slots` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`waitlist_entry_id`) REFERENCES `waitlist_entries` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE SET NULL;
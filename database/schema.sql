@@ -14,7 +14,22 @@ CREATE TABLE `users` (
   `website_url` varchar(255), -- NGOs /hospitals  website url (optional)
   `verification_status` enum('none','requested','verified','rejected') DEFAULT 'none',
   `verification_requested_at` timestamp,
-  `verified_at` timestamp
+  `verified_at` timestamp,
+  `email_verified_at` timestamp NULL,
+  `totp_secret` varchar(64), -- base32 TOTP secret (2FA for doctors, hospitals, admins)
+  `totp_enabled_at` timestamp NULL,
+  `totp_last_step` bigint, -- last accepted TOTP time step, blocks code replay
+  `failed_login_attempts` int DEFAULT 0,
+  `last_failed_login_at` timestamp NULL,
+  `locked_until` timestamp NULL,
+  `account_status` enum('active','suspended','banned') DEFAULT 'active',
+  `suspended_until` timestamp NULL, -- NULL with 'suspended' means until lifted by an admin
+  `status_reason` text,
+  `erased_at` timestamp NULL, -- set when the account was erased; the row is kept pseudonymized
+  `phone_verified_at` timestamp NULL, -- contact_phone confirmed by SMS code; required for OTP login
+  `timezone` varchar(64) DEFAULT 'UTC', -- IANA zone used for emails and as the default for new events
+  `consultation_modes` set('video','audio','chat') DEFAULT 'video,audio,chat', -- modes a doctor offers
+  INDEX `idx_users_role_specialty` (`role`, `specialty`)
 );
 
 CREATE TABLE `consultations` (
@@ -26,6 +41,9 @@ CREATE TABLE `consultations` (
   `mode` enum('video','audio','chat'),
   `notes` text,
   `slot_id` int,
+  `booked_by` int, -- the patient, or the guardian who booked on their behalf
+  `call_started_at` timestamp NULL, -- both parties first connected to the video/audio call
+  `call_ended_at` timestamp NULL, -- last participant left the call
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp
 );
@@ -78,8 +96,11 @@ CREATE TABLE `consultation_slots` (
   `end_datetime` datetime,
   `is_booked` boolean,
   `consultation_id` int,
+  `template_id` int, -- set when generated from an availability template
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC', -- IANA zone the slot was scheduled in; datetimes are UTC
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` timestamp
+  `updated_at` timestamp,
+  INDEX `idx_consultation_slots_doctor_start` (`doctor_id`, `start_datetime`)
 );
 
 CREATE TABLE `treatment_requests` (
@@ -147,7 +168,8 @@ CREATE TABLE `medicine_requests` (
   `requested_date` timestamp DEFAULT (current_timestamp),
   `fulfilled_by` int,
   `fulfilled_date` timestamp,
-  `notes` text
+  `notes` text,
+  `requested_by` int -- user who filed the request (patient, doctor or guardian)
 );
 
 CREATE TABLE `inventory_registry` (
@@ -187,6 +209,7 @@ CREATE TABLE `public_health_alerts` (
   `country` varchar(255),
   `city` varchar(255),
   `published_by` int,
+  `organization_id` int, -- set when published under an organization's name
   `is_active` bool DEFAULT true,
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP  ,
   `expires_at` timestamp
@@ -204,6 +227,7 @@ CREATE TABLE `workshops` (
   `created_by` int,
   `approved` bool DEFAULT false,
   `approved_by` int,
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC',
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp
 );
@@ -270,6 +294,7 @@ CREATE TABLE `missions` (
   `slots_available` int,
   `slots_filled` int DEFAULT 0,
   `status` enum('upcoming','ongoing','completed','cancelled') DEFAULT 'upcoming',
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC',
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp
 );
@@ -292,6 +317,7 @@ CREATE TABLE `surgical_missions` (
   `start_datetime` datetime,
   `end_datetime` datetime,
   `status` enum('upcoming','ongoing','completed','cancelled') DEFAULT 'upcoming',
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC',
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp
 );
@@ -304,6 +330,367 @@ CREATE TABLE `token_blacklist` (
   INDEX `idx_expires_at` (`expires_at`)
 );
 
+CREATE TABLE `user_sessions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `refresh_token_hash` varchar(64) NOT NULL, -- sha256 of the refresh token secret
+  `device_name` varchar(255),
+  `user_agent` varchar(500),
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `last_used_at` timestamp,
+  `expires_at` timestamp NOT NULL,
+  `revoked_at` timestamp NULL,
+  INDEX `idx_user_sessions_user` (`user_id`),
+  INDEX `idx_user_sessions_expires_at` (`expires_at`)
+);
+
+CREATE TABLE `password_reset_tokens` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  `expires_at` timestamp NOT NULL,
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_password_reset_user` (`user_id`)
+);
+
+CREATE TABLE `email_verification_tokens` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  `expires_at` timestamp NOT NULL,
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_email_verification_user` (`user_id`)
+);
+
+CREATE TABLE `two_factor_recovery_codes` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `code_hash` varchar(64) NOT NULL, -- sha256 of the recovery code
+  `used_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_recovery_codes_user` (`user_id`)
+);
+
+CREATE TABLE `two_factor_role_policies` (
+  `role` enum('doctor','hospital','admin') PRIMARY KEY,
+  `required` bool DEFAULT false,
+  `updated_by` int,
+  `updated_at` timestamp
+);
+
+CREATE TABLE `login_ip_attempts` (
+  `ip_address` varchar(45) PRIMARY KEY,
+  `failed_count` int DEFAULT 0,
+  `window_started_at` timestamp NULL,
+  `locked_until` timestamp NULL
+);
+
+CREATE TABLE `provider_verification_requests` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `official_document_url` varchar(255),
+  `registration_number` varchar(255),
+  `document_urls` json, -- additional supporting document urls
+  `notes` text,
+  `status` enum('pending','approved','rejected') DEFAULT 'pending',
+  `review_reason` text,
+  `reviewed_by` int,
+  `reviewed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_provider_verification_status` (`status`)
+);
+
+CREATE TABLE `user_permissions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `permission` varchar(100) NOT NULL, -- capability name, e.g. 'guides:approve'
+  `effect` enum('grant','revoke') NOT NULL, -- adds to or removes from the role defaults
+  `granted_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_user_permission` (`user_id`, `permission`)
+);
+
+CREATE TABLE `account_erasures` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `requested_by` int, -- the user themselves, or the admin who erased the account
+  `pseudonym` varchar(255),
+  `report` json, -- counts of redacted, deleted and retained records
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_account_erasures_user` (`user_id`)
+);
+
+CREATE TABLE `data_exports` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `status` enum('pending','processing','ready','failed','expired') DEFAULT 'pending',
+  `file_name` varchar(255), -- ZIP file under DATA_EXPORTS_DIR
+  `file_size` int,
+  `error` varchar(500),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `started_at` timestamp NULL,
+  `completed_at` timestamp NULL,
+  `expires_at` timestamp NULL,
+  INDEX `idx_data_exports_user` (`user_id`),
+  INDEX `idx_data_exports_status` (`status`)
+);
+
+CREATE TABLE `guardianships` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardian_id` int NOT NULL,
+  `dependent_id` int NOT NULL, -- patient the guardian acts for
+  `relationship` enum('parent','legal_guardian','caregiver','other') NOT NULL,
+  `status` enum('pending','active','declined','revoked') DEFAULT 'pending',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `activated_at` timestamp NULL,
+  `revoked_at` timestamp NULL,
+  INDEX `idx_guardianships_guardian` (`guardian_id`),
+  INDEX `idx_guardianships_dependent` (`dependent_id`)
+);
+
+CREATE TABLE `guardian_consents` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardianship_id` int NOT NULL,
+  `event` enum('requested','granted','declined','revoked') NOT NULL,
+  `recorded_by` int,
+  `method` enum('dependent_login','guardian_attestation','admin') NOT NULL,
+  `document_url` varchar(255), -- e.g. birth certificate or court order
+  `notes` text,
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_guardian_consents_guardianship` (`guardianship_id`)
+);
+
+CREATE TABLE `guardian_actions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `guardian_id` int NOT NULL,
+  `dependent_id` int NOT NULL,
+  `action` varchar(100) NOT NULL, -- e.g. 'book_consultation', 'read_recovery_updates'
+  `resource_type` varchar(100),
+  `resource_id` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_guardian_actions_pair` (`guardian_id`, `dependent_id`)
+);
+
+CREATE TABLE `organizations` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `name` varchar(255) NOT NULL,
+  `type` enum('hospital','ngo') NOT NULL,
+  `account_user_id` int UNIQUE NOT NULL, -- the hospital/NGO login; inventory source_id and assigned_source_id point here
+  `created_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp
+);
+
+CREATE TABLE `organization_members` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `organization_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `org_role` enum('org_admin','pharmacist','doctor') NOT NULL,
+  `status` enum('active','removed') DEFAULT 'active',
+  `added_by` int,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `removed_at` timestamp NULL,
+  UNIQUE KEY `uq_organization_member` (`organization_id`, `user_id`),
+  INDEX `idx_organization_members_user` (`user_id`)
+);
+
+CREATE TABLE `phone_otps` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `phone` varchar(20) NOT NULL,
+  `purpose` enum('login','verify_phone') NOT NULL,
+  `code_hash` varchar(64) NOT NULL, -- SHA-256 of the 6-digit code
+  `attempts` int DEFAULT 0,
+  `ip_address` varchar(45),
+  `expires_at` timestamp NOT NULL,
+  `consumed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_phone_otps_phone` (`phone`, `created_at`),
+  INDEX `idx_phone_otps_user` (`user_id`, `purpose`),
+  INDEX `idx_phone_otps_ip` (`ip_address`, `created_at`)
+);
+
+CREATE TABLE `record_access_logs` (
+  `id` bigint PRIMARY KEY AUTO_INCREMENT,
+  `actor_id` int NOT NULL,
+  `actor_role` varchar(20) NOT NULL, -- role at the time of access
+  `patient_id` int NOT NULL, -- whose record was touched
+  `resource_type` enum('mental_health_consultation','recovery_update','message','clinical_note') NOT NULL,
+  `resource_id` int, -- NULL when a listing was read
+  `action` enum('read','create','update','delete') NOT NULL,
+  `request_method` varchar(10),
+  `request_path` varchar(255),
+  `ip_address` varchar(45),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_record_access_patient` (`patient_id`, `created_at`),
+  INDEX `idx_record_access_actor` (`actor_id`, `created_at`),
+  INDEX `idx_record_access_resource` (`resource_type`, `resource_id`)
+);
+
+CREATE TABLE `availability_templates` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `name` varchar(255),
+  `days_of_week` json NOT NULL, -- 0 (Sunday) .. 6 (Saturday)
+  `time_ranges` json NOT NULL, -- [{ "start": "09:00", "end": "12:00" }]
+  `slot_minutes` int NOT NULL,
+  `buffer_minutes` int DEFAULT 0,
+  `weeks_ahead` int DEFAULT 4,
+  `exception_dates` json, -- YYYY-MM-DD dates with no slots
+  `skipped_slot_starts` json, -- generated slots the doctor removed or moved by hand
+  `valid_from` date,
+  `valid_until` date,
+  `timezone` varchar(64) NOT NULL DEFAULT 'UTC', -- zone the weekdays and time ranges are read in
+  `is_active` boolean DEFAULT true,
+  `last_generated_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_availability_templates_doctor` (`doctor_id`)
+);
+
+CREATE TABLE `waitlist_entries` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `patient_id` int NOT NULL,
+  `requested_by` int, -- the patient, or the guardian who joined for them
+  `doctor_id` int, -- set for a doctor's waitlist
+  `specialty` varchar(255), -- set for a specialty waitlist (any doctor with it)
+  `notes` text,
+  `status` enum('waiting','booked','cancelled','expired') DEFAULT 'waiting',
+  `missed_offers` int DEFAULT 0, -- holds that lapsed unclaimed; 3 drop the entry
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_waitlist_entries_doctor` (`status`, `doctor_id`),
+  INDEX `idx_waitlist_entries_specialty` (`status`, `specialty`)
+);
+
+CREATE TABLE `slot_holds` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `slot_id` int NOT NULL,
+  `waitlist_entry_id` int NOT NULL,
+  `patient_id` int NOT NULL,
+  `status` enum('active','claimed','declined','released','expired') DEFAULT 'active',
+  `expires_at` datetime NOT NULL,
+  `consultation_id` int, -- set when the hold was claimed by booking
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_slot_holds_slot` (`slot_id`, `status`),
+  INDEX `idx_slot_holds_expiry` (`status`, `expires_at`)
+);
+
+CREATE TABLE `consultation_reschedules` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int NOT NULL,
+  `from_slot_id` int, -- plain ids: past slots are cleaned up hourly
+  `to_slot_id` int,
+  `from_start_datetime` datetime,
+  `to_start_datetime` datetime NOT NULL,
+  `rescheduled_by` int NOT NULL,
+  `reason` text,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_consultation_reschedules_consultation` (`consultation_id`)
+);
+
+CREATE TABLE `notifications` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `type` varchar(50) NOT NULL, -- e.g. 'reminder'
+  `title` varchar(255) NOT NULL,
+  `body` text,
+  `resource_type` varchar(50), -- what the notification is about, e.g. 'consultation'
+  `resource_id` int,
+  `read_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_notifications_user` (`user_id`, `read_at`, `created_at`)
+);
+
+CREATE TABLE `reminder_deliveries` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `event_type` enum('consultation','workshop','mission') NOT NULL,
+  `event_id` int NOT NULL,
+  `user_id` int NOT NULL, -- who the reminder is for
+  `offset_minutes` int NOT NULL, -- minutes before the start, e.g. 1440 or 60
+  `starts_at` datetime NOT NULL, -- event start the reminder was for; a moved event is reminded again
+  `delivered_to` int, -- differs from user_id when a guardian receives it for a dependent
+  `email_status` enum('sent','logged','skipped','failed'),
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_reminder_delivery` (`event_type`, `event_id`, `user_id`, `offset_minutes`, `starts_at`)
+);
+
+CREATE TABLE `calendar_feeds` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `user_id` int UNIQUE NOT NULL, -- one feed URL per user; rotating replaces it
+  `token_hash` varchar(64) UNIQUE NOT NULL, -- sha256 of the token in the .ics URL
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `last_accessed_at` timestamp NULL
+);
+
+-- Post-consultation ratings; one per completed consultation
+CREATE TABLE `doctor_reviews` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int UNIQUE NOT NULL,
+  `doctor_id` int NOT NULL,
+  `patient_id` int NOT NULL,
+  `submitted_by` int NOT NULL, -- the patient, or the guardian acting for them
+  `rating` tinyint NOT NULL, -- 1 to 5
+  `review` text,
+  `is_anonymous` boolean NOT NULL DEFAULT false, -- always set for anonymous mental health sessions
+  `status` enum('published','hidden') NOT NULL DEFAULT 'published',
+  `flagged_at` timestamp NULL, -- reported as abusive and waiting for a moderator
+  `flagged_by` int,
+  `flag_reason` varchar(500),
+  `moderated_by` int,
+  `moderated_at` timestamp NULL,
+  `moderation_reason` text,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL,
+  INDEX `idx_doctor_reviews_doctor_status` (`doctor_id`, `status`)
+);
+
+-- Structured SOAP notes per consultation; content lives in immutable revisions
+CREATE TABLE `consultation_notes` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int UNIQUE NOT NULL,
+  `current_revision_id` int, -- latest revision, what the doctor sees
+  `current_revision` int NOT NULL DEFAULT 0,
+  `signed_revision_id` int, -- last signed-off revision, the only one the patient sees
+  `signed_revision` int,
+  `signed_by` int,
+  `signed_at` timestamp NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL
+);
+
+-- Every save adds a row; rows are never updated or deleted
+CREATE TABLE `consultation_note_revisions` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `note_id` int NOT NULL,
+  `revision` int NOT NULL, -- 1, 2, 3... per note
+  `subjective` text,
+  `objective` text,
+  `assessment` text,
+  `plan` text,
+  `diagnosis_codes` json, -- ICD-10 codes, e.g. ["E11.9"]
+  `author_id` int NOT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `uq_note_revision` (`note_id`, `revision`)
+);
+
+-- Every consultation status change, with who made it and why
+CREATE TABLE `consultation_status_history` (
+  `id` int PRIMARY KEY AUTO_INCREMENT,
+  `consultation_id` int NOT NULL,
+  `from_status` enum('pending','confirmed','completed','cancelled'), -- NULL for the booking itself
+  `to_status` enum('pending','confirmed','completed','cancelled') NOT NULL,
+  `changed_by` int, -- NULL for changes made by the system
+  `reason` varchar(500), -- required for cancellations
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_consultation_status_history` (`consultation_id`, `created_at`)
+);
+
 ALTER TABLE `consultations` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
 
 ALTER TABLE `consultations` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
@@ -393,3 +780,115 @@ ALTER TABLE `mission_registrations` ADD FOREIGN KEY (`patient_id`) REFERENCES `u
 ALTER TABLE `surgical_missions` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
 
 ALTER TABLE `surgical_missions` ADD FOREIGN KEY (`ngo_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `user_sessions` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `password_reset_tokens` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `email_verification_tokens` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `two_factor_recovery_codes` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `two_factor_role_policies` ADD FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `provider_verification_requests` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `provider_verification_requests` ADD FOREIGN KEY (`reviewed_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `user_permissions` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `user_permissions` ADD FOREIGN KEY (`granted_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `account_erasures` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `account_erasures` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `data_exports` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultations` ADD FOREIGN KEY (`booked_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `medicine_requests` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardianships` ADD FOREIGN KEY (`guardian_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardianships` ADD FOREIGN KEY (`dependent_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_consents` ADD FOREIGN KEY (`guardianship_id`) REFERENCES `guardianships` (`id`);
+
+ALTER TABLE `guardian_consents` ADD FOREIGN KEY (`recorded_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_actions` ADD FOREIGN KEY (`guardian_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `guardian_actions` ADD FOREIGN KEY (`dependent_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organizations` ADD FOREIGN KEY (`account_user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organizations` ADD FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `organization_members` ADD FOREIGN KEY (`added_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `public_health_alerts` ADD FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`);
+
+ALTER TABLE `phone_otps` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `record_access_logs` ADD FOREIGN KEY (`actor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `record_access_logs` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `availability_templates` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_slots` ADD FOREIGN KEY (`template_id`) REFERENCES `availability_templates` (`id`);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `waitlist_entries` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`slot_id`) REFERENCES `consultation_slots` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`waitlist_entry_id`) REFERENCES `waitlist_entries` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `slot_holds` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `consultation_reschedules` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `consultation_reschedules` ADD FOREIGN KEY (`rescheduled_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `notifications` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `calendar_feeds` ADD FOREIGN KEY (`user_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`doctor_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`patient_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`submitted_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`flagged_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `doctor_reviews` ADD FOREIGN KEY (`moderated_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`current_revision_id`) REFERENCES `consultation_note_revisions` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`signed_revision_id`) REFERENCES `consultation_note_revisions` (`id`);
+
+ALTER TABLE `consultation_notes` ADD FOREIGN KEY (`signed_by`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_note_revisions` ADD FOREIGN KEY (`note_id`) REFERENCES `consultation_notes` (`id`);
+
+ALTER TABLE `consultation_note_revisions` ADD FOREIGN KEY (`author_id`) REFERENCES `users` (`id`);
+
+ALTER TABLE `consultation_status_history` ADD FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`) ON DELETE CASCADE;
+
+ALTER TABLE `consultation_status_history` ADD FOREIGN KEY (`changed_by`) REFERENCES `users` (`id`);
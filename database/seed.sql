@@ -5,19 +5,39 @@ SET FOREIGN_KEY_CHECKS = 0;
 START TRANSACTION;
 
 -- Users
-INSERT INTO users (id, username, email, contact_phone, password_hash, role, specialty, language_pref, website_url, verification_status, created_at)
+INSERT INTO users (id, username, email, contact_phone, password_hash, role, specialty, language_pref, website_url, verification_status, email_verified_at, created_at)
 VALUES
-  (1, 'alice_patient', 'alice@example.com', '+10000000001', '123456', 'patient', NULL, 'en', NULL, 'verified', NOW()),
-  (2, 'dr_bob', 'dr.bob@example.com', '+10000000002', '123456', 'doctor', 'cardiology', 'en', NULL, 'verified', NOW()),
-  (3, 'dan_donor', 'dan@example.com', '+10000000003', '123456', 'donor', NULL, 'en', NULL, 'verified', NOW()),
-  (4, 'hope_aid', 'contact@hopeaid.org', '+10000000004', '123456', 'ngo', NULL, 'en', 'https://hopeaid.org', 'verified', NOW()),
-  (5, 'admin_user', 'admin@example.com', '+10000000005', '123456', 'admin', NULL, 'en', NULL, 'verified', NOW()),
-  (6, 'city_hospital', 'hospital@example.com', '+10000000006', '123456', 'hospital', NULL, 'en', 'https://cityhospital.example.com', 'verified', NOW());
+  (1, 'alice_patient', 'alice@example.com', '+10000000001', '123456', 'patient', NULL, 'en', NULL, 'verified', NOW(), NOW()),
+  (2, 'dr_bob', 'dr.bob@example.com', '+10000000002', '123456', 'doctor', 'cardiology', 'en', NULL, 'verified', NOW(), NOW()),
+  (3, 'dan_donor', 'dan@example.com', '+10000000003', '123456', 'donor', NULL, 'en', NULL, 'verified', NOW(), NOW()),
+  (4, 'hope_aid', 'contact@hopeaid.org', '+10000000004', '123456', 'ngo', NULL, 'en', 'https://hopeaid.org', 'verified', NOW(), NOW()),
+  (5, 'admin_user', 'admin@example.com', '+10000000005', '123456', 'admin', NULL, 'en', NULL, 'verified', NOW(), NOW()),
+  (6, 'city_hospital', 'hospital@example.com', '+10000000006', '123456', 'hospital', NULL, 'en', 'https://cityhospital.example.com', 'verified', NOW(), NOW());
+
+-- Organizations (one per hospital/NGO account, as in add_organizations.sql)
+INSERT INTO organizations (id, name, type, account_user_id, created_by, created_at)
+VALUES
+  (1, 'hope_aid', 'ngo', 4, 4, NOW()),
+  (2, 'city_hospital', 'hospital', 6, 6, NOW());
+
+-- Organization staff
+INSERT INTO organization_members (id, organization_id, user_id, org_role, status, added_by, created_at)
+VALUES
+  (1, 2, 2, 'doctor', 'active', 6, NOW());
 
 -- Consultations (slot_id will be linked after slots are created)
 INSERT INTO consultations (id, patient_id, doctor_id, specialty, status, mode, notes, slot_id, created_at, updated_at)
 VALUES
-  (1, 1, 2, 'cardiology', 'confirmed', 'video', 'Follow-up on chest pain', NULL, NOW(), NOW());
+  (1, 1, 2, 'cardiology', 'confirmed', 'video', NULL, NULL, NOW(), NOW());
+
+-- Clinical note for consultation 1 (unsigned draft by the doctor)
+INSERT INTO consultation_notes (id, consultation_id, current_revision_id, current_revision, created_at, updated_at)
+VALUES
+  (1, 1, 1, 1, NOW(), NOW());
+
+INSERT INTO consultation_note_revisions (id, note_id, revision, subjective, author_id, created_at)
+VALUES
+  (1, 1, 1, 'Follow-up on chest pain', 2, NOW());
 
 -- Mental health consultation linked to consultation 1
 INSERT INTO mental_health_consultations (id, consultation_id, trauma_type, severity_level, anonymity, age_group, session_focus, follow_up_required, created_at)